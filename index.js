@@ -1,11 +1,29 @@
-import LitheDB from './src/LitheDB.js';
-import { FileStorage, MemoryStorage, LocalStorage, GoogleSheetsStorage, GASStorage } from './src/Storage.js';
+import LitheDB, { Transaction } from './src/LitheDB.js';
+import { FileStorage, MemoryStorage, LocalStorage, IndexedDBStorage, SqliteStorage, DirectoryStorage, GoogleSheetsStorage, GASStorage, ConflictError, LockError } from './src/Storage.js';
+import { ValidationError } from './src/Schema.js';
+import { VersionConflictError } from './src/Collection.js';
+import { ChangeStream, LiveQuery } from './src/ChangeStream.js';
+import { EncryptedStorage, EncryptionError } from './src/Encryption.js';
 
-LitheDB.FileStorage = FileStorage;
-LitheDB.MemoryStorage = MemoryStorage;
-LitheDB.LocalStorage = LocalStorage;
-LitheDB.GoogleSheetsStorage = GoogleSheetsStorage;
-LitheDB.GASStorage = GASStorage;
+Object.assign(LitheDB, {
+  FileStorage,
+  MemoryStorage,
+  LocalStorage,
+  IndexedDBStorage,
+  SqliteStorage,
+  DirectoryStorage,
+  GoogleSheetsStorage,
+  GASStorage,
+  EncryptedStorage,
+  ValidationError,
+  ConflictError,
+  LockError,
+  VersionConflictError,
+  EncryptionError,
+  Transaction,
+  ChangeStream,
+  LiveQuery
+});
 
 export default LitheDB;
-export { FileStorage, MemoryStorage, LocalStorage, GoogleSheetsStorage, GASStorage };
+export { FileStorage, MemoryStorage, LocalStorage, IndexedDBStorage, SqliteStorage, DirectoryStorage, GoogleSheetsStorage, GASStorage, EncryptedStorage, ValidationError, ConflictError, LockError, VersionConflictError, EncryptionError, Transaction, ChangeStream, LiveQuery };
@@ -0,0 +1,205 @@
+import { matchQuery } from './query.js';
+
+/**
+ * チェンジストリームとライブクエリ。
+ * 保存（またはトランザクションのコミット）に成功した変更を、挿入・更新・削除のイベントとして通知します。
+ */
+
+/**
+ * ドキュメントがクエリに一致するかを判定します。
+ * @param {any} doc
+ * @param {any} query
+ * @returns {boolean}
+ * @private
+ */
+function matches(doc, query) {
+  if (!doc) return false;
+  if (!query) return true;
+  return typeof query === 'function' ? query(doc) : matchQuery(doc, query);
+}
+
+/**
+ * `db.watch()` が返すチェンジストリーム。
+ *
+ * 変更イベントは `{ type, collection, id, before, after, source }` 形式のオブジェクトです。
+ * `type` は `'insert'` / `'update'` / `'remove'` のいずれかで、`before` / `after` には変更前後のドキュメント
+ * （挿入時の `before` と削除時の `after` は null）が格納されます。
+ * `source` はこのインスタンスによる変更であれば `'local'`、他のタブやプロセスの変更を読み込んだ場合は `'external'` です。
+ */
+export class ChangeStream {
+  /**
+   * @param {import('./LitheDB.js').default} db - 購読元のデータベース。
+   * @param {string} [collection] - 対象のコレクション名。省略時はすべてのコレクション。
+   * @param {Object|Function} [query] - 対象とするドキュメントの条件。
+   */
+  constructor(db, collection, query) {
+    this.db = db;
+    this.collection = collection || null;
+    this.query = query || null;
+    /** @type {{ change: Array<Function>, error: Array<Function> }} */
+    this.listeners = { change: [], error: [] };
+    this.closed = false;
+  }
+
+  /**
+   * リスナーを登録します。
+   * `'change'` のリスナーには変更イベントが、`'error'` のリスナーには `'change'` のリスナーがスローした例外と、その変更イベントが渡されます。
+   *
+   * @param {'change' | 'error'} event - イベント名。
+   * @param {Function} listener - リスナー関数。
+   * @returns {ChangeStream} メソッドチェーン用に自分自身を返します。
+   */
+  on(event, listener) {
+    if (event !== 'change' && event !== 'error') throw new Error(`Unknown change stream event: ${event}`);
+    this.listeners[event].push(listener);
+    return this;
+  }
+
+  /**
+   * 登録したリスナーを解除します。
+   *
+   * @param {'change' | 'error'} event - イベント名。
+   * @param {Function} listener - 解除するリスナー関数。
+   * @returns {ChangeStream}
+   */
+  off(event, listener) {
+    if (event !== 'change' && event !== 'error') return this;
+    this.listeners[event] = this.listeners[event].filter(l => l !== listener);
+    return this;
+  }
+
+  /**
+   * 購読を終了します。以降のイベントは通知されません。
+   */
+  close() {
+    this.closed = true;
+    this.listeners = { change: [], error: [] };
+    this.db.watchers.delete(this);
+  }
+
+  /**
+   * イベントがこのストリームの対象であれば、リスナーに通知します。
+   * クエリを指定した場合は、変更前または変更後のドキュメントが一致するイベントを対象とするため、
+   * 更新によって条件から外れたドキュメントも通知されます。
+   *
+   * 変更は保存済みのため、リスナーの例外は書き込みの呼び出し元には伝えず、`'error'` のリスナーに通知します。
+   * `'error'` のリスナーが登録されていない場合は、例外を非同期に再スローします（未処理の例外として扱われます）。
+   * 保存後にデータベースから呼び出されます。
+   * @param {{ collection: string, before: any, after: any }} event - 変更イベント。
+   */
+  _push(event) {
+    if (this.closed) return;
+    if (this.collection && event.collection !== this.collection) return;
+    if (this.query && !matches(event.before, this.query) && !matches(event.after, this.query)) return;
+    for (const listener of [...this.listeners.change]) {
+      try {
+        listener(event);
+      } catch (error) {
+        this._reportError(error, event);
+      }
+    }
+  }
+
+  /**
+   * `'change'` のリスナーがスローした例外を通知します。`'error'` のリスナー自身がスローした例外も非同期に再スローします。
+   * @private
+   * @param {unknown} error - 例外。
+   * @param {Object} event - 処理中の変更イベント。
+   */
+  _reportError(error, event) {
+    if (this.listeners.error.length === 0) {
+      queueMicrotask(() => { throw error; });
+      return;
+    }
+    for (const listener of [...this.listeners.error]) {
+      try {
+        listener(error, event);
+      } catch (nested) {
+        queueMicrotask(() => { throw nested; });
+      }
+    }
+  }
+}
+
+/**
+ * `collection.observe()` が返すライブクエリ。
+ * 対象のコレクションが変更されるたびに検索結果 `results` を最新の状態に保ちます。
+ *
+ * 同じ保存（またはトランザクションのコミット）で発生した複数の変更は、1回の更新にまとめて通知されます。
+ */
+export class LiveQuery {
+  /**
+   * @param {import('./Collection.js').default} collection - 対象のコレクション。
+   * @param {Object|Function} [query={}] - 検索条件。
+   * @param {Object} [options={}] - `find()` と同じ検索オプション (`sort`, `limit`, `fields`, `populate` など)。
+   */
+  constructor(collection, query = {}, options = {}) {
+    this.collection = collection;
+    this.query = query;
+    this.options = options;
+    /** @type {Array<Object>} */
+    this.results = [];
+    /** @type {Record<string, Array<Function>>} */
+    this.listeners = { change: [], error: [] };
+    this.closed = false;
+    this._queued = null;
+
+    this.stream = collection.db.watch(collection.name, query);
+    this.stream.on('change', (/** @type {Object} */ change) => this._onChange(change));
+    /** 初回の検索が完了すると解決される Promise。 */
+    this.ready = this.refresh();
+    this._pending = this.ready.catch(() => { });
+  }
+
+  /**
+   * リスナーを登録します。
+   * `'change'` のリスナーには `(results, changes)` が、`'error'` のリスナーには再検索時のエラーが渡されます。
+   *
+   * @param {'change' | 'error'} event - イベント名。
+   * @param {Function} listener - リスナー関数。
+   * @returns {LiveQuery}
+   */
+  on(event, listener) {
+    if (!this.listeners[event]) throw new Error(`Unknown live query event: ${event}`);
+    this.listeners[event].push(listener);
+    return this;
+  }
+
+  /**
+   * 検索を再実行して `results` を更新します。
+   * @returns {Promise<Array<Object>>}
+   */
+  async refresh() {
+    const results = await this.collection.find(this.query, this.options);
+    if (!this.closed) this.results = results;
+    return results;
+  }
+
+  /**
+   * 購読を終了します。
+   */
+  close() {
+    this.closed = true;
+    this.stream.close();
+  }
+
+  /**
+   * 同期的に続けて通知された変更をまとめ、1回の再検索で反映します。
+   * @param {Object} change - 変更イベント。
+   * @private
+   */
+  _onChange(change) {
+    if (this._queued) {
+      this._queued.push(change);
+      return;
+    }
+    const changes = this._queued = [change];
+    this._pending = this._pending.then(async () => {
+      this._queued = null;
+      if (this.closed) return;
+      await this.refresh();
+      if (this.closed) return;
+      this.listeners.change.forEach(listener => listener(this.results, changes));
+    }).catch(error => this.listeners.error.forEach(listener => listener(error)));
+  }
+}
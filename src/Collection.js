@@ -1,3 +1,35 @@
+import { matchQuery, setPath, compareBy, project } from './query.js';
+import { runPipeline } from './aggregate.js';
+import { validateDocument, ValidationError } from './Schema.js';
+import { LiveQuery } from './ChangeStream.js';
+
+/**
+ * システムによって自動管理されるフィールド（スキーマの解析・検証の対象外）。
+ */
+const SYSTEM_FIELDS = ['id', 'created_at', 'updated_at', '_version'];
+
+/**
+ * 楽観的排他制御で、ドキュメントのバージョンが期待した値と異なる場合にスローされるエラー。
+ */
+export class VersionConflictError extends Error {
+  /**
+   * @param {string} collection - コレクション名。
+   * @param {string|null} id - ドキュメントのID（存在しない場合は null）。
+   * @param {number} expected - 期待したバージョン。
+   * @param {number|null} actual - 実際のバージョン（ドキュメントが存在しない場合は null）。
+   */
+  constructor(collection, id, expected, actual) {
+    super(actual === null
+      ? `Version conflict: ${collection}: expected version ${expected} but the document does not exist`
+      : `Version conflict: ${collection}.${id}: expected version ${expected} but found ${actual}`);
+    this.name = 'VersionConflictError';
+    this.collection = collection;
+    this.id = id;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
 /**
  * LitheDB内のコレクションを表すクラス。
  * ドキュメントのCRUD操作、バリデーション、リレーション、およびインデックスの管理を提供します。
@@ -48,74 +80,98 @@ export default class Collection {
    */
   async _runHooks(event, ...args) {
     for (const hook of this.hooks[event]) {
-      await hook(...args);
+      // フック内での書き込みは、実行中の書き込みのロックを共有する
+      await this.db._nested(() => hook(...args));
     }
   }
 
   /**
    * 新しいドキュメントをコレクションに挿入します。
-   * ユニークな `id`、`created_at`、`updated_at` が自動的に付与されます。
+   * ユニークな `id`、`created_at`、`updated_at` と、バージョン番号 `_version`（1から開始）が自動的に付与されます。
    * 挿入前にユニーク制約とリレーションの整合性をチェックします。
    * 
    * @param {Object} doc - 挿入するドキュメントオブジェクト。
    * @returns {Promise<Object>} システムフィールドが付与された挿入済みドキュメント。
+   * @throws {ValidationError} 宣言されたスキーマに違反する場合にスローされます。
    * @throws {Error} ユニーク制約違反やリレーション整合性エラーの場合にスローされます。
    */
   async insert(doc) {
-    await this._runHooks('beforeInsert', doc);
-    // インデックスのチェック (ユニーク制約)
-    const indices = this.db._getIndices(this.name);
-    for (const [field, options] of Object.entries(indices)) {
-      if (options.unique && doc[field] !== undefined) {
-        const existing = await this.findOne({ [field]: doc[field] });
-        if (existing) throw new Error(`Unique constraint violation: ${this.name}.${field} already exists with value ${doc[field]}`);
-      }
-    }
-
-    // リレーションのチェック (整合性)
-    await this.db._checkRelations(this.name, doc);
+    return this.db._withLock(async () => {
+      await this._runHooks('beforeInsert', doc);
+      // スキーマのチェック
+      this._validate(doc);
 
-    const serial = this.db._getNextSerial();
-    const id = `${String(serial).padStart(6, '0')}_${this.name}`;
-    const now = new Date().toISOString();
+      // インデックスのチェック (ユニーク制約)
+      this._checkUnique(doc);
 
-    const newDoc = {
-      ...doc,
-      id,
-      created_at: now,
-      updated_at: now
-    };
+      // リレーションのチェック (整合性)
+      await this.db._checkRelations(this.name, doc);
 
-    this._data.push(newDoc);
-    await this.db._save();
-    const cloned = this._clone(newDoc);
-    await this._runHooks('afterInsert', cloned);
-    return cloned;
+      const serial = this.db._getNextSerial();
+      const id = `${String(serial).padStart(6, '0')}_${this.name}`;
+      const now = new Date().toISOString();
+
+      const newDoc = {
+        ...doc,
+        id,
+        created_at: now,
+        updated_at: now,
+        _version: 1
+      };
+
+      this._data.push(newDoc);
+      this.db._getIndexStore().add(this.name, newDoc);
+      this.db._recordChange({ type: 'insert', collection: this.name, doc: newDoc });
+      await this.db._save();
+      const cloned = this._clone(newDoc);
+      await this._runHooks('afterInsert', cloned);
+      return cloned;
+    });
   }
 
   /**
    * クエリに一致するドキュメントを検索します。
+   * ソート・ページング・射影はクローンやリレーションの展開より前に適用されるため、
+   * 大きなコレクションから一部のみを取得する場合も余分なコストがかかりません。
    * 
-   * @param {Object} [query={}] - 検索条件 (例: { category: 'tech' })。
+   * @param {Object} [query={}] - 検索条件 (例: { category: 'tech' }, { age: { $gte: 20 } })。
    * @param {Object} [options={}] - 検索オプション。
-   * @param {boolean} [options.populate=false] - trueの場合、リレーションを実データに展開します。
-   * @param {Object} [options.sort] - ソート条件 (例: { created_at: 'desc' })。
+   * @param {boolean|string|Array<string|Object>|Object} [options.populate=false] - trueの場合、外部キーのリレーションを実データに展開します。
+   *   `['posts', 'posts.author_id']` のように展開するリレーションを選択・ネストして指定することもできます。
+   * @param {Object} [options.sort] - ソート条件。複数キーを指定可能 (例: { category: 'asc', created_at: 'desc' }, { 'author.name': 'asc' })。
+   * @param {number} [options.skip] - 先頭から読み飛ばす件数。
+   * @param {number} [options.limit] - 取得する最大件数。
+   * @param {string} [options.after] - カーソル。指定した `id` のドキュメントより後（現在のソート順）の結果のみを返します。
+   * @param {Object} [options.fields] - 射影 (例: { title: 1 } で選択、{ body: 0 } で除外)。
    * @returns {Promise<Array<Object>>} 一致したドキュメントのクローン配列。
+   * @throws {Error} カーソルのドキュメントが存在しない場合にスローされます。
    */
   async find(query = {}, options = {}) {
-    let results = this._data.filter(doc => this._match(doc, query));
+    let results = this._findRaw(query);
 
-    if (options.sort) {
-      const [field, order] = Object.entries(options.sort)[0];
-      results.sort((a, b) => {
-        if (a[field] < b[field]) return order === 'asc' ? -1 : 1;
-        if (a[field] > b[field]) return order === 'asc' ? 1 : -1;
-        return 0;
-      });
+    const compare = options.sort ? compareBy(options.sort) : null;
+    if (compare) {
+      results.sort(compare);
+    }
+
+    if (options.after !== undefined && options.after !== null) {
+      results = this._applyCursor(results, options.after, compare);
+    }
+
+    if (options.skip) {
+      results = results.slice(options.skip);
+    }
+    if (options.limit !== undefined && options.limit !== null) {
+      results = results.slice(0, options.limit);
+    }
+
+    const { fields } = options;
+    if (fields) {
+      results = results.map(doc => project(doc, fields));
     }
 
     if (options.populate) {
-      results = await Promise.all(results.map(doc => this.db._populate(this.name, doc)));
+      results = await Promise.all(results.map(doc => this.db._populate(this.name, doc, options.populate)));
     } else {
       results = results.map(doc => this._clone(doc));
     }
@@ -128,107 +184,238 @@ export default class Collection {
    * 
    * @param {Object} [query={}] - 検索条件。
    * @param {Object} [options={}] - 検索オプション。
-   * @param {boolean} [options.populate=false] - trueの場合、リレーションを展開します。
+   * @param {boolean|string|Array<string|Object>|Object} [options.populate=false] - trueの場合、リレーションを展開します。展開するリレーションの指定も可能です。
+   * @param {Object} [options.sort] - ソート条件。指定した場合はソート後の先頭を返します。
+   * @param {Object} [options.fields] - 射影。
    * @returns {Promise<Object|null>} 一致したドキュメントのクローン、または見つからない場合はnull。
    */
   async findOne(query = {}, options = {}) {
-    const doc = this._data.find(doc => this._match(doc, query));
+    if (options.sort) {
+      const [first] = await this.find(query, { ...options, limit: 1 });
+      return first || null;
+    }
+
+    let doc = this._candidates(query).find(doc => this._match(doc, query));
     if (!doc) return null;
 
+    if (options.fields) {
+      doc = project(doc, options.fields);
+    }
     if (options.populate) {
-      return await this.db._populate(this.name, doc);
+      return await this.db._populate(this.name, doc, options.populate);
     }
     return this._clone(doc);
   }
 
   /**
    * クエリに一致するドキュメントを更新します。
-   * `updated_at` フィールドが現在時刻に更新されます。
+   * `updated_at` フィールドが現在時刻に更新され、`_version` が1増加します。
+   * `{ 'author.name': 'x' }` のようにドット記法のキーを指定すると、兄弟キーを保持したまま
+   * ネストされたフィールドのみを更新します。
+   * リレーションの参照先フィールドが変更される場合は、`onUpdate` の動作を参照元に適用します。
+   * いずれかのチェックに失敗した場合は、参照元を含むすべての変更が元に戻されます。
    * 
    * @param {Object} query - 更新対象を特定するクエリ。
-   * @param {Object} updateData - マージするデータ。
+   * @param {Record<string, any>} updateData - マージするデータ。
+   * @param {Object} [options={}] - 更新オプション。
+   * @param {number} [options.expectedVersion] - 対象ドキュメントの `_version` がこの値と一致する場合のみ更新します（楽観的排他制御）。
+   * @param {number|string} [options.ifMatch] - `expectedVersion` の別名。
    * @returns {Promise<number>} 更新されたドキュメントの数。
-   * @throws {Error} 更新によってユニーク制約に違反する場合にスローされます。
+   * @throws {VersionConflictError} 対象ドキュメントのバージョンが `expectedVersion` と異なる場合にスローされます。
+   * @throws {ValidationError} 更新後のドキュメントが宣言されたスキーマに違反する場合にスローされます。
+   * @throws {Error} 更新によってユニーク制約やリレーションの制約に違反する場合にスローされます。
    */
-  async update(query, updateData) {
-    await this._runHooks('beforeUpdate', query, updateData);
-    const { id, created_at, updated_at, ...filteredUpdateData } = updateData;
-    const now = new Date().toISOString();
-    let count = 0;
-    const targets = this._data.filter(doc => this._match(doc, query));
-
-    for (const doc of targets) {
-      // 更新対象のフィールドに対するユニーク制約のチェック
-      const indices = this.db._getIndices(this.name);
-      for (const [field, options] of Object.entries(indices)) {
-        if (options.unique && filteredUpdateData[field] !== undefined && filteredUpdateData[field] !== doc[field]) {
-          const existing = await this.findOne({ [field]: filteredUpdateData[field] });
-          if (existing && existing.id !== doc.id) {
-            throw new Error(`Unique constraint violation: ${this.name}.${field} already exists with value ${filteredUpdateData[field]}`);
-          }
-        }
+  async update(query, updateData, options = {}) {
+    return this.db._withLock(async () => {
+      await this._runHooks('beforeUpdate', query, updateData);
+      const { id, created_at, updated_at, _version, ...filteredUpdateData } = updateData;
+      const now = new Date().toISOString();
+      let count = 0;
+      const targets = this._findRaw(query);
+      // 1件でもバージョンが異なれば、どのドキュメントも更新しない
+      const expectedVersion = this._expectedVersion(options);
+      if (expectedVersion !== undefined) {
+        const stale = targets.find(doc => (doc._version || 0) !== expectedVersion);
+        if (stale) throw new VersionConflictError(this.name, stale.id, expectedVersion, stale._version || 0);
       }
+      // エラー時に変更を元に戻すための記録（参照動作による他コレクションの変更も含む）
+      const journal = [];
 
-      Object.assign(doc, filteredUpdateData, { updated_at: now });
-      // リレーションが更新された場合の整合性チェック
-      await this.db._checkRelations(this.name, doc);
-      count++;
-    }
+      try {
+        for (const doc of targets) {
+          const next = this._applyUpdate(this._clone(doc), filteredUpdateData);
 
-    if (count > 0) {
-      await this.db._save();
-    }
-    // 更新後の各ドキュメントに対して個別に afterUpdate を呼ぶのは重いため、
-    // ここでは更新されたドキュメントのリストを取得して実行
-    if (count > 0) {
-      for (const doc of targets) {
-        await this._runHooks('afterUpdate', this._clone(doc));
+          // 更新後のドキュメントに対するスキーマとユニーク制約のチェック
+          this._validate(next);
+          this._checkUnique(next, doc);
+
+          // 参照元への参照動作 (onUpdate) の適用
+          this.db._propagateUpdate(this.name, doc, next, journal);
+
+          journal.push({ collection: this.name, doc, before: this._clone(doc) });
+          this.db._getIndexStore().reindex(this.name, doc, () => {
+            this._applyUpdate(doc, filteredUpdateData);
+            doc.updated_at = now;
+            doc._version = (doc._version || 0) + 1;
+          });
+          // リレーションが更新された場合の整合性チェック
+          await this.db._checkRelations(this.name, doc);
+          count++;
+        }
+      } catch (error) {
+        this.db._revertJournal(journal);
+        throw error;
       }
-    }
-    return count;
+      journal.forEach(({ collection, doc, before }) => this.db._recordChange({ type: 'update', collection, doc, before }));
+
+      if (count > 0) {
+        await this.db._save();
+      }
+      // 更新後の各ドキュメントに対して個別に afterUpdate を呼ぶのは重いため、
+      // ここでは更新されたドキュメントのリストを取得して実行
+      if (count > 0) {
+        for (const doc of targets) {
+          await this._runHooks('afterUpdate', this._clone(doc));
+        }
+      }
+      return count;
+    });
   }
 
   /**
    * クエリに一致するドキュメントを更新、または存在しない場合は挿入します。
+   * `expectedVersion` を指定した場合、既存のドキュメントはそのバージョンと一致するときのみ更新されます。
+   * `expectedVersion: 0` はドキュメントが存在しないことを期待する（挿入のみを許可する）指定になります。
    * 
    * @param {Object} query - 対象を特定するクエリ。
    * @param {Object} data - 更新または挿入するデータ。
+   * @param {Object} [options={}] - `update` と同じオプション (`expectedVersion`, `ifMatch`)。
    * @returns {Promise<Object>} 処理されたドキュメント。
+   * @throws {VersionConflictError} バージョンが一致しない場合、または期待したドキュメントが存在しない場合にスローされます。
    */
-  async upsert(query, data) {
-    await this._runHooks('beforeUpsert', query, data);
-    const existing = await this.findOne(query);
-
-    if (existing) {
-      await this.update({ id: existing.id }, data);
-      const updated = await this.findOne({ id: existing.id });
-      await this._runHooks('afterUpsert', updated, false);
-      return updated;
-    } else {
-      const inserted = await this.insert(data);
-      await this._runHooks('afterUpsert', inserted, true);
-      return inserted;
-    }
+  async upsert(query, data, options = {}) {
+    return this.db._withLock(async () => {
+      await this._runHooks('beforeUpsert', query, data);
+      const existing = /** @type {any} */ (await this.findOne(query));
+      const expectedVersion = this._expectedVersion(options);
+
+      if (existing) {
+        await this.db._nested(() => this.update({ id: existing.id }, data, options));
+        const updated = await this.findOne({ id: existing.id });
+        await this._runHooks('afterUpsert', updated, false);
+        return updated;
+      } else {
+        if (expectedVersion !== undefined && expectedVersion !== 0) {
+          throw new VersionConflictError(this.name, null, expectedVersion, null);
+        }
+        const inserted = await this.db._nested(() => this.insert(data));
+        await this._runHooks('afterUpsert', inserted, true);
+        return inserted;
+      }
+    });
   }
 
   /**
    * クエリに一致するドキュメントを削除します。
    * 
+   * リレーションに `onDelete` が定義されている場合は、参照元に対して `restrict` / `cascade` / `setNull` の
+   * 動作を適用します。いずれかのチェックに失敗した場合は、どのコレクションも変更されません。
+   * 
    * @param {Object} query - 削除対象を特定するクエリ。
-   * @returns {Promise<number>} 削除されたドキュメントの数。
+   * @returns {Promise<number>} 削除されたドキュメントの数（カスケード削除された参照元は含みません）。
+   * @throws {Error} `restrict` の参照元が存在する場合にスローされます。
    */
   async remove(query) {
-    await this._runHooks('beforeRemove', query);
-    const initialLength = this._data.length;
-    const newData = this._data.filter(doc => !this._match(doc, query));
-    const count = initialLength - newData.length;
+    return this.db._withLock(async () => {
+      await this._runHooks('beforeRemove', query);
+      const targets = this._findRaw(query);
+      const count = targets.length;
+
+      if (count > 0) {
+        // 参照動作 (onDelete) を含めて計画し、すべてのチェックを通過した場合のみ適用する
+        const plan = this.db._planRemoval(this.name, targets);
+        this.db._applyRemovalPlan(plan);
+        await this.db._save();
+      }
+      await this._runHooks('afterRemove', count);
+      return count;
+    });
+  }
 
-    if (count > 0) {
-      this.db._setCollectionData(this.name, newData);
-      await this.db._save();
+  /**
+   * クエリの結果を常に最新の状態に保つライブクエリを作成します。
+   * 結果はこのコレクションへの変更が保存（またはトランザクションがコミット）されるたびに更新されます。
+   *
+   * @param {Object|Function} [query={}] - 検索条件。
+   * @param {Object} [options={}] - `find()` と同じ検索オプション。
+   * @returns {LiveQuery}
+   */
+  observe(query = {}, options = {}) {
+    return new LiveQuery(this, query, options);
+  }
+
+  /**
+   * 集計パイプラインを実行します。
+   * 先頭の `$match` ステージはインデックスを利用して評価されます。
+   * 
+   * @param {Array<Record<string, any>>} pipeline - ステージの配列 (例: [{ $match: { status: 'paid' } }, { $group: { _id: '$user_id', total: { $sum: '$amount' } } }])。
+   * @returns {Promise<Array<Object>>} 集計結果。
+   * @throws {Error} 不明なステージや不正なステージ定義の場合にスローされます。
+   */
+  async aggregate(pipeline) {
+    /** @type {Array<any>} */
+    let docs = this._data;
+    let stages = pipeline;
+    if (Array.isArray(pipeline) && pipeline.length > 0 && pipeline[0] && pipeline[0].$match && Object.keys(pipeline[0]).length === 1) {
+      const query = pipeline[0].$match;
+      docs = this._findRaw(query);
+      stages = pipeline.slice(1);
+    }
+    return runPipeline(this.db, this.name, docs.map(doc => this._clone(doc)), stages);
+  }
+
+  /**
+   * このコレクションにスキーマを宣言し、書き込み時の検証を有効にします。
+   * 引数を省略した場合は `getSchema()` で推論した現在のデータ構造をそのままスキーマとして採用します。
+   * 
+   * @param {Object} [schema] - スキーマ定義。
+   * @returns {Object} 宣言されたスキーマ。
+   */
+  enforceSchema(schema = this.getSchema()) {
+    this.db.defineSchema(this.name, schema);
+    return this.db._getDeclaredSchema(this.name);
+  }
+
+  /**
+   * 既存のドキュメントを宣言されたスキーマで検証し、違反しているドキュメントの一覧を返します。
+   * スキーマが宣言されていない場合は空配列を返します。
+   * 
+   * @returns {Array<{ id: string, errors: Array<{ path: string, keyword: string, message: string }> }>}
+   */
+  validate() {
+    const schema = this.db._getDeclaredSchema(this.name);
+    if (!schema) return [];
+    const invalid = [];
+    for (const doc of this._data) {
+      const errors = validateDocument(schema, doc, { ignore: SYSTEM_FIELDS });
+      if (errors.length > 0) invalid.push({ id: doc.id, errors });
+    }
+    return invalid;
+  }
+
+  /**
+   * 宣言されたスキーマでドキュメントを検証する内部ヘルパー。
+   * 
+   * @param {Object} doc - 検証するドキュメント。
+   * @throws {ValidationError} スキーマに違反する場合にスローされます。
+   */
+  _validate(doc) {
+    const schema = this.db._getDeclaredSchema(this.name);
+    if (!schema) return;
+    const errors = validateDocument(schema, doc, { ignore: SYSTEM_FIELDS });
+    if (errors.length > 0) {
+      throw new ValidationError(this.name, errors);
     }
-    await this._runHooks('afterRemove', count);
-    return count;
   }
 
   /**
@@ -240,8 +427,6 @@ export default class Collection {
     const docs = this._data;
     if (docs.length === 0) return { type: 'object', properties: {}, required: [] };
 
-    // 解析から除外するシステムフィールド（トップレベルのみ）
-    const systemFields = ['id', 'created_at', 'updated_at'];
 
     const analyze = (objects, isRoot = false) => {
       if (objects.length === 0) return { type: 'any' };
@@ -250,7 +435,7 @@ export default class Collection {
       objects.forEach(obj => {
         if (obj && typeof obj === 'object' && !Array.isArray(obj)) {
           Object.keys(obj).forEach(k => {
-            if (!(isRoot && systemFields.includes(k))) keys.add(k);
+            if (!(isRoot && SYSTEM_FIELDS.includes(k))) keys.add(k);
           });
         }
       });
@@ -302,9 +487,88 @@ export default class Collection {
     return analyze(docs, true);
   }
 
+  /**
+   * カーソル (`after`) より後の結果のみを残す内部ヘルパー。
+   * ソート指定がない場合はコレクション内の位置（＝追加順）で、ソート指定がある場合はカーソルの
+   * ドキュメントのソートキーを基準に位置を判定します（同値の場合は `id` 順）。
+   * 
+   * @param {Array<any>} results - 検索結果（ソート済み）。
+   * @param {string} after - カーソルのドキュメントの `id`。
+   * @param {((a: any, b: any) => number)|null} compare - ソートの比較関数。ソート指定がない場合は null。
+   * @returns {Array<any>}
+   * @private
+   */
+  _applyCursor(results, after, compare) {
+    if (!compare) {
+      // id の文字列の順序は追加順と一致するとは限らない（連番が6桁を超えた場合や、id を指定して挿入した場合）
+      const position = this._data.findIndex((/** @type {any} */ doc) => doc.id === after);
+      if (position === -1) {
+        throw new Error(`Cursor not found: ${this.name} has no document with id ${after}`);
+      }
+      const later = new Set(this._data.slice(position + 1));
+      return results.filter(doc => later.has(doc));
+    }
+    const cursorDoc = results.find(doc => doc.id === after) || this._data.find((/** @type {any} */ doc) => doc.id === after);
+    if (!cursorDoc) {
+      throw new Error(`Cursor not found: ${this.name} has no document with id ${after}`);
+    }
+    return results.filter(doc => {
+      const order = compare(doc, cursorDoc);
+      return order > 0 || (order === 0 && doc.id > cursorDoc.id);
+    });
+  }
+
+  /**
+   * ユニークインデックスに対する制約違反をチェックする内部ヘルパー。
+   * 複合インデックスではフィールドの組み合わせで、部分インデックスでは条件に一致する
+   * ドキュメントの間でのみ重複を判定します。
+   * 
+   * @param {Object} doc - 挿入または更新後のドキュメント。
+   * @param {Object} [self] - 更新時の元ドキュメント（自分自身との重複は無視されます）。
+   * @throws {Error} ユニーク制約に違反する場合にスローされます。
+   */
+  _checkUnique(doc, self) {
+    for (const index of this.db._getIndexStore().getIndexes(this.name)) {
+      if (!index.options.unique || !index.findConflict(doc, self)) continue;
+      const value = index.valueOf(doc);
+      if (index.compound) {
+        throw new Error(`Unique constraint violation: ${this.name}.(${index.fields.join(', ')}) already exists with value (${value.join(', ')})`);
+      }
+      throw new Error(`Unique constraint violation: ${this.name}.${index.name} already exists with value ${value}`);
+    }
+  }
+
+  /**
+   * クエリに一致する内部データ（クローンしていないドキュメント）を返す内部ヘルパー。
+   * 
+   * @param {Object} query - 検索クエリ。
+   * @returns {Array<any>}
+   */
+  _findRaw(query) {
+    return this._candidates(query).filter(doc => this._match(doc, query));
+  }
+
+  /**
+   * クエリの走査対象となるドキュメントを取得する内部ヘルパー。
+   * クエリがインデックス付きフィールドを含む場合はインデックスで候補を絞り込み、
+   * それ以外の場合はコレクション全体を返します。
+   * 
+   * @param {Object|Function} query - クエリオブジェクト、またはフィルター関数。
+   * @returns {Array<any>}
+   * @private
+   */
+  _candidates(query) {
+    if (typeof query !== 'function') {
+      const docs = this.db._getIndexStore().candidates(this.name, query);
+      if (docs) return docs;
+    }
+    return this._data;
+  }
+
   /**
    * クエリマッチングのための内部ヘルパー。
-   * 値の完全一致およびネストされたオブジェクトのJSON比較をサポートします。
+   * 値の完全一致、ネストされたオブジェクトの構造比較、ドット記法のパス、および `$gt` や `$in` などの
+   * クエリ演算子をサポートします。
    * 
    * @private
    */
@@ -312,15 +576,41 @@ export default class Collection {
     if (typeof query === 'function') {
       return query(doc);
     }
-    return Object.entries(query).every(([key, value]) => {
-      if (typeof value === 'function') {
-        return value(doc[key]);
-      }
-      if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-        return JSON.stringify(doc[key]) === JSON.stringify(value);
-      }
-      return doc[key] === value;
-    });
+    return matchQuery(doc, query);
+  }
+
+  /**
+   * 更新オプションから期待するバージョンを取り出します。指定されていない場合は undefined を返します。
+   * `ifMatch` には CLI や HTTP ヘッダーから渡される文字列（`'3'` や `'"3"'`）も指定できます。
+   * @param {{ expectedVersion?: number, ifMatch?: number|string }} options
+   * @returns {number|undefined}
+   * @private
+   */
+  _expectedVersion(options) {
+    const value = options.expectedVersion ?? options.ifMatch;
+    if (value === undefined || value === null) return undefined;
+    const version = typeof value === 'string' ? Number(value.replace(/^(W\/)?"|"$/g, '')) : value;
+    if (!Number.isInteger(version) || version < 0) {
+      throw new Error(`Invalid expected version: ${value}`);
+    }
+    return version;
+  }
+
+  /**
+   * 更新データをドキュメントに適用するための内部ヘルパー。
+   * ドット記法のキーはネストされたフィールドへ、それ以外はトップレベルへ代入されます。
+   * `__proto__` などのプロトタイプを書き換えるキーはエラーになります。
+   * 
+   * @param {Record<string, any>} doc - 更新するドキュメント。
+   * @param {Record<string, any>} updateData - 更新データ。
+   * @returns {Record<string, any>} 更新したドキュメント。
+   * @private
+   */
+  _applyUpdate(doc, updateData) {
+    for (const [key, value] of Object.entries(updateData)) {
+      setPath(doc, key, value);
+    }
+    return doc;
   }
 
   /**
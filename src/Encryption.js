@@ -0,0 +1,479 @@
+import { Storage } from './Storage.js';
+
+/**
+ * 保存時の暗号化。
+ * 任意のストレージアダプターをラップし、ドキュメントとメタデータを AES-256-GCM で暗号化して保存します。
+ */
+
+/** 暗号化された値の接頭辞。 */
+const PREFIX = 'enc:v1:';
+
+/**
+ * 復号できなかった場合（鍵が一致しない、または改ざんされている場合）にスローされるエラー。
+ */
+export class EncryptionError extends Error {
+  /**
+   * @param {string} message - エラーメッセージ。
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'EncryptionError';
+  }
+}
+
+/**
+ * WebCrypto の実装を返します。グローバルの `crypto` がない古い Node.js では `node:crypto` を使用します。
+ * @private
+ * @returns {Promise<Crypto>}
+ */
+async function getWebCrypto() {
+  if (globalThis.crypto && globalThis.crypto.subtle) return globalThis.crypto;
+  const { webcrypto } = await import('node:crypto');
+  return /** @type {any} */ (webcrypto);
+}
+
+/**
+ * @private
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  if (typeof Buffer !== 'undefined') return Buffer.from(bytes).toString('base64');
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+/**
+ * @private
+ * @param {string} str
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function fromBase64(str) {
+  if (typeof Buffer !== 'undefined') return new Uint8Array(Buffer.from(str, 'base64'));
+  return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+}
+
+/**
+ * 鍵（32バイトの Uint8Array、または Base64・16進数の文字列）をバイト列に変換します。
+ * @private
+ * @param {string|Uint8Array} key
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function parseKey(key) {
+  let bytes = null;
+  if (key instanceof Uint8Array) {
+    bytes = new Uint8Array(key);
+  } else if (typeof key === 'string' && /^[0-9a-f]{64}$/i.test(key)) {
+    bytes = new Uint8Array(/** @type {RegExpMatchArray} */ (key.match(/../g)).map(h => parseInt(h, 16)));
+  } else if (typeof key === 'string') {
+    bytes = fromBase64(key.trim());
+  }
+  if (!bytes || bytes.length !== 32) {
+    throw new EncryptionError('Invalid encryption key: expected 32 bytes encoded as base64 or hex');
+  }
+  return bytes;
+}
+
+/**
+ * 環境変数を読み込みます。ブラウザでは undefined を返します。
+ * @private
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function env(name) {
+  return typeof process !== 'undefined' && process.env ? process.env[name] : undefined;
+}
+
+/**
+ * 任意のストレージアダプターをラップし、保存するデータを AES-256-GCM で暗号化するストレージ。
+ *
+ * 暗号化はドキュメント単位で行われるため、`applyChanges()` による差分の書き込みやジャーナル、バックアップ（`.bak`）も
+ * そのまま暗号化された状態で保存されます。ドキュメントの `id` とコレクション名は暗号化されません。
+ * `applyChanges()` では変更されたドキュメントのみを暗号化し、それ以外は最後に読み書きした暗号文を再利用します。
+ *
+ * - **全体の暗号化**（デフォルト）: 各ドキュメントは `{ id, _encrypted }` として、メタデータは `{ _encrypted }` として保存されます。
+ * - **フィールド単位の暗号化**（`fields` を指定）: 指定したフィールドの値のみを暗号化し、それ以外のフィールドは平文のまま保存します。
+ *
+ * 暗号文には鍵ID（鍵の SHA-256 の先頭8バイト）が含まれ、`previousKeys` に指定した古い鍵でも復号できます。
+ * 鍵を切り替えた後に `db.compact()` を実行すると、すべてのデータが新しい鍵で暗号化し直されます。
+ * 暗号化されていないドキュメントはそのまま読み込まれるため、既存のデータベースも `db.compact()` で暗号化できます。
+ */
+export class EncryptedStorage extends Storage {
+  /**
+   * @param {Storage} storage - 暗号化したデータを保存するストレージアダプター。
+   * @param {Object} [options={}] - 暗号化オプション。
+   * @param {string|Uint8Array} [options.key] - 32バイトの鍵（Base64 または 16進数の文字列）。省略時は環境変数 `LITHE_DB_ENCRYPTION_KEY` を使用します。
+   * @param {Array<string|Uint8Array>} [options.previousKeys] - 復号にのみ使用する古い鍵。省略時は環境変数 `LITHE_DB_ENCRYPTION_PREVIOUS_KEYS`（カンマ区切り）を使用します。
+   * @param {Array<string>|Record<string, Array<string>>} [options.fields] - フィールド単位で暗号化する場合のフィールド名。
+   *   配列はすべてのコレクションに、`{ users: ['email'] }` のようなオブジェクトはコレクションごとに適用されます。
+   * @throws {EncryptionError} 鍵が指定されていない、または不正な場合。
+   */
+  constructor(storage, options = {}) {
+    super();
+    /** @type {any} 任意のメソッド（`applyChanges` や `compact` など）は実装されている場合のみ使用する */
+    this.storage = storage;
+    this.fields = options.fields || null;
+    const key = options.key ?? env('LITHE_DB_ENCRYPTION_KEY');
+    if (!key) {
+      throw new EncryptionError('Encryption key is required: set options.key or LITHE_DB_ENCRYPTION_KEY');
+    }
+    const previousKeys = options.previousKeys ?? (env('LITHE_DB_ENCRYPTION_PREVIOUS_KEYS') || '').split(',').filter(Boolean);
+    this._rawKeys = [parseKey(key), ...previousKeys.map(parseKey)];
+    this._keys = null;
+    /** 変更されていないドキュメントを暗号化し直さないためのキャッシュ。 */
+    this._cache = new WeakMap();
+    /**
+     * 最後に読み書きした暗号化済みのデータ。`applyChanges()` で変更のないドキュメントの暗号文を再利用します。
+     * @type {{ metadata: any, data: Record<string, Array<any>> }|null}
+     */
+    this._encrypted = null;
+  }
+
+  /**
+   * 新しい鍵を Base64 文字列として生成します。
+   * @returns {Promise<string>}
+   */
+  static async generateKey() {
+    const crypto = await getWebCrypto();
+    return toBase64(crypto.getRandomValues(new Uint8Array(32)));
+  }
+
+  /**
+   * 鍵を CryptoKey としてインポートし、鍵IDと対応付けます。
+   * @private
+   */
+  async _getKeys() {
+    if (this._keys) return this._keys;
+    const crypto = await getWebCrypto();
+    const keys = [];
+    for (const raw of this._rawKeys) {
+      const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', raw));
+      const id = [...digest.slice(0, 8)].map(b => b.toString(16).padStart(2, '0')).join('');
+      const key = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+      keys.push({ id, key });
+    }
+    this._keys = { crypto, current: keys[0], byId: new Map(keys.map(k => [k.id, k.key])) };
+    return this._keys;
+  }
+
+  /**
+   * 文字列を暗号化します。`context` は追加認証データとして使用され、暗号文を別のドキュメントへ移し替えると復号に失敗します。
+   * @private
+   * @param {string} plaintext
+   * @param {string} context
+   * @returns {Promise<string>}
+   */
+  async _encrypt(plaintext, context) {
+    const { crypto, current } = await this._getKeys();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encoder = new TextEncoder();
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: encoder.encode(context) },
+      current.key,
+      encoder.encode(plaintext)
+    );
+    return `${PREFIX}${current.id}:${toBase64(iv)}:${toBase64(new Uint8Array(ciphertext))}`;
+  }
+
+  /**
+   * @private
+   * @param {string} value - `_encrypt()` で作成した暗号文。
+   * @param {string} context
+   * @returns {Promise<string>}
+   */
+  async _decrypt(value, context) {
+    const { crypto, byId } = await this._getKeys();
+    const [keyId, iv, ciphertext] = value.slice(PREFIX.length).split(':');
+    const key = byId.get(keyId);
+    if (!key) throw new EncryptionError(`Cannot decrypt ${context}: unknown encryption key ${keyId}`);
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(iv), additionalData: new TextEncoder().encode(context) },
+        key,
+        fromBase64(ciphertext)
+      );
+      return new TextDecoder().decode(plaintext);
+    } catch {
+      throw new EncryptionError(`Cannot decrypt ${context}: the data is corrupted or was tampered with`);
+    }
+  }
+
+  /**
+   * コレクションで暗号化するフィールドの一覧を返します。
+   * @private
+   * @param {string} collection
+   * @returns {Array<string>}
+   */
+  _fieldsFor(collection) {
+    if (Array.isArray(this.fields)) return this.fields;
+    return this.fields?.[collection] || [];
+  }
+
+  /**
+   * @private
+   * @param {string} collection
+   * @param {Record<string, any>} doc
+   * @returns {Promise<Record<string, any>>}
+   */
+  async _encryptDoc(collection, doc) {
+    const context = `${collection}:${doc.id}`;
+    if (!this.fields) return { id: doc.id, _encrypted: await this._encrypt(JSON.stringify(doc), context) };
+    const result = { ...doc };
+    for (const field of this._fieldsFor(collection)) {
+      if (result[field] === undefined || result[field] === null) continue;
+      result[field] = await this._encrypt(JSON.stringify(result[field]), `${context}:${field}`);
+    }
+    return result;
+  }
+
+  /**
+   * 暗号化されたドキュメントを復号します。設定にかかわらず、暗号化された値はすべて復号します。
+   * @private
+   * @param {string} collection
+   * @param {Record<string, any>} doc
+   * @returns {Promise<Record<string, any>>}
+   */
+  async _decryptDoc(collection, doc) {
+    const context = `${collection}:${doc.id}`;
+    if (typeof doc._encrypted === 'string') return JSON.parse(await this._decrypt(doc._encrypted, context));
+    let result = doc;
+    for (const [field, value] of Object.entries(doc)) {
+      if (typeof value !== 'string' || !value.startsWith(PREFIX)) continue;
+      if (result === doc) result = { ...doc };
+      result[field] = JSON.parse(await this._decrypt(value, `${context}:${field}`));
+    }
+    return result;
+  }
+
+  /**
+   * 変更されていないドキュメントはキャッシュした暗号文を再利用して暗号化します。
+   * @private
+   * @param {string} collection
+   * @param {Record<string, any>} doc
+   * @returns {Promise<Record<string, any>>}
+   */
+  async _encryptCached(collection, doc) {
+    const json = JSON.stringify(doc);
+    const cached = this._cache.get(doc);
+    if (cached && cached.collection === collection && cached.json === json) return cached.value;
+    const value = await this._encryptDoc(collection, doc);
+    this._cache.set(doc, { collection, json, value });
+    return value;
+  }
+
+  /**
+   * @private
+   * @param {any} metadata
+   */
+  async _encryptMetadata(metadata) {
+    if (this.fields) return metadata;
+    return { _encrypted: await this._encrypt(JSON.stringify(metadata), 'metadata') };
+  }
+
+  /**
+   * @private
+   * @param {any} metadata
+   */
+  async _decryptMetadata(metadata) {
+    if (metadata && typeof metadata._encrypted === 'string') {
+      return JSON.parse(await this._decrypt(metadata._encrypted, 'metadata'));
+    }
+    return metadata;
+  }
+
+  /**
+   * @private
+   * @param {any} data
+   * @returns {Promise<{ metadata: any, data: Record<string, Array<any>> }>}
+   */
+  async _encryptData(data) {
+    /** @type {{ metadata: any, data: Record<string, Array<any>> }} */
+    const result = { metadata: await this._encryptMetadata(data.metadata), data: {} };
+    for (const [collection, docs] of Object.entries(data.data || {})) {
+      result.data[collection] = await Promise.all(docs.map((/** @type {any} */ doc) => this._encryptCached(collection, doc)));
+    }
+    return result;
+  }
+
+  /**
+   * 変更セットを適用した後のデータ全体を、暗号化された形で作成します。
+   * 変更のないコレクションとドキュメントは、最後に読み書きした暗号文をそのまま使用します。
+   * @private
+   * @param {any} data - 変更適用後のデータベース全体。
+   * @param {Array<any>} changes - 暗号化済みの変更の配列。
+   */
+  async _applyToEncrypted(data, changes) {
+    if (!data) return data;
+    const previous = this._encrypted;
+    if (!previous) return this._encryptData(data);
+
+    let metadata = previous.metadata;
+    /** @type {Map<string, Map<string, any>>} コレクションごとの、暗号化済みの変更後のドキュメント */
+    const changed = new Map();
+    for (const change of changes) {
+      if (change.type === 'metadata') {
+        metadata = change.metadata;
+        continue;
+      }
+      if (!changed.has(change.collection)) changed.set(change.collection, new Map());
+      if (change.type !== 'remove') changed.get(change.collection)?.set(String(change.doc.id), change.doc);
+    }
+
+    /** @type {Record<string, Array<any>>} */
+    const result = {};
+    for (const [collection, docs] of Object.entries(data.data || {})) {
+      const before = previous.data[collection] || [];
+      const updated = changed.get(collection);
+      if (!updated && before.length === docs.length) {
+        result[collection] = before;
+        continue;
+      }
+      const byId = new Map(before.map(doc => [String(doc.id), doc]));
+      result[collection] = await Promise.all(docs.map((/** @type {any} */ doc) => {
+        const id = String(doc.id);
+        return updated?.get(id) ?? byId.get(id) ?? this._encryptDoc(collection, doc);
+      }));
+    }
+    return { metadata, data: result };
+  }
+
+  /**
+   * 読み込んだ暗号化済みのデータを、`applyChanges()` で再利用するために記録します。
+   * @private
+   * @param {any} data
+   */
+  _remember(data) {
+    if (!data || !data.data) {
+      this._encrypted = null;
+      return;
+    }
+    /** @type {Record<string, Array<any>>} */
+    const collections = {};
+    for (const [collection, docs] of Object.entries(data.data)) collections[collection] = [...docs];
+    this._encrypted = { metadata: data.metadata, data: collections };
+  }
+
+  /**
+   * @private
+   * @param {any} data
+   * @returns {Promise<any>}
+   */
+  async _decryptData(data) {
+    if (!data) return data;
+    const result = { ...data, metadata: await this._decryptMetadata(data.metadata) };
+    if (data.data) {
+      result.data = {};
+      for (const [collection, docs] of Object.entries(data.data)) {
+        result.data[collection] = await Promise.all(docs.map((/** @type {any} */ doc) => this._decryptDoc(collection, doc)));
+      }
+    }
+    return result;
+  }
+
+  async read() {
+    const data = await this.storage.read();
+    const decrypted = await this._decryptData(data);
+    this._remember(data);
+    return decrypted;
+  }
+
+  /**
+   * @param {any} data
+   */
+  async write(data) {
+    const encrypted = await this._encryptData(data);
+    await this.storage.write(encrypted);
+    this._remember(encrypted);
+  }
+
+  async exists() {
+    return this.storage.exists();
+  }
+
+  async backup() {
+    await this.storage.backup();
+  }
+
+  async listBackups() {
+    if (typeof this.storage.listBackups !== 'function') return [];
+    return this.storage.listBackups();
+  }
+
+  /**
+   * @param {string} id - バックアップID。
+   */
+  async readBackup(id) {
+    return this._decryptData(await this.storage.readBackup(id));
+  }
+
+  /**
+   * 変更セットの各ドキュメントを暗号化して、ラップしたストレージに渡します。
+   * データ全体を必要とするストレージのために変更適用後のデータ全体も渡しますが、暗号化するのは変更されたドキュメントとメタデータのみです。
+   * @param {Array<any>} changes - 変更の配列。
+   * @param {any} data - 変更適用後のデータベース全体。
+   * @param {{ backup?: boolean }} [options={}] - 保存オプション。
+   */
+  async applyChanges(changes, data, options = {}) {
+    const encrypted = [];
+    for (const change of changes) {
+      if (change.type === 'metadata') {
+        encrypted.push({ ...change, metadata: await this._encryptMetadata(change.metadata) });
+      } else if (change.type === 'remove') {
+        encrypted.push(change);
+      } else {
+        encrypted.push({ ...change, doc: await this._encryptDoc(change.collection, change.doc) });
+      }
+    }
+    const encryptedData = await this._applyToEncrypted(data, encrypted);
+    if (typeof this.storage.applyChanges !== 'function') {
+      if (options.backup) await this.storage.backup();
+      await this.storage.write(encryptedData);
+    } else {
+      await this.storage.applyChanges(encrypted, encryptedData, options);
+    }
+    this._remember(encryptedData);
+  }
+
+  /**
+   * データ全体を暗号化し直して書き込みます。鍵の切り替えや既存データの暗号化に使用します。
+   * @param {any} data - データベース全体。
+   * @param {{ backup?: boolean }} [options={}] - 保存オプション。
+   */
+  async compact(data, options = {}) {
+    const encrypted = await this._encryptData(data);
+    if (typeof this.storage.compact === 'function') {
+      await this.storage.compact(encrypted, options);
+    } else {
+      if (options.backup) await this.storage.backup();
+      await this.storage.write(encrypted);
+    }
+    this._remember(encrypted);
+  }
+
+  async lock() {
+    if (typeof this.storage.lock === 'function') await this.storage.lock();
+  }
+
+  async unlock() {
+    if (typeof this.storage.unlock === 'function') await this.storage.unlock();
+  }
+
+  async hasChanged() {
+    if (typeof this.storage.hasChanged !== 'function') return false;
+    return this.storage.hasChanged();
+  }
+
+  /**
+   * @param {() => void} listener - 変更時に呼び出される関数。
+   * @returns {() => void} 購読を解除する関数。
+   */
+  subscribe(listener) {
+    if (typeof this.storage.subscribe !== 'function') return () => { };
+    return this.storage.subscribe(listener);
+  }
+
+  close() {
+    if (typeof this.storage.close === 'function') this.storage.close();
+  }
+}
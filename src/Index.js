@@ -0,0 +1,372 @@
+import { getPath, isOperatorObject, matchQuery } from './query.js';
+
+/**
+ * インデックスのキーとして使用する正規化済み文字列を生成します。
+ * オブジェクトはキー順序に依存しないよう、キーをソートしてシリアライズします。
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+export function indexKey(value) {
+  if (value === null || typeof value !== 'object') {
+    return `${typeof value}:${String(value)}`;
+  }
+  /**
+   * @param {any} v
+   * @returns {any}
+   */
+  const normalize = (v) => {
+    if (Array.isArray(v)) return v.map(normalize);
+    if (v !== null && typeof v === 'object') {
+      return Object.keys(v).sort().reduce((acc, k) => {
+        acc[k] = normalize(v[k]);
+        return acc;
+      }, /** @type {Record<string, any>} */ ({}));
+    }
+    return v;
+  };
+  return `json:${JSON.stringify(normalize(value))}`;
+}
+
+/**
+ * インメモリインデックス。
+ * 値の完全一致検索のためのハッシュマップと、範囲検索のためのソート済み配列を保持します。
+ * 複数フィールドを組み合わせた複合インデックスや、条件に一致するドキュメントのみを対象とする
+ * 部分インデックスもサポートします。
+ */
+export class FieldIndex {
+  /**
+   * @param {string} name - インデックス名。単一フィールドの場合はフィールド名（ドット記法可）。
+   * @param {Object} [options={}] - インデックスオプション。
+   * @param {Array<string>} [options.fields] - 複合インデックスの対象フィールド。省略時は `[name]`。
+   * @param {boolean} [options.sparse] - 対象フィールドのいずれかが存在しないドキュメントを除外するかどうか。
+   * @param {Object} [options.partialFilter] - このクエリに一致するドキュメントのみをインデックスに含めます。
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.fields = options.fields || [name];
+    this.options = options;
+    /** @type {Map<string, { value: any, docs: Set<Object> }>} */
+    this.map = new Map();
+    this.arrayCount = 0;
+    /** @type {Record<string, Array<{ value: any, docs: Set<Object> }>>|null} */
+    this._sorted = null;
+  }
+
+  /**
+   * 複合インデックスかどうか。
+   * @returns {boolean}
+   */
+  get compound() {
+    return this.fields.length > 1;
+  }
+
+  /**
+   * ドキュメントからインデックス値を取り出します。
+   * ドキュメントがインデックスの対象外の場合は undefined を返します。
+   *
+   * 単一フィールドの場合はフィールドが存在しないドキュメントを対象外とします。
+   * 複合インデックスの場合、すべてのフィールドが存在しないドキュメントは対象外となり、
+   * 一部のフィールドのみが存在しない場合は `sparse` でなければ null として扱います。
+   *
+   * @param {Object} doc
+   * @returns {any}
+   */
+  valueOf(doc) {
+    const values = this.fields.map(field => getPath(doc, field));
+    const present = values.filter(v => v !== undefined).length;
+    if (present === 0) return undefined;
+    if (present < values.length && (this.options.sparse || !this.compound)) return undefined;
+    if (this.options.partialFilter && !matchQuery(doc, this.options.partialFilter)) return undefined;
+    return this.compound ? values.map(v => (v === undefined ? null : v)) : values[0];
+  }
+
+  /**
+   * ドキュメントをインデックスに追加します。
+   * @param {Object} doc
+   */
+  add(doc) {
+    const value = this.valueOf(doc);
+    if (value === undefined) return;
+    const key = indexKey(value);
+    let entry = this.map.get(key);
+    if (!entry) {
+      entry = { value, docs: new Set() };
+      this.map.set(key, entry);
+      this._sorted = null;
+    }
+    entry.docs.add(doc);
+    if (Array.isArray(value)) this.arrayCount++;
+  }
+
+  /**
+   * ドキュメントをインデックスから削除します。
+   * @param {Object} doc
+   */
+  remove(doc) {
+    const value = this.valueOf(doc);
+    if (value === undefined) return;
+    const key = indexKey(value);
+    const entry = this.map.get(key);
+    if (!entry || !entry.docs.delete(doc)) return;
+    if (Array.isArray(value)) this.arrayCount--;
+    if (entry.docs.size === 0) {
+      this.map.delete(key);
+      this._sorted = null;
+    }
+  }
+
+  /**
+   * 指定したドキュメントと同じインデックス値を持つ、別のドキュメントを返します。
+   * ユニーク制約のチェックに使用します。
+   *
+   * @param {Object} doc - 挿入または更新後のドキュメント。
+   * @param {Object} [self] - 自分自身として除外するドキュメント（更新時の元ドキュメント）。
+   * @returns {Object|null}
+   */
+  findConflict(doc, self) {
+    const value = this.valueOf(doc);
+    if (value === undefined) return null;
+    for (const other of this.lookup(value)) {
+      if (other !== self) return other;
+    }
+    return null;
+  }
+
+  /**
+   * 同じインデックス値を持つドキュメントが複数存在するかどうかを判定します。
+   * @returns {boolean}
+   */
+  hasDuplicates() {
+    for (const entry of this.map.values()) {
+      if (entry.docs.size > 1) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 値に完全一致するドキュメントの集合を返します。
+   * @param {any} value
+   * @returns {Set<Object>}
+   */
+  lookup(value) {
+    const entry = this.map.get(indexKey(value));
+    return entry ? entry.docs : new Set();
+  }
+
+  /**
+   * 範囲演算子 (`$gt`, `$gte`, `$lt`, `$lte`) を満たすドキュメントの配列を返します。
+   * 演算子の値の型が混在している場合など、インデックスで評価できないときは null を返します。
+   *
+   * @param {Object} condition - 演算子式。
+   * @returns {Array<Object>|null}
+   */
+  range(condition) {
+    const bounds = Object.entries(condition).filter(([op]) => ['$gt', '$gte', '$lt', '$lte'].includes(op));
+    if (bounds.length === 0) return null;
+    const type = typeof bounds[0][1];
+    if ((type !== 'number' && type !== 'string') || bounds.some(([, v]) => typeof v !== type)) return null;
+
+    const sorted = this._getSorted(type);
+    const lower = bounds.filter(([op]) => op === '$gt' || op === '$gte');
+    const upper = bounds.filter(([op]) => op === '$lt' || op === '$lte');
+    const satisfiesLower = (/** @type {any} */ v) => lower.every(([op, b]) => (op === '$gt' ? v > b : v >= b));
+    const satisfiesUpper = (/** @type {any} */ v) => upper.every(([op, b]) => (op === '$lt' ? v < b : v <= b));
+
+    // 下限を満たす最初の位置を二分探索
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (satisfiesLower(sorted[mid].value)) hi = mid;
+      else lo = mid + 1;
+    }
+
+    const results = [];
+    for (let i = lo; i < sorted.length && satisfiesUpper(sorted[i].value); i++) {
+      results.push(...sorted[i].docs);
+    }
+    return results;
+  }
+
+  /**
+   * 指定した型の値を昇順に並べたエントリ配列を返します（変更があるまでキャッシュされます）。
+   * @private
+   * @param {string} type - `typeof` で得られる値の型。
+   * @returns {Array<{ value: any, docs: Set<Object> }>}
+   */
+  _getSorted(type) {
+    if (!this._sorted) this._sorted = {};
+    if (!this._sorted[type]) {
+      this._sorted[type] = [...this.map.values()]
+        .filter(entry => typeof entry.value === type)
+        .sort((a, b) => (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+    }
+    return this._sorted[type];
+  }
+}
+
+/**
+ * データベース全体のインデックスを管理するストア。
+ * `metadata.indices` の定義に基づいてコレクションごとにインデックスを構築し、
+ * クエリに対して走査対象となる候補ドキュメントを絞り込みます。
+ */
+export class IndexStore {
+  constructor() {
+    /** @type {Map<string, Map<string, FieldIndex>>} */
+    this.collections = new Map();
+    /** @type {Map<string, { order: WeakMap<Object, number>, counter: number }>} */
+    this.orders = new Map();
+  }
+
+  /**
+   * データベースのルートオブジェクトからすべてのインデックスを構築します。
+   *
+   * @param {{ metadata?: any, data?: Record<string, Array<Object>> }} root - `{ metadata, data }` 形式のデータベースオブジェクト。
+   * @returns {IndexStore}
+   */
+  static build(root) {
+    const store = new IndexStore();
+    const indices = (root.metadata && root.metadata.indices) || {};
+    for (const [collection, definitions] of Object.entries(indices)) {
+      const docs = (root.data && root.data[collection]) || [];
+      for (const [name, options] of Object.entries(definitions)) {
+        store.createIndex(collection, name, options, docs);
+      }
+    }
+    return store;
+  }
+
+  /**
+   * インデックスを作成し、既存のドキュメントで初期化します。
+   *
+   * @param {string} collection - コレクション名。
+   * @param {string} name - インデックス名（単一フィールドの場合はフィールド名）。
+   * @param {Object} options - インデックスオプション。
+   * @param {Array<Object>} docs - コレクションの現在のドキュメント。
+   */
+  createIndex(collection, name, options, docs) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+      const order = new WeakMap();
+      docs.forEach((doc, i) => order.set(doc, i));
+      this.orders.set(collection, { order, counter: docs.length });
+    }
+    const index = new FieldIndex(name, options);
+    docs.forEach(doc => index.add(doc));
+    /** @type {Map<string, FieldIndex>} */ (this.collections.get(collection)).set(name, index);
+  }
+
+  /**
+   * インデックスを取得します。
+   * @param {string} collection
+   * @param {string} name
+   * @returns {FieldIndex|undefined}
+   */
+  getIndex(collection, name) {
+    const indexes = this.collections.get(collection);
+    return indexes ? indexes.get(name) : undefined;
+  }
+
+  /**
+   * コレクションのインデックス一覧を取得します。
+   * @param {string} collection
+   * @returns {Array<FieldIndex>}
+   */
+  getIndexes(collection) {
+    const indexes = this.collections.get(collection);
+    return indexes ? [...indexes.values()] : [];
+  }
+
+  /**
+   * 新しく挿入されたドキュメントをインデックスに登録します。
+   * @param {string} collection
+   * @param {Object} doc
+   */
+  add(collection, doc) {
+    const indexes = this.collections.get(collection);
+    if (!indexes) return;
+    const state = this.orders.get(collection);
+    if (state && !state.order.has(doc)) state.order.set(doc, state.counter++);
+    indexes.forEach(index => index.add(doc));
+  }
+
+  /**
+   * 削除されたドキュメントをインデックスから取り除きます。
+   * @param {string} collection
+   * @param {Object} doc
+   */
+  remove(collection, doc) {
+    const indexes = this.collections.get(collection);
+    if (!indexes) return;
+    indexes.forEach(index => index.remove(doc));
+  }
+
+  /**
+   * ドキュメントを変更する処理の前後でインデックスを更新します。
+   *
+   * @param {string} collection
+   * @param {Object} doc - 変更対象のドキュメント。
+   * @param {Function} mutate - ドキュメントを直接変更する関数。
+   */
+  reindex(collection, doc, mutate) {
+    this.remove(collection, doc);
+    try {
+      mutate();
+    } finally {
+      this.add(collection, doc);
+    }
+  }
+
+  /**
+   * クエリに対してインデックスで絞り込んだ候補ドキュメントを返します。
+   * 候補は元の挿入順に並びます。利用可能なインデックスがない場合は null を返します。
+   *
+   * @param {string} collection - コレクション名。
+   * @param {Object} query - クエリオブジェクト。
+   * @returns {Array<Object>|null}
+   */
+  candidates(collection, query) {
+    const indexes = this.collections.get(collection);
+    if (!indexes || !query) return null;
+
+    /** @type {Array<Object>|null} */
+    let best = null;
+    for (const [field, condition] of Object.entries(query)) {
+      const index = indexes.get(field);
+      // 部分インデックスは対象外のドキュメントを含まないため、一般の検索には使用しない
+      if (!index || index.compound || index.options.partialFilter) continue;
+      const docs = this._lookup(index, condition);
+      if (docs && (best === null || docs.length < best.length)) {
+        best = docs;
+      }
+    }
+    if (best === null) return null;
+
+    const { order } = /** @type {{ order: WeakMap<Object, number> }} */ (this.orders.get(collection));
+    return best.sort((a, b) => (order.get(a) ?? 0) - (order.get(b) ?? 0));
+  }
+
+  /**
+   * 1つのフィールド条件をインデックスで評価します。評価できない場合は null を返します。
+   * @private
+   * @param {FieldIndex} index - 使用するインデックス。
+   * @param {any} condition - フィールドの条件。
+   * @returns {Array<Object>|null}
+   */
+  _lookup(index, condition) {
+    if (typeof condition === 'function' || condition instanceof RegExp || condition === undefined) return null;
+    if (!isOperatorObject(condition)) {
+      return [...index.lookup(condition)];
+    }
+    if ('$eq' in condition && condition.$eq !== undefined) {
+      return [...index.lookup(condition.$eq)];
+    }
+    if (Array.isArray(condition.$in) && index.arrayCount === 0 && !condition.$in.includes(undefined)) {
+      const docs = new Set();
+      condition.$in.forEach((/** @type {any} */ value) => index.lookup(value).forEach(doc => docs.add(doc)));
+      return [...docs];
+    }
+    return index.range(condition);
+  }
+}
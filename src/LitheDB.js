@@ -1,5 +1,133 @@
-import { FileStorage, MemoryStorage, LocalStorage, GoogleSheetsStorage, GASStorage } from './Storage.js';
+import { FileStorage, MemoryStorage, LocalStorage, IndexedDBStorage, SqliteStorage, DirectoryStorage, GoogleSheetsStorage, GASStorage, ConflictError } from './Storage.js';
 import Collection from './Collection.js';
+import { ChangeStream } from './ChangeStream.js';
+import { EncryptedStorage } from './Encryption.js';
+import { IndexStore, FieldIndex } from './Index.js';
+import { getPath, setPath, deepEqual, isPlainObject } from './query.js';
+
+/**
+ * リレーションの参照動作 (onDelete / onUpdate) として指定できる値。
+ */
+const REFERENTIAL_ACTIONS = ['restrict', 'cascade', 'setNull'];
+
+/**
+ * 3-way マージでメタデータを統合します。`base` から `local` への変更を `remote` に適用し、
+ * シリアル番号は ID の重複を避けるため大きい方を採用します。
+ * @param {any} base
+ * @param {any} local
+ * @param {any} remote
+ * @returns {any}
+ * @private
+ */
+function mergeMetadata(base, local, remote) {
+  /** @type {(b: any, l: any, r: any) => any} */
+  const merge = (b, l, r) => {
+    if (deepEqual(b, l)) return r;
+    if (!isPlainObject(l) || !isPlainObject(r) || !isPlainObject(b)) return l;
+    const result = { ...r };
+    for (const key of new Set([...Object.keys(b), ...Object.keys(l)])) {
+      if (!(key in l)) delete result[key];
+      else result[key] = merge(b[key], l[key], r[key]);
+    }
+    return result;
+  };
+  const merged = merge(base, local, remote);
+  merged.serial = Math.max(local.serial || 0, remote.serial || 0);
+  return merged;
+}
+
+/**
+ * ファイルパスからストレージを作成します。
+ * 末尾が区切り文字のパス、または `layout` オプションを指定した場合は DirectoryStorage、
+ * 拡張子が `.sqlite` / `.sqlite3` / `.db` の場合は SqliteStorage、それ以外は FileStorage を使用します。
+ * @param {string} filePath
+ * @param {Record<string, any>} options - LitheDB のコンストラクタに渡されたオプション。
+ * @private
+ */
+function storageForPath(filePath, options) {
+  if (/[\\/]$/.test(filePath) || options.layout) return new DirectoryStorage(filePath, options);
+  if (/\.(sqlite3?|db)$/i.test(filePath)) return new SqliteStorage(filePath, options);
+  return new FileStorage(filePath, options);
+}
+
+/**
+ * `AsyncLocalStorage` クラス。読み込み前は undefined、利用できない環境（ブラウザなど）では null。
+ * @private
+ * @type {any}
+ */
+let AsyncLocalStorageClass;
+
+/**
+ * ロックを保持している処理の非同期コンテキストを追跡するための `AsyncLocalStorage` を作成します。
+ * 利用できない環境では null を返します。
+ * @private
+ */
+async function createLockContext() {
+  if (AsyncLocalStorageClass === undefined) {
+    try {
+      ({ AsyncLocalStorage: AsyncLocalStorageClass } = await import('node:async_hooks'));
+    } catch {
+      AsyncLocalStorageClass = null;
+    }
+  }
+  return AsyncLocalStorageClass ? new AsyncLocalStorageClass() : null;
+}
+
+/**
+ * パスが既存のディレクトリかどうかを判定します。
+ * @private
+ * @param {string} path
+ * @returns {Promise<boolean>}
+ */
+async function isDirectory(path) {
+  const fs = await import('node:fs/promises');
+  try {
+    return (await fs.stat(path)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 読み込み直す前後のデータを比較し、内容が変わったコレクション名の一覧を返します。
+ * @private
+ * @param {Record<string, Array<Object>>} previous
+ * @param {Record<string, Array<Object>>} next
+ * @returns {Array<string>}
+ */
+function changedCollections(previous, next) {
+  return [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter(name => !deepEqual(previous[name] || [], next[name] || []));
+}
+
+/**
+ * 読み込み直す前後のデータを比較し、ドキュメント単位の変更の一覧を返します。
+ * 返されるドキュメントはクローンです。
+ * @private
+ * @param {Record<string, Array<any>>} previous
+ * @param {Record<string, Array<any>>} next
+ * @returns {Array<any>}
+ */
+function diffData(previous, next) {
+  const clone = (/** @type {Object} */ doc) => JSON.parse(JSON.stringify(doc));
+  const changes = [];
+  for (const collection of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    const remaining = new Map((previous[collection] || []).map(doc => [doc.id, doc]));
+    for (const doc of next[collection] || []) {
+      const before = remaining.get(doc.id);
+      remaining.delete(doc.id);
+      if (!before) {
+        changes.push({ type: 'insert', collection, id: doc.id, doc: clone(doc), before: null });
+      } else if (!deepEqual(before, doc)) {
+        changes.push({ type: 'update', collection, id: doc.id, doc: clone(doc), before: clone(before) });
+      }
+    }
+    for (const before of remaining.values()) {
+      changes.push({ type: 'remove', collection, id: before.id, doc: null, before: clone(before) });
+    }
+  }
+  return changes;
+}
 
 /**
  * LitheDB - AIフレンドリーな軽量JSONデータベース。
@@ -7,39 +135,89 @@ import Collection from './Collection.js';
  */
 export default class LitheDB {
   /**
-   * @param {Storage|string} storage - ストレージアダプターのインスタンス、またはファイルパス（FileStorage用）。
+   * @param {import('./Storage.js').Storage|string} storage - ストレージアダプターのインスタンス、またはファイルパス（FileStorage用。拡張子が `.sqlite` / `.db` の場合は SqliteStorage）。
    * @param {Object} [options={}] - 設定オプション。
    * @param {boolean} [options.backup=true] - 書き込み前に .bak ファイルを作成するかどうか。
+   * @param {boolean} [options.journal=false] - FileStorage をジャーナル（追記ログ）モードで使用するかどうか。
+   * @param {number} [options.compactThreshold] - ジャーナルをスナップショットへ圧縮するまでの書き込み回数。
+   * @param {boolean} [options.lock=false] - FileStorage でロックファイルによるプロセス間の排他制御を有効にするかどうか。
+   * @param {number} [options.lockTimeout] - ロックの取得を待つ最大時間（ミリ秒）。
+   * @param {'json'|'compact'|'jsonl'} [options.format] - FileStorage のスナップショットの形式。省略時は既存のファイルと同じ形式。
+   * @param {'none'|'gzip'|'brotli'} [options.compression] - FileStorage のスナップショットの圧縮方式。省略時は既存のファイルまたは拡張子から判定します。
+   * @param {'collection'|'document'} [options.layout] - DirectoryStorage のファイルの分割単位。指定するとパスをディレクトリとして扱います。
+   * @param {number} [options.keepBackups=1] - 保持するバックアップの世代数（`storage` にファイルパスを指定した場合）。
+   * @param {number} [options.backupMaxAge] - この時間（ミリ秒）より古いバックアップを削除します（`storage` にファイルパスを指定した場合）。
+   * @param {boolean|Object} [options.encryption] - 保存時の暗号化。`EncryptedStorage` のオプション (`key`, `previousKeys`, `fields`) を指定します。
+   *   `true` の場合は環境変数 `LITHE_DB_ENCRYPTION_KEY` の鍵を使用します。
    */
   constructor(storage, options = {}) {
-    if (typeof storage === 'string') {
-      this.storage = new FileStorage(storage);
-    } else {
-      this.storage = storage;
+    /** @type {any} 任意のメソッド（`lock` や `compact` など）は実装されている場合のみ使用する */
+    this.storage = typeof storage === 'string' ? storageForPath(storage, options) : storage;
+    if (options.encryption) {
+      this.storage = new EncryptedStorage(this.storage, options.encryption === true ? {} : options.encryption);
     }
     this.options = { backup: true, ...options };
     this.data = null;
     this.inTransaction = false;
     this.transactionData = null;
+    this.indexes = new IndexStore();
+    this.transactionIndexes = null;
+    /** @type {Array<any>} 前回の保存以降の変更（保存時に変更セットとしてストレージへ渡す） */
+    this.changes = [];
+    /** @type {Array<any> | null} */
+    this.transactionChanges = null;
+    /** @type {string | null} 前回保存したメタデータの JSON */
+    this._savedMetadata = null;
+    this._lockDepth = 0;
+    this._lockQueue = Promise.resolve();
+    /** @type {any} ロックを保持している処理のコンテキスト（未作成の場合は undefined） */
+    this._lockContext = undefined;
+    this._nestedDepth = 0;
+    this._generation = 0;
+    /** @type {Map<string, number>} コレクションごとの最後に変更された世代（トランザクションの競合検出に使用） */
+    this._modifiedAt = new Map();
+    /** 変更されたコレクションを特定せずにデータ全体を読み込んだ世代 */
+    this._loadedAt = 0;
+    this._unsubscribe = null;
+    this._transactionQueue = Promise.resolve();
+    /** @type {Set<ChangeStream>} */
+    this.watchers = new Set();
     this.collections = new Map();
   }
 
   /**
    * 現在の環境（Node.js または ブラウザ）に最適なストレージを自動選択してインスタンスを作成する静的ファクトリメソッド。
-   * Node.js環境では FileStorage、ブラウザ環境では LocalStorage を使用します。
+   * Node.js環境では FileStorage（拡張子が `.sqlite` / `.db` の場合は SqliteStorage、既存のディレクトリや末尾が `/` のパスの場合は DirectoryStorage）、ブラウザ環境では IndexedDB が利用可能であれば IndexedDBStorage、
+   * そうでなければ LocalStorage を使用します。
+   * IndexedDBStorage が空で、同じキーの LocalStorage にデータが存在する場合は、そのデータを引き継ぎます。
    * 
-   * @param {string} [target] - ファイルパス（Node）またはストレージキー（ブラウザ）。
-   * @param {Object} [options] - データベースオプション。
+   * @param {string} [target] - ファイルパス（Node）またはデータベース名・ストレージキー（ブラウザ）。
+   * @param {Record<string, any>} [options] - データベースオプション（コンストラクタと同じ）。
    * @returns {Promise<LitheDB>}
    */
   static async create(target, options = {}) {
     let storage;
-    if (typeof window !== 'undefined' && window.localStorage) {
-      storage = new LocalStorage(target || 'lithe-db');
+    let legacy = null;
+    if (typeof window !== 'undefined' && window.indexedDB) {
+      storage = new IndexedDBStorage(target || 'lithe-db', { ...options, indexedDB: window.indexedDB });
+      if (window.localStorage && !(await storage.exists())) {
+        legacy = new LocalStorage(target || 'lithe-db');
+      }
+    } else if (typeof window !== 'undefined' && window.localStorage) {
+      storage = new LocalStorage(target || 'lithe-db', options);
+    } else if (target && await isDirectory(target)) {
+      storage = new DirectoryStorage(target, options);
     } else {
-      storage = new FileStorage(target || 'database.json');
+      storage = storageForPath(target || 'database.json', options);
     }
     const db = new LitheDB(storage, options);
+    if (legacy && await legacy.exists()) {
+      // 暗号化が有効な場合は暗号化して移行するため、ラップ後のストレージに書き込む
+      const data = db.storage instanceof EncryptedStorage
+        ? await new EncryptedStorage(legacy, options.encryption === true ? {} : options.encryption).read()
+        : await legacy.read();
+      await db.storage.write(data);
+    }
     await db.load();
     return db;
   }
@@ -51,6 +229,38 @@ export default class LitheDB {
     this.data = await this.storage.read();
     if (!this.data.metadata) this.data.metadata = { indices: {}, relations: {}, serial: 0 };
     if (!this.data.data) this.data.data = {};
+    this.indexes = IndexStore.build(this.data);
+    this.changes = [];
+    this._savedMetadata = JSON.stringify(this.data.metadata);
+    this._generation++;
+    this._loadedAt = this._generation;
+    if (!this._unsubscribe && typeof this.storage.subscribe === 'function') {
+      this._unsubscribe = this.storage.subscribe(() => this._onExternalChange());
+    }
+  }
+
+  /**
+   * ストレージの購読と、すべてのチェンジストリームを終了し、ストレージの接続を閉じます。
+   */
+  close() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    [...this.watchers].forEach(stream => stream.close());
+    if (typeof this.storage.close === 'function') {
+      this.storage.close();
+    }
+  }
+
+  /**
+   * ストレージから他のタブ（またはプロセス）による変更が通知されたときに呼び出されます。
+   * 書き込み中やトランザクション中は読み込み直さず、保存時の競合検出に任せます。
+   * @private
+   */
+  async _onExternalChange() {
+    if (this._lockDepth > 0 || this.inTransaction) return;
+    await this._refresh();
   }
 
   /**
@@ -67,6 +277,8 @@ export default class LitheDB {
 
   /**
    * @private
+   * @param {string} name - コレクション名。
+   * @returns {Array<any>}
    */
   _getCollectionData(name) {
     const root = this.inTransaction ? this.transactionData : this.data;
@@ -84,6 +296,15 @@ export default class LitheDB {
     root.data[name] = data;
   }
 
+  /**
+   * 現在のコンテキスト（通常またはトランザクション）のインデックスストアを取得します。
+   * @private
+   * @returns {IndexStore}
+   */
+  _getIndexStore() {
+    return /** @type {IndexStore} */ (this.inTransaction ? this.transactionIndexes : this.indexes);
+  }
+
   /**
    * @private
    */
@@ -94,34 +315,425 @@ export default class LitheDB {
   }
 
   /**
+   * ドキュメント単位の変更を記録します。記録された変更は次回の保存時にストレージへ渡され、
+   * 保存に成功した後に変更イベントとして `watch()` の購読者へ通知されます。
+   * @param {{ type: 'insert' | 'update' | 'remove', collection: string, doc: any, before?: Object }} change
+   *   `before` には更新前のドキュメント（クローン）を指定します。削除の場合は `doc` が削除前のドキュメントになります。
+   * @private
+   */
+  _recordChange({ type, collection, doc, before }) {
+    const clone = JSON.parse(JSON.stringify(doc));
+    /** @type {Array<any>} */ (this.inTransaction ? this.transactionChanges : this.changes).push({
+      type,
+      collection,
+      id: doc.id,
+      doc: type === 'remove' ? null : clone,
+      before: type === 'remove' ? clone : (before || null)
+    });
+  }
+
+  /**
+   * 記録された変更を、ストレージに渡すためのシリアライズ済みの変更セットに変換して取り出します。
+   * メタデータ（シリアル番号、インデックス、リレーションなど）が前回の保存から変化していれば、その変更も含めます。
    * @private
    */
+  _takeChanges() {
+    /** @type {Array<any>} */
+    const changes = this.changes.map(({ type, collection, id, doc }) => {
+      if (type === 'remove') return { type, collection, id };
+      return { type, collection, doc };
+    });
+    this.changes = [];
+
+    const metadata = JSON.stringify(this.data.metadata);
+    if (metadata !== this._savedMetadata) {
+      changes.unshift({ type: 'metadata', metadata: JSON.parse(metadata) });
+      this._savedMetadata = metadata;
+    }
+    return changes;
+  }
+
+  /**
+   * 前回の保存以降の変更をストレージに書き込む内部ヘルパー。CLI や HTTP サーバーからも使用します。
+   */
   async _save() {
     if (this.inTransaction) return; // トランザクション中は保存しない
-    if (this.options.backup) {
+    this._generation++;
+    const recorded = this.changes;
+    this._markModified(recorded);
+    const changes = this._takeChanges();
+    try {
+      if (typeof this.storage.applyChanges === 'function') {
+        await this.storage.applyChanges(changes, this.data, { backup: this.options.backup });
+      } else {
+        if (this.options.backup) {
+          await this.storage.backup();
+        }
+        await this.storage.write(this.data);
+      }
+    } catch (error) {
+      // 他のプロセスの変更を上書きしないよう、今回の変更を破棄して最新の状態を読み込み直す
+      if (error instanceof ConflictError) await this.load();
+      throw error;
+    }
+    this._emitChanges(recorded);
+  }
+
+  /**
+   * 変更されたコレクションに現在の世代を記録します。
+   * @param {Array<{ collection?: string }>} changes - 記録された変更。
+   * @protected
+   */
+  _markModified(changes) {
+    for (const { collection } of changes) {
+      if (collection) this._modifiedAt.set(collection, this._generation);
+    }
+  }
+
+  /**
+   * 保存された変更を変更イベントとして購読者に通知します。
+   * @param {Array<any>} recorded - 記録された変更。
+   * @param {'local' | 'external'} [source='local'] - このインスタンスによる変更か、他のタブ・プロセスから読み込んだ変更か。
+   * @private
+   */
+  _emitChanges(recorded, source = 'local') {
+    if (this.watchers.size === 0) return;
+    for (const { type, collection, id, doc, before } of recorded) {
+      const event = { type, collection, id, before, after: doc, source };
+      for (const stream of [...this.watchers]) {
+        stream._push(event);
+      }
+    }
+  }
+
+  /**
+   * コレクションの変更を購読するチェンジストリームを作成します。
+   * 変更イベントはストレージへの保存に成功した後（トランザクションの場合はコミット後）に通知され、
+   * ロールバックされた変更や保存に失敗した変更は通知されません。
+   *
+   * @param {string} [collection] - 対象のコレクション名。省略時はすべてのコレクションが対象です。
+   * @param {Object|Function} [query] - 変更前または変更後のドキュメントがこのクエリに一致するイベントのみを通知します。
+   * @returns {ChangeStream}
+   */
+  watch(collection, query) {
+    const stream = new ChangeStream(this, collection, query);
+    this.watchers.add(stream);
+    return stream;
+  }
+
+  /**
+   * 読み込み・変更・保存の一連の処理を排他的に実行します。
+   *
+   * 同じインスタンスで同時に呼び出された処理は、呼び出し順に1つずつ実行されます。
+   * ストレージがロックをサポートしていればロックを取得し、他のプロセスによる変更が検出された場合は
+   * 処理の前に最新のデータを読み込み直します。入れ子の呼び出し（フック内での書き込みなど）では
+   * 外側の呼び出しで取得したロックを共有します。
+   *
+   * @param {Function} fn - 実行する処理。
+   * @param {{ reload?: boolean }} [options={}] - `reload: false` の場合は読み込み直さず、変更があれば保存時に ConflictError となります。
+   * @returns {Promise<any>} `fn` の戻り値。
+   */
+  async _withLock(fn, options = {}) {
+    if (this.inTransaction) return fn(); // トランザクション中はコミット時にまとめて排他制御する
+    if (this._lockContext === undefined) this._lockContext = await createLockContext();
+    if (this._lockDepth > 0 && this._isNestedCall()) {
+      this._lockDepth++;
+      try {
+        return await fn();
+      } finally {
+        this._lockDepth--;
+      }
+    }
+    const run = this._lockQueue.then(() => this._runLocked(fn, options.reload !== false));
+    // 失敗した処理が後続の処理を止めないようにする
+    this._lockQueue = run.catch(() => { });
+    return run;
+  }
+
+  /**
+   * ロックを取得して処理を実行し、完了後にロックを解放します。
+   * @param {Function} fn - 実行する処理。
+   * @param {boolean} reload - 他のプロセスによる変更を読み込み直すかどうか。
+   * @private
+   */
+  async _runLocked(fn, reload) {
+    this._lockDepth++;
+    try {
+      await this._acquireLock(reload);
+      return await (this._lockContext ? this._lockContext.run(true, fn) : fn());
+    } finally {
+      if (--this._lockDepth === 0 && typeof this.storage.unlock === 'function') {
+        await this.storage.unlock();
+      }
+    }
+  }
+
+  /**
+   * 現在の呼び出しが、ロックを保持している処理の中からの呼び出しかどうかを判定します。
+   * `AsyncLocalStorage` を利用できない環境では、`_nested()` の実行中の呼び出しを入れ子とみなします。
+   * @private
+   */
+  _isNestedCall() {
+    if (this._lockContext) return this._lockContext.getStore() === true;
+    return this._nestedDepth > 0;
+  }
+
+  /**
+   * ロックを保持している処理の中で、書き込みを行う可能性のある処理（フックなど）を実行します。
+   * @param {Function} fn - 実行する処理。
+   * @returns {Promise<any>} `fn` の戻り値。
+   * @private
+   */
+  async _nested(fn) {
+    this._nestedDepth++;
+    try {
+      return await fn();
+    } finally {
+      this._nestedDepth--;
+    }
+  }
+
+  /**
+   * @param {boolean} reload
+   * @private
+   */
+  async _acquireLock(reload) {
+    if (typeof this.storage.lock === 'function') {
+      await this.storage.lock();
+    }
+    if (reload) await this._refresh();
+  }
+
+  /**
+   * 他のプロセスによる変更が検出された場合に、最新のデータを読み込み直す内部ヘルパー。HTTP サーバーからも使用します。
+   */
+  async _refresh() {
+    if (typeof this.storage.hasChanged === 'function' && await this.storage.hasChanged()) {
+      await this._reload();
+    }
+  }
+
+  /**
+   * 他のプロセスによる変更を読み込み直します。
+   * まだ保存されていないメタデータの変更（`defineRelation` などによるもの）は、読み込んだメタデータに引き継ぎます。
+   * @private
+   */
+  async _reload() {
+    const saved = JSON.parse(/** @type {string} */ (this._savedMetadata));
+    const previous = this.data;
+    const local = previous.metadata;
+    const loadedAt = this._loadedAt;
+    await this.load();
+    // 変更されたコレクションが分かるため、実行中のトランザクションはそれ以外のコレクションへの変更とは競合しない
+    this._loadedAt = loadedAt;
+    this._markModified(changedCollections(previous.data, this.data.data).map(collection => ({ collection })));
+    if (JSON.stringify(local) !== JSON.stringify(saved)) {
+      this.data.metadata = mergeMetadata(saved, local, this.data.metadata);
+      this.indexes = IndexStore.build(this.data);
+    }
+    if (this.watchers.size > 0) {
+      this._emitChanges(diffData(previous.data, this.data.data), 'external');
+    }
+  }
+
+  /**
+   * 現在のデータ全体をストレージに書き込みます。
+   * ジャーナルモードの FileStorage では、ジャーナルをスナップショットへ圧縮します。
+   * FileStorage の `format` / `compression` を変更して開いた後に実行すると、既存のファイルを新しい形式に変換できます。
+   */
+  async compact() {
+    if (this.inTransaction) throw new Error('Cannot compact during a transaction');
+    await this._withLock(async () => {
+      this._takeChanges();
+      if (typeof this.storage.compact === 'function') {
+        await this.storage.compact(this.data, { backup: this.options.backup });
+        return;
+      }
+      if (this.options.backup) {
+        await this.storage.backup();
+      }
+      await this.storage.write(this.data);
+    });
+  }
+
+  /**
+   * ストレージに保存されているバックアップの一覧を新しい順に返します。
+   * @returns {Promise<Array<{ id: string, createdAt: string }>>}
+   */
+  async listBackups() {
+    if (typeof this.storage.listBackups !== 'function') return [];
+    return this.storage.listBackups();
+  }
+
+  /**
+   * 現在のストレージの内容をバックアップし、作成したバックアップを返します。
+   * 保存のたびにバックアップを作成しないストレージ（`SqliteStorage` や `IndexedDBStorage` など）では、
+   * このメソッドで明示的にスナップショットを作成します。
+   * @returns {Promise<{ id: string, createdAt: string }|null>}
+   */
+  async backup() {
+    return this._withLock(async () => {
       await this.storage.backup();
+      const [latest] = await this.listBackups();
+      return latest || null;
+    });
+  }
+
+  /**
+   * 指定したバックアップの時点にデータベースを復元します。
+   * `backup` オプションが有効な場合は、復元前の状態もバックアップとして保存されるため、復元を取り消すことができます。
+   * 保存されていない変更は破棄され、復元による差分は変更イベントとして通知されます。
+   *
+   * @param {string} snapshotId - バックアップID (`listBackups()` の `id`)。
+   * @throws {Error} トランザクション中の場合、またはバックアップが存在しない場合。
+   */
+  async restore(snapshotId) {
+    if (this.inTransaction) throw new Error('Cannot restore during a transaction');
+    if (typeof this.storage.readBackup !== 'function') {
+      throw new Error('This storage does not support restoring backups');
+    }
+    await this._withLock(async () => {
+      const snapshot = await this.storage.readBackup(snapshotId);
+      const previous = this.data;
+      if (typeof this.storage.compact === 'function') {
+        await this.storage.compact(snapshot, { backup: this.options.backup });
+      } else {
+        if (this.options.backup) {
+          await this.storage.backup();
+        }
+        await this.storage.write(snapshot);
+      }
+      await this.load();
+      if (this.watchers.size > 0) {
+        this._emitChanges(diffData(previous.data, this.data.data));
+      }
+    });
+  }
+
+  /**
+   * スコープ付きのトランザクションを実行します。
+   *
+   * `fn` にはトランザクション専用のハンドル `tx` が渡され、`tx.collection(name)` で取得したコレクションへの
+   * 変更はデータのスナップショットに対して行われます。`fn` が正常に終了するとまとめてコミットされ、
+   * 例外がスローされた場合はすべての変更が破棄されて例外が再スローされます。
+   * トランザクションの外（`db.collection(name)`）からの書き込みはトランザクションに混入しません。
+   *
+   * 同じインスタンスで同時に呼び出されたトランザクションは、開始順に1つずつ実行されます。
+   * そのため `fn` の中から `db.transaction()` を呼び出すとデッドロックします。入れ子にする場合は `tx.savepoint()` を使用してください。
+   *
+   * @param {(tx: Transaction) => Promise<any>} fn - トランザクション内で実行する処理。
+   * @returns {Promise<any>} `fn` の戻り値。
+   * @throws {ConflictError} トランザクションの実行中に、トランザクションが参照・変更したコレクション（およびリレーションで関連するコレクション）が
+   *   トランザクションの外や他のプロセスから変更された場合にスローされます。
+   */
+  async transaction(fn) {
+    const run = this._transactionQueue.then(() => this._runTransaction(fn));
+    // 失敗したトランザクションが後続のトランザクションを止めないようにする
+    this._transactionQueue = run.catch(() => { });
+    return run;
+  }
+
+  /**
+   * @param {(tx: Transaction) => Promise<any>} fn
+   * @private
+   */
+  async _runTransaction(fn) {
+    if (this.inTransaction) {
+      throw new Error('Cannot start a transaction while beginTransaction() is active');
+    }
+    await this._refresh();
+    const tx = new Transaction(this);
+    const result = await fn(tx);
+    // 他のプロセスによる変更は読み込み直した上で、関連するコレクションが変更されていれば競合とする
+    await this._withLock(async () => {
+      this._applyTransaction(tx);
+      await this._save();
+    });
+    return result;
+  }
+
+  /**
+   * 完了したトランザクション（またはセーブポイント）の内容を、このインスタンスに反映します。
+   * トランザクションが参照・変更したコレクションに開始後の書き込みが行われていた場合は、変更を上書きしないよう ConflictError をスローします。
+   * それ以外のコレクションへの書き込みは保持し、メタデータの変更は 3-way マージで統合します。
+   * セーブポイントの反映にも使用する内部ヘルパーです。
+   * @param {Transaction} tx
+   */
+  _applyTransaction(tx) {
+    const since = tx._baseGeneration;
+    const conflicting = this._loadedAt > since
+      ? 'database'
+      : [...this._relatedCollections(tx._touchedCollections())].find(name => (this._modifiedAt.get(name) ?? 0) > since);
+    if (conflicting) {
+      throw new ConflictError(conflicting, 'was modified outside the transaction');
+    }
+    const base = JSON.parse(tx._baseMetadata);
+    if (!deepEqual(base, this.data.metadata)) {
+      tx.data.metadata = mergeMetadata(base, tx.data.metadata, this.data.metadata);
+      tx.indexes = IndexStore.build(tx.data);
+    }
+    if (this._generation === since) {
+      this.data = tx.data;
+      this.indexes = tx.indexes;
+    } else {
+      // トランザクションが変更したコレクションのみを置き換え、他のコレクションへの書き込みを残す
+      /** @type {Record<string, Array<Object>>} */
+      const data = { ...this.data.data };
+      for (const { collection } of tx.changes) {
+        if (collection) data[collection] = tx.data.data[collection] || [];
+      }
+      this.data = { metadata: tx.data.metadata, data };
+      this.indexes = IndexStore.build(this.data);
     }
-    await this.storage.write(this.data);
+    this.changes.push(...tx.changes);
+  }
+
+  /**
+   * コレクション名に、リレーションで参照している・参照されているコレクションを加えた一覧を返します。
+   * @param {Set<string>} names - コレクション名。
+   * @returns {Set<string>}
+   * @private
+   */
+  _relatedCollections(names) {
+    const related = new Set(names);
+    const relations = this.data.metadata.relations || {};
+    for (const [collection, fields] of Object.entries(relations)) {
+      for (const config of Object.values(fields)) {
+        if (names.has(collection)) related.add(config.ref);
+        if (names.has(config.ref)) related.add(collection);
+        if (config.through && (names.has(collection) || names.has(config.ref))) related.add(config.through.collection);
+      }
+    }
+    return related;
   }
 
   /**
    * 新しいトランザクションを開始します。変更はメモリ上のサンドボックスに対して行われます。
+   * 操作の途中で例外が発生した場合は `rollback()` を呼び出す必要があります。新しいコードでは `transaction()` の使用を推奨します。
    */
   async beginTransaction() {
     await this.load(); // 最新データを確実にロード
     this.inTransaction = true;
     this.transactionData = JSON.parse(JSON.stringify(this.data));
+    this.transactionIndexes = IndexStore.build(this.transactionData);
+    this.transactionChanges = [];
   }
 
   /**
    * 現在のトランザクションをストレージにコミット（保存）します。
+   * @throws {ConflictError} トランザクションの開始後に他のプロセスがデータを変更していた場合にスローされます。
+   *   この場合トランザクションの変更は破棄され、最新のデータが読み込まれます。
    */
   async commit() {
     if (!this.inTransaction) return;
     this.data = this.transactionData;
+    this.indexes = /** @type {IndexStore} */ (this.transactionIndexes);
+    this.changes.push(.../** @type {Array<any>} */ (this.transactionChanges));
     this.inTransaction = false;
     this.transactionData = null;
-    await this._save();
+    this.transactionIndexes = null;
+    this.transactionChanges = null;
+    await this._withLock(() => this._save(), { reload: false });
   }
 
   /**
@@ -130,6 +742,8 @@ export default class LitheDB {
   rollback() {
     this.inTransaction = false;
     this.transactionData = null;
+    this.transactionIndexes = null;
+    this.transactionChanges = null;
   }
 
   /**
@@ -140,77 +754,425 @@ export default class LitheDB {
    * @param {Object} config - リレーション設定。
    * @param {string} config.ref - 参照先のコレクション名。
    * @param {string} [config.field='id'] - 参照先のフィールド名。
+   * @param {string} [config.onDelete] - 参照先が削除されたときの動作 ('restrict' | 'cascade' | 'setNull')。省略時は何もしません。
+   * @param {string} [config.onUpdate] - 参照先のフィールド値が変更されたときの動作 ('restrict' | 'cascade' | 'setNull')。省略時は何もしません。
+   * @param {string} [config.type] - 仮想リレーションの種類。`'hasMany'`（参照元の一覧を逆引き）または `'manyToMany'`（中間コレクション経由）。
+   *   仮想リレーションの `field` は値を保持せず、populate 時にのみ展開されます。
+   * @param {string} [config.localField='id'] - 仮想リレーションで照合に使用するこのコレクションのフィールド名。
+   * @param {{ collection: string, localField: string, refField: string }} [config.through] - `manyToMany` の中間コレクション (`{ collection, localField, refField }`)。
+   * @throws {Error} 不明な動作や不正なリレーション定義が指定された場合にスローされます。
    */
   defineRelation(collection, field, config) {
+    if (config.type !== undefined && !['hasMany', 'manyToMany'].includes(config.type)) {
+      throw new Error(`Invalid relation type: ${config.type} (expected hasMany or manyToMany)`);
+    }
+    if (config.type === 'hasMany' && !config.field) {
+      throw new Error('hasMany relation requires field (the foreign key in the referenced collection)');
+    }
+    if (config.type === 'manyToMany' && !(config.through && config.through.collection && config.through.localField && config.through.refField)) {
+      throw new Error('manyToMany relation requires through: { collection, localField, refField }');
+    }
+    for (const key of /** @type {Array<'onDelete' | 'onUpdate'>} */ (['onDelete', 'onUpdate'])) {
+      if (config[key] !== undefined && !REFERENTIAL_ACTIONS.includes(config[key])) {
+        throw new Error(`Invalid ${key} action: ${config[key]} (expected one of ${REFERENTIAL_ACTIONS.join(', ')})`);
+      }
+    }
     const root = this.inTransaction ? this.transactionData : this.data;
     if (!root.metadata.relations[collection]) {
       root.metadata.relations[collection] = {};
     }
-    root.metadata.relations[collection][field] = {
+    /** @type {Record<string, any>} */
+    const relation = {
       ref: config.ref,
       field: config.field || 'id'
     };
+    if (config.type) {
+      relation.type = config.type;
+      relation.localField = config.localField || 'id';
+      if (config.through) relation.through = { ...config.through };
+    }
+    if (config.onDelete) relation.onDelete = config.onDelete;
+    if (config.onUpdate) relation.onUpdate = config.onUpdate;
+    root.metadata.relations[collection][field] = relation;
+  }
+
+  /**
+   * 全コレクションのリレーションを検査し、参照先が存在しない外部キー（孤立した参照）を報告します。
+   * 
+   * @returns {Promise<Array<{ collection: string, id: string, field: string, value: any, ref: string, refField: string }>>} 孤立した参照の一覧。
+   */
+  async checkIntegrity() {
+    const root = this.inTransaction ? this.transactionData : this.data;
+    const orphans = [];
+    for (const [collectionName, relations] of Object.entries(root.metadata.relations)) {
+      const docs = root.data[collectionName] || [];
+      for (const [field, config] of Object.entries(relations)) {
+        if (config.type) continue;
+        const refCollection = this.collection(config.ref);
+        for (const doc of docs) {
+          const value = getPath(doc, field);
+          if (value === undefined || value === null) continue;
+          for (const item of Array.isArray(value) ? value : [value]) {
+            if (refCollection._findRaw({ [config.field]: item }).length === 0) {
+              orphans.push({ collection: collectionName, id: doc.id, field, value: item, ref: config.ref, refField: config.field });
+            }
+          }
+        }
+      }
+    }
+    return orphans;
+  }
+
+  /**
+   * 指定したコレクションを参照しているリレーションの一覧を取得します。
+   * @param {string} collectionName
+   * @returns {Array<{ collection: string, field: string, config: any }>}
+   * @private
+   */
+  _getReferencingRelations(collectionName) {
+    const root = this.inTransaction ? this.transactionData : this.data;
+    const result = [];
+    for (const [source, relations] of Object.entries(root.metadata.relations)) {
+      for (const [field, config] of Object.entries(relations)) {
+        if (config.ref === collectionName && !config.type) {
+          result.push({ collection: source, field, config });
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * ドキュメントの削除に伴う参照動作 (onDelete) を計画します。
+   * `restrict` に該当する参照があればこの時点でエラーとなり、データは一切変更されません。
+   * 
+   * @param {string} collectionName - 削除対象のコレクション名。
+   * @param {Array<Object>} docs - 削除対象のドキュメント（内部データへの参照）。
+   * @param {{ removals: Map<string, Set<Object>>, nullify: Array<{ collection: string, doc: Object, field: string }> }} [plan] - 再帰呼び出し用の計画。
+   * @returns {{ removals: Map<string, Set<Object>>, nullify: Array<{ collection: string, doc: Object, field: string }> }}
+   * @throws {Error} `restrict` の参照が存在する場合、または `setNull` がスキーマに違反する場合にスローされます。
+   * @private
+   */
+  _planRemoval(collectionName, docs, plan = { removals: new Map(), nullify: [] }) {
+    if (!plan.removals.has(collectionName)) plan.removals.set(collectionName, new Set());
+    const removing = /** @type {Set<Object>} */ (plan.removals.get(collectionName));
+    const added = docs.filter(doc => !removing.has(doc));
+    added.forEach(doc => removing.add(doc));
+    if (added.length === 0) return plan;
+
+    for (const { collection, field, config } of this._getReferencingRelations(collectionName)) {
+      if (!config.onDelete) continue;
+      const values = added.map(doc => getPath(doc, config.field)).filter(v => v !== undefined && v !== null);
+      if (values.length === 0) continue;
+
+      const refCollection = this.collection(collection);
+      const alreadyRemoved = plan.removals.get(collection) || new Set();
+      const referencing = refCollection._findRaw({ [field]: { $in: values } }).filter(doc => !alreadyRemoved.has(doc));
+      if (referencing.length === 0) continue;
+
+      if (config.onDelete === 'restrict') {
+        throw new Error(`Relation restrict error: cannot remove from ${collectionName} because ${referencing.length} record(s) in ${collection}.${field} reference it`);
+      }
+      if (config.onDelete === 'cascade') {
+        this._planRemoval(collection, referencing, plan);
+      } else if (config.onDelete === 'setNull') {
+        for (const doc of referencing) {
+          const next = JSON.parse(JSON.stringify(doc));
+          setPath(next, field, null);
+          refCollection._validate(next);
+          plan.nullify.push({ collection, doc, field });
+        }
+      }
+    }
+    return plan;
+  }
+
+  /**
+   * `_planRemoval` で作成した計画を適用します。
+   * @param {{ removals: Map<string, Set<Object>>, nullify: Array<{ collection: string, doc: any, field: string }> }} plan
+   * @private
+   */
+  _applyRemovalPlan(plan) {
+    const indexStore = this._getIndexStore();
+    const now = new Date().toISOString();
+    for (const [collectionName, removing] of plan.removals) {
+      if (removing.size === 0) continue;
+      const docs = this._getCollectionData(collectionName);
+      removing.forEach(doc => {
+        indexStore.remove(collectionName, doc);
+        this._recordChange({ type: 'remove', collection: collectionName, doc });
+      });
+      this._setCollectionData(collectionName, docs.filter(doc => !removing.has(doc)));
+    }
+    for (const { collection, doc, field } of plan.nullify) {
+      const removing = plan.removals.get(collection);
+      if (removing && removing.has(doc)) continue;
+      const before = JSON.parse(JSON.stringify(doc));
+      indexStore.reindex(collection, doc, () => {
+        setPath(doc, field, null);
+        doc.updated_at = now;
+        doc._version = (doc._version || 0) + 1;
+      });
+      this._recordChange({ type: 'update', collection, doc, before });
+    }
+  }
+
+  /**
+   * ドキュメントの更新に伴う参照動作 (onUpdate) を実行します。
+   * 変更したドキュメントは `journal` に記録され、呼び出し元がエラー時に元へ戻せるようにします。
+   * 
+   * @param {string} collectionName - 更新対象のコレクション名。
+   * @param {Object} before - 更新前のドキュメント。
+   * @param {Object} after - 更新後のドキュメント。
+   * @param {Array<{ collection: string, doc: Object, before: Object }>} journal - 変更の記録。
+   * @throws {Error} `restrict` の参照が存在する場合、または参照元の更新が制約に違反する場合にスローされます。
+   * @private
+   */
+  _propagateUpdate(collectionName, before, after, journal) {
+    const now = new Date().toISOString();
+    for (const { collection, field, config } of this._getReferencingRelations(collectionName)) {
+      if (!config.onUpdate) continue;
+      const oldValue = getPath(before, config.field);
+      const newValue = getPath(after, config.field);
+      if (oldValue === undefined || oldValue === null || deepEqual(oldValue, newValue)) continue;
+
+      const refCollection = this.collection(collection);
+      const referencing = refCollection._findRaw({ [field]: oldValue });
+      if (referencing.length === 0) continue;
+
+      if (config.onUpdate === 'restrict') {
+        throw new Error(`Relation restrict error: cannot change ${collectionName}.${config.field} because ${referencing.length} record(s) in ${collection}.${field} reference it`);
+      }
+      const replacement = config.onUpdate === 'cascade' ? newValue : null;
+      for (const doc of referencing) {
+        const next = JSON.parse(JSON.stringify(doc));
+        setPath(next, field, replacement);
+        next.updated_at = now;
+        next._version = (next._version || 0) + 1;
+        refCollection._validate(next);
+        refCollection._checkUnique(next, doc);
+
+        const previous = JSON.parse(JSON.stringify(doc));
+        this._getIndexStore().reindex(collection, doc, () => {
+          setPath(doc, field, replacement);
+          doc.updated_at = now;
+          doc._version = (doc._version || 0) + 1;
+        });
+        journal.push({ collection, doc, before: previous });
+        this._propagateUpdate(collection, previous, doc, journal);
+      }
+    }
+  }
+
+  /**
+   * `journal` に記録された変更を逆順に元へ戻します。
+   * @param {Array<{ collection: string, doc: any, before: Object }>} journal
+   * @private
+   */
+  _revertJournal(journal) {
+    const indexStore = this._getIndexStore();
+    for (const { collection, doc, before } of [...journal].reverse()) {
+      indexStore.reindex(collection, doc, () => {
+        Object.keys(doc).forEach(key => delete doc[key]);
+        Object.assign(doc, before);
+      });
+    }
+  }
+
+  /**
+   * コレクションにスキーマを宣言します。宣言されたスキーマは `metadata.schemas` に保存され、
+   * 以降の `insert` / `update` / `upsert` で検証されます。
+   * 
+   * @param {string} collection - コレクション名。
+   * @param {Object|null} schema - スキーマ定義（`Collection.getSchema()` と同じ形式）。null を指定すると宣言を解除します。
+   */
+  defineSchema(collection, schema) {
+    const root = this.inTransaction ? this.transactionData : this.data;
+    if (!root.metadata.schemas) {
+      root.metadata.schemas = {};
+    }
+    if (schema === null) {
+      delete root.metadata.schemas[collection];
+    } else {
+      root.metadata.schemas[collection] = JSON.parse(JSON.stringify(schema));
+    }
+  }
+
+  /**
+   * @param {string} collectionName
+   * @returns {Object|null}
+   * @private
+   */
+  _getDeclaredSchema(collectionName) {
+    const root = this.inTransaction ? this.transactionData : this.data;
+    return (root.metadata.schemas && root.metadata.schemas[collectionName]) || null;
   }
 
   /**
    * @private
    */
   async _checkRelations(collectionName, doc) {
-    const relations = this.data.metadata.relations[collectionName];
-    if (!relations) return;
+    const relations = this._getRelations(collectionName);
 
     for (const [field, config] of Object.entries(relations)) {
-      const val = doc[field];
+      if (config.type) continue; // hasMany / manyToMany は値を持たない仮想リレーション
+      const val = getPath(doc, field);
       if (val === undefined || val === null) continue;
 
+      // 配列の場合は各要素がそれぞれ参照先に存在する必要がある
       const refCollection = this.collection(config.ref);
-      const query = { [config.field]: val };
-      const results = await refCollection.find(query);
-      const exists = results.length > 0;
-
-      if (!exists) {
-        throw new Error(`Relation integrity error: ${field} value ${val} not found in ${config.ref}.${config.field}`);
+      for (const item of Array.isArray(val) ? val : [val]) {
+        const exists = refCollection._findRaw({ [config.field]: item }).length > 0;
+        if (!exists) {
+          throw new Error(`Relation integrity error: ${field} value ${item} not found in ${config.ref}.${config.field}`);
+        }
       }
     }
   }
 
   /**
+   * ドキュメントのリレーションを展開したクローンを返します。
+   * 
+   * `spec` には展開するリレーションを指定します。
+   * - `true`: 外部キーによるリレーション（`hasMany` / `manyToMany` 以外）をすべて1階層展開します。
+   * - `'posts.author_id'`: ドット区切りで展開先のリレーションをさらに展開します。
+   * - `['author_id', 'tags']`: 配列で複数指定します。
+   * - `{ posts: { author_id: true } }`: オブジェクトで階層的に指定します。
+   * 
+   * @param {string} collectionName - コレクション名。
+   * @param {Record<string, any>} doc - 展開対象のドキュメント。
+   * @param {boolean|string|Array<string|Object>|Object} [spec=true] - 展開するリレーションの指定。
+   * @returns {Promise<Object>}
+   * @throws {Error} 定義されていないリレーションを指定した場合にスローされます。
    * @private
    */
-  async _populate(collectionName, doc) {
-    const relations = this.data.metadata.relations[collectionName];
-    if (!relations) return JSON.parse(JSON.stringify(doc));
-
+  async _populate(collectionName, doc, spec = true) {
     const populatedDoc = JSON.parse(JSON.stringify(doc));
-    for (const [field, config] of Object.entries(relations)) {
-      const val = doc[field];
-      if (val === undefined || val === null) continue;
+    const relations = this._getRelations(collectionName);
+    const tree = this._normalizePopulate(spec, relations);
 
+    for (const [field, nested] of Object.entries(tree)) {
+      const config = relations[field];
+      if (!config) {
+        throw new Error(`Unknown relation: ${collectionName}.${field}`);
+      }
       const refCollection = this.collection(config.ref);
-      const query = { [config.field]: val };
-      const refDoc = await refCollection.findOne(query);
+      const expand = (/** @type {any} */ refDoc) => this._populate(config.ref, refDoc, nested);
 
-      if (refDoc) {
-        populatedDoc[field] = refDoc;
+      if (config.type === 'hasMany') {
+        const localValue = getPath(doc, config.localField || 'id');
+        if (localValue === undefined || localValue === null) continue;
+        const refDocs = refCollection._findRaw({ [config.field]: localValue });
+        populatedDoc[field] = await Promise.all(refDocs.map(expand));
+      } else if (config.type === 'manyToMany') {
+        const localValue = getPath(doc, config.localField || 'id');
+        if (localValue === undefined || localValue === null) continue;
+        const { collection: through, localField, refField } = config.through;
+        const links = this.collection(through)._findRaw({ [localField]: localValue });
+        const refValues = links.map(link => getPath(link, refField)).filter(v => v !== undefined && v !== null);
+        const refDocs = refValues.length > 0 ? refCollection._findRaw({ [config.field]: { $in: refValues } }) : [];
+        populatedDoc[field] = await Promise.all(refDocs.map(expand));
+      } else {
+        const val = doc[field];
+        if (val === undefined || val === null) continue;
+        if (Array.isArray(val)) {
+          // IDの配列は、元の順序を保ったままドキュメントの配列に展開する
+          const refDocs = val.length > 0 ? refCollection._findRaw({ [config.field]: { $in: val } }) : [];
+          const ordered = val
+            .map(item => refDocs.find(refDoc => deepEqual(getPath(refDoc, config.field), item)))
+            .filter(Boolean);
+          populatedDoc[field] = await Promise.all(ordered.map(expand));
+        } else {
+          const [refDoc] = refCollection._findRaw({ [config.field]: val });
+          if (refDoc) {
+            populatedDoc[field] = await expand(refDoc);
+          }
+        }
       }
     }
     return populatedDoc;
   }
 
+  /**
+   * populate の指定を `{ field: 子の指定 }` 形式のツリーに正規化します。
+   * 子の指定が false の場合はそれ以上展開しません。
+   * @param {any} spec
+   * @param {Record<string, any>} relations
+   * @returns {Record<string, any>}
+   * @private
+   */
+  _normalizePopulate(spec, relations) {
+    if (!spec) return {};
+    if (spec === true) {
+      /** @type {Record<string, any>} */
+      const tree = {};
+      for (const [field, config] of Object.entries(relations)) {
+        if (!config.type) tree[field] = false;
+      }
+      return tree;
+    }
+    /** @type {Record<string, any>} */
+    const tree = {};
+    const merge = (/** @type {string} */ field, /** @type {any} */ nested) => {
+      if (!tree[field]) {
+        tree[field] = nested;
+      } else if (nested) {
+        tree[field] = [].concat(tree[field], nested);
+      }
+    };
+    const specs = Array.isArray(spec) ? spec : [spec];
+    for (const item of specs) {
+      if (typeof item === 'string') {
+        const [field, ...rest] = item.split('.');
+        merge(field, rest.length > 0 ? rest.join('.') : false);
+      } else if (item && typeof item === 'object') {
+        for (const [field, nested] of Object.entries(item)) {
+          merge(field, nested === true ? false : nested);
+        }
+      }
+    }
+    return tree;
+  }
+
   /**
    * コレクションのフィールドにインデックスを作成します。
+   * インデックスはメモリ上のハッシュマップ（完全一致・`$in`）とソート済み配列（範囲検索）として構築され、
+   * 以降の `find` / `findOne` およびユニーク制約のチェックで自動的に使用されます。
+   * フィールドを配列で指定すると、フィールドの組み合わせに対する複合インデックスになります。
    * 
    * @param {string} collection - コレクション名。
-   * @param {string} field - インデックスを作成するフィールド名。
+   * @param {string|Array<string>} field - インデックスを作成するフィールド名、または複合インデックスのフィールド名の配列。
    * @param {Object} [options={}] - インデックスオプション。
    * @param {boolean} [options.unique] - ユニーク制約を適用するかどうか。
+   * @param {boolean} [options.sparse] - 対象フィールドのいずれかが存在しないドキュメントを除外するかどうか。
+   * @param {Object} [options.partialFilter] - このクエリに一致するドキュメントのみをインデックス（制約）の対象にします。
+   * @returns {string} 作成されたインデックスの名前。
+   * @throws {Error} ユニークインデックスの作成時に既存データに重複がある場合にスローされます。
    */
   createIndex(collection, field, options = {}) {
+    const fields = Array.isArray(field) ? field : [field];
+    if (fields.length === 0 || fields.some(f => typeof f !== 'string' || f === '')) {
+      throw new Error('createIndex requires a field name or an array of field names');
+    }
+    const name = fields.join(',');
+    const definition = fields.length > 1 ? { ...options, fields } : { ...options };
+
     const root = this.inTransaction ? this.transactionData : this.data;
+    const docs = root.data[collection] || [];
+    if (definition.unique) {
+      const probe = new FieldIndex(name, definition);
+      docs.forEach((/** @type {Object} */ doc) => probe.add(doc));
+      if (probe.hasDuplicates()) {
+        throw new Error(`Unique constraint violation: cannot create unique index on ${collection}.${name} because duplicate values exist`);
+      }
+    }
+
     if (!root.metadata.indices[collection]) {
       root.metadata.indices[collection] = {};
     }
-    root.metadata.indices[collection][field] = options;
+    root.metadata.indices[collection][name] = definition;
+    this._getIndexStore().createIndex(collection, name, definition, docs);
+    return name;
   }
 
   /**
@@ -220,4 +1182,141 @@ export default class LitheDB {
     const root = this.inTransaction ? this.transactionData : this.data;
     return root.metadata.indices[collectionName] || {};
   }
+
+  /**
+   * コレクションに定義されたリレーションを取得します。集計の `$lookup` からも使用する内部ヘルパーです。
+   * @param {string} collectionName - コレクション名。
+   * @returns {Record<string, any>}
+   */
+  _getRelations(collectionName) {
+    const root = this.inTransaction ? this.transactionData : this.data;
+    return root.metadata.relations[collectionName] || {};
+  }
+}
+
+/**
+ * `db.transaction()` に渡されるトランザクションのハンドル。
+ *
+ * 親（データベースまたは外側のトランザクション）のデータのスナップショットを保持し、LitheDB と同じ API で操作できます。
+ * 変更はストレージに保存されず、トランザクションの終了時にまとめて親へ反映されます。
+ * コレクションのフックは親のコレクションと共有されます。
+ */
+export class Transaction extends LitheDB {
+  /**
+   * @param {LitheDB} parent - 親となるデータベースまたはトランザクション。
+   */
+  constructor(parent) {
+    // 親のストレージは暗号化などのラップが済んでいるため、もう一度ラップしないよう encryption を除いて渡す
+    super(parent.storage, { ...parent.options, encryption: undefined });
+    this.options = parent.options;
+    this.parent = parent;
+    /** @type {any} */
+    this.data = JSON.parse(JSON.stringify(parent.data));
+    this.indexes = IndexStore.build(this.data);
+    this._baseMetadata = JSON.stringify(this.data.metadata);
+    this._baseGeneration = parent._generation;
+    /** @type {Set<string>} トランザクション内で参照したコレクション */
+    this._accessed = new Set();
+    this._markedChanges = 0;
+  }
+
+  /**
+   * ストレージは親と共有しているため閉じません。
+   */
+  close() { }
+
+  /**
+   * トランザクション内のコレクション操作オブジェクトを取得します。
+   * @param {string} name - コレクション名。
+   * @returns {Collection}
+   */
+  collection(name) {
+    this._accessed.add(name);
+    if (!this.collections.has(name)) {
+      const collection = new Collection(this, name);
+      collection.hooks = this.parent.collection(name).hooks;
+      this.collections.set(name, collection);
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * 入れ子のトランザクション（セーブポイント）を実行します。
+   * `fn` が例外をスローした場合はセーブポイント内の変更のみが破棄され、外側のトランザクションは継続できます。
+   *
+   * @param {(sp: Transaction) => Promise<any>} fn - セーブポイント内で実行する処理。
+   * @returns {Promise<any>} `fn` の戻り値。
+   */
+  async savepoint(fn) {
+    const sp = new Transaction(this);
+    const result = await fn(sp);
+    this._applyTransaction(sp);
+    await this._save();
+    return result;
+  }
+
+  /**
+   * トランザクション内では `savepoint()` と同じ動作になります。
+   * @param {(sp: Transaction) => Promise<any>} fn
+   * @returns {Promise<any>}
+   */
+  async transaction(fn) {
+    return this.savepoint(fn);
+  }
+
+  async load() {
+    throw new Error('Cannot load inside a transaction');
+  }
+
+  async compact() {
+    throw new Error('Cannot compact inside a transaction');
+  }
+
+  async restore() {
+    throw new Error('Cannot restore inside a transaction');
+  }
+
+  async beginTransaction() {
+    throw new Error('Cannot begin a transaction inside a transaction; use savepoint() instead');
+  }
+
+  /**
+   * 変更イベントはコミット後に通知されるため、データベース側で購読します。
+   * @param {string} [collection]
+   * @param {Object|Function} [query]
+   * @returns {ChangeStream}
+   */
+  watch(collection, query) {
+    return this.parent.watch(collection, query);
+  }
+
+  /**
+   * トランザクション内で参照または変更したコレクション名の一覧を返します。親への反映時に使用します。
+   * @returns {Set<string>}
+   */
+  _touchedCollections() {
+    const names = new Set(this._accessed);
+    for (const { collection } of this.changes) {
+      if (collection) names.add(collection);
+    }
+    return names;
+  }
+
+  /**
+   * 変更は親へ反映されるまで保存しない。
+   */
+  async _save() {
+    this._generation++;
+    this._markModified(this.changes.slice(this._markedChanges));
+    this._markedChanges = this.changes.length;
+  }
+
+  /**
+   * 排他制御は親へのコミット時にまとめて行う。
+   * @param {Function} fn
+   * @returns {Promise<any>}
+   */
+  async _withLock(fn) {
+    return fn();
+  }
 }
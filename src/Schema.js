@@ -0,0 +1,140 @@
+/**
+ * コレクションに宣言されたスキーマによるドキュメントのバリデーション。
+ * `Collection.getSchema()` が出力する JSON Schema 風の形式をそのまま受け付けます。
+ */
+
+/**
+ * スキーマに違反するドキュメントを書き込もうとした場合にスローされるエラー。
+ * `errors` にはフィールドのパスと違反内容の一覧が格納されます。
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} collection - コレクション名。
+   * @param {Array<{ path: string, keyword: string, message: string }>} errors - 違反内容。
+   */
+  constructor(collection, errors) {
+    super(`Validation error: ${collection}: ${errors.map(e => e.message).join('; ')}`);
+    this.name = 'ValidationError';
+    this.collection = collection;
+    this.errors = errors;
+  }
+}
+
+/**
+ * 値の型名を JSON Schema の語彙で返します。
+ * @param {any} value
+ * @returns {string}
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * 値が型指定を満たすかを判定します。
+ * @param {any} value
+ * @param {string|Array<string>} [type]
+ * @returns {boolean}
+ * @private
+ */
+function matchesType(value, type) {
+  if (type === undefined || type === 'any') return true;
+  if (Array.isArray(type)) return type.some(t => matchesType(value, t));
+  if (type === 'integer') return Number.isInteger(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * @param {any} value
+ * @param {any} schema
+ * @param {string} path
+ * @param {Array<{ path: string, keyword: string, message: string }>} errors
+ * @param {Array<string>} ignore
+ * @private
+ */
+function validateNode(value, schema, path, errors, ignore) {
+  const label = path || '(root)';
+
+  if (!matchesType(value, schema.type)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join('|') : schema.type;
+    errors.push({ path: label, keyword: 'type', message: `${label} must be ${expected} but got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.some((/** @type {any} */ candidate) => JSON.stringify(candidate) === JSON.stringify(value))) {
+    errors.push({ path: label, keyword: 'enum', message: `${label} must be one of ${JSON.stringify(schema.enum)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: label, keyword: 'minimum', message: `${label} must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: label, keyword: 'maximum', message: `${label} must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: label, keyword: 'minLength', message: `${label} must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: label, keyword: 'maxLength', message: `${label} must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: label, keyword: 'pattern', message: `${label} must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: label, keyword: 'minItems', message: `${label} must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: label, keyword: 'maxItems', message: `${label} must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, `${label}[${i}]`, errors, []));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const prefix = path ? `${path}.` : '';
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: prefix + key, keyword: 'required', message: `${prefix + key} is required` });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (ignore.includes(key) || child === undefined) continue;
+      if (properties[key]) {
+        validateNode(child, properties[key], prefix + key, errors, []);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: prefix + key, keyword: 'additionalProperties', message: `${prefix + key} is not allowed` });
+      }
+    }
+  }
+}
+
+/**
+ * ドキュメントをスキーマで検証し、違反内容の一覧を返します。
+ *
+ * サポートするキーワード: `type`（'string', 'number', 'integer', 'boolean', 'object', 'array', 'null', 'any' または配列）,
+ * `required`, `properties`, `additionalProperties`, `items`, `enum`, `minimum`, `maximum`,
+ * `minLength`, `maxLength`, `pattern`, `minItems`, `maxItems`。
+ *
+ * @param {Object} schema - スキーマ定義。
+ * @param {Object} doc - 検証するドキュメント。
+ * @param {Object} [options={}] - オプション。
+ * @param {Array<string>} [options.ignore=[]] - 検証しないトップレベルのフィールド（システムフィールドなど）。
+ * @returns {Array<{ path: string, keyword: string, message: string }>} 違反内容。空配列なら有効です。
+ */
+export function validateDocument(schema, doc, options = {}) {
+  /** @type {Array<{ path: string, keyword: string, message: string }>} */
+  const errors = [];
+  validateNode(doc, { type: 'object', ...schema }, '', errors, options.ignore || []);
+  return errors;
+}
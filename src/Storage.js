@@ -1,9 +1,49 @@
+/**
+ * 他のプロセスがストレージを変更していたため、書き込みを中止した場合にスローされるエラー。
+ */
+export class ConflictError extends Error {
+  /**
+   * @param {string} target - 競合が検出された保存先（ファイルパスなど）。
+   * @param {string} [reason='was modified by another process'] - 競合の内容。
+   */
+  constructor(target, reason = 'was modified by another process') {
+    super(`Conflict error: ${target} ${reason}`);
+    this.name = 'ConflictError';
+    this.target = target;
+  }
+}
+
+/**
+ * 他のプロセスが保持しているロックを時間内に取得できなかった場合にスローされるエラー。
+ */
+export class LockError extends Error {
+  /**
+   * @param {string} lockPath - ロックファイルのパス。
+   * @param {{ pid: number|null }|null} owner - ロックを保持しているプロセスの情報 (`{ pid, hostname, acquired_at }`)。
+   */
+  constructor(lockPath, owner) {
+    super(`Lock timeout: could not acquire ${lockPath}${owner ? ` (held by pid ${owner.pid})` : ''}`);
+    this.name = 'LockError';
+    this.lockPath = lockPath;
+    this.owner = owner;
+  }
+}
+
 /**
  * ベースとなるストレージインターフェース。
  * カスタムストレージを実装する場合は、これらのメソッドを実装する必要があります。
  * @interface
  */
 export class Storage {
+  /**
+   * @param {Object} [options={}] - ストレージオプション。
+   * @param {number} [options.keepBackups=1] - 保持するバックアップの世代数。
+   * @param {number} [options.backupMaxAge] - この時間（ミリ秒）より古いバックアップを削除します。最新の1世代は常に保持されます。
+   */
+  constructor(options = {}) {
+    this.keepBackups = Math.max(1, options.keepBackups ?? 1);
+    this.backupMaxAge = options.backupMaxAge ?? null;
+  }
   /** 
    * データの読み込み 
    * @returns {Promise<any>}
@@ -25,181 +65,2108 @@ export class Storage {
    * @returns {Promise<void>}
    */
   async backup() { throw new Error('Not implemented'); }
+  /**
+   * バックアップの一覧を新しい順に返します。
+   * @returns {Promise<Array<{ id: string, createdAt: string }>>}
+   */
+  async listBackups() { return []; }
+  /**
+   * 指定したバックアップのデータを読み込みます。
+   * @param {string} id - バックアップID (`listBackups()` の `id`)。
+   * @returns {Promise<any>}
+   */
+  async readBackup(id) { throw new Error('Not implemented'); }
+  /**
+   * 保持期間を過ぎた（または保持する世代数を超えた）バックアップを返します。
+   * @param {Array<{ id: string, createdAt: string }>} backups - 新しい順のバックアップの一覧。
+   * @param {number} [now=Date.now()] - 現在時刻。
+   * @returns {Array<{ id: string, createdAt: string }>}
+   */
+  _expiredBackups(backups, now = Date.now()) {
+    return backups.filter((backup, i) => {
+      if (i === 0) return false;
+      if (i >= this.keepBackups) return true;
+      return this.backupMaxAge !== null && now - Date.parse(backup.createdAt) > this.backupMaxAge;
+    });
+  }
+  /**
+   * 変更セットの保存。LitheDB は保存時にこのメソッドを呼び出します。
+   * デフォルトではバックアップを作成してからデータ全体を `write()` します。
+   * 差分のみを書き込めるストレージはこのメソッドをオーバーライドします。
+   * @param {Array<Object>} changes - `{ type: 'insert' | 'update' | 'remove' | 'metadata', ... }` 形式の変更の配列。
+   * @param {any} data - 変更適用後のデータベース全体。
+   * @param {{ backup?: boolean }} [options={}] - 保存オプション。
+   * @returns {Promise<void>}
+   */
+  async applyChanges(changes, data, options = {}) {
+    if (options.backup) await this.backup();
+    await this.write(data);
+  }
+  /**
+   * 排他ロックの取得。複数プロセスから共有されるストレージはこのメソッドをオーバーライドします。
+   * @returns {Promise<void>}
+   */
+  async lock() { }
+  /**
+   * 排他ロックの解放。
+   * @returns {Promise<void>}
+   */
+  async unlock() { }
+  /**
+   * 最後の読み込み・書き込み以降に、他のプロセスによって変更されたかどうか。
+   * @returns {Promise<boolean>}
+   */
+  async hasChanged() { return false; }
+}
+
+/**
+ * バックアップIDの形式（ファイル名やシート名に使用できるよう、ISO 8601 の `:` と `.` を `-` に置き換えたもの）。
+ * @private
+ */
+const BACKUP_ID_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/;
+
+/**
+ * 時刻からバックアップIDを作成します。
+ * @private
+ * @param {number} time - 時刻（ミリ秒）。
+ * @returns {string}
+ */
+function toBackupId(time) {
+  return new Date(time).toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * バックアップIDを作成日時 (ISO 8601) に変換します。IDの形式でない場合は null を返します。
+ * @private
+ * @param {string} id
+ * @returns {string|null}
+ */
+function backupIdToDate(id) {
+  const match = BACKUP_ID_PATTERN.exec(id);
+  return match ? `${match[1]}:${match[2]}:${match[3]}.${match[4]}Z` : null;
+}
+
+/**
+ * 形式を確認済みのバックアップIDから、`listBackups()` の項目を作成します。
+ * @private
+ * @param {string} id - バックアップID。
+ * @returns {{ id: string, createdAt: string }}
+ */
+function backupEntry(id) {
+  return { id, createdAt: /** @type {string} */ (backupIdToDate(id)) };
+}
+
+/**
+ * 新しいバックアップの作成時刻を返します。IDが重複しないよう、既存の最新のバックアップより必ず後の時刻にします。
+ * @private
+ * @param {Array<{ createdAt: string }>} backups - 新しい順のバックアップの一覧。
+ */
+function nextBackupTime(backups, now = Date.now()) {
+  if (backups.length === 0) return now;
+  return Math.max(now, Date.parse(backups[0].createdAt) + 1);
+}
+
+/**
+ * ファイルとして保存されたバックアップの一覧を新しい順に返します。
+ * 最新のバックアップは `<path>.bak` に、それ以前の世代は `<path>.bak.<id>` に保存され、
+ * 最新のバックアップのIDはファイルの更新時刻から求めます。
+ * @private
+ * @param {any} fs - `node:fs/promises` モジュール。
+ * @param {Array<string>} paths - バックアップ対象のファイルパス（FileStorage ではスナップショットとジャーナル）。
+ * @returns {Promise<Array<{ id: string, createdAt: string, latest: boolean }>>}
+ */
+async function listFileBackups(fs, paths) {
+  const { dirname, basename } = await import('node:path');
+  const ids = new Set();
+  let latest = null;
+  for (const path of paths) {
+    if (!latest) {
+      try {
+        latest = toBackupId(Math.round((await fs.stat(path + '.bak')).mtimeMs));
+      } catch (/** @type {any} */ error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    let entries = [];
+    try {
+      entries = await fs.readdir(dirname(path));
+    } catch (/** @type {any} */ error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const prefix = basename(path) + '.bak.';
+    for (const entry of entries) {
+      if (entry.startsWith(prefix) && backupIdToDate(entry.slice(prefix.length))) ids.add(entry.slice(prefix.length));
+    }
+  }
+  const backups = [...ids].sort().reverse().map(id => ({ ...backupEntry(id), latest: false }));
+  if (latest) backups.unshift({ ...backupEntry(latest), latest: true });
+  return backups;
+}
+
+/**
+ * バックアップのファイルパスを返します。
+ * @private
+ * @param {string} path - バックアップ対象のファイルパス。
+ * @param {{ id: string, latest?: boolean }} backup - `listFileBackups()` の項目。
+ * @returns {string}
+ */
+function fileBackupPath(path, backup) {
+  return backup.latest ? path + '.bak' : `${path}.bak.${backup.id}`;
+}
+
+/**
+ * ファイルまたはディレクトリが存在すれば削除します。
+ * @private
+ * @param {any} fs - `node:fs/promises` モジュール。
+ * @param {string} path
+ */
+async function removeIfExists(fs, path) {
+  await fs.rm(path, { recursive: true, force: true });
+}
+
+/**
+ * ファイルベースのバックアップをローテーションします。
+ * 世代を残す設定であれば現在の最新のバックアップを `<path>.bak.<id>` に退避し、`create(path, backupPath)` で
+ * 新しいバックアップを作成した後、保持期間を過ぎた世代を削除します。
+ * @private
+ * @param {Storage} storage - 保持設定を持つストレージ。
+ * @param {any} fs - `node:fs/promises` モジュール。
+ * @param {Array<string>} paths - バックアップ対象のファイルパス。
+ * @param {(path: string, backupPath: string) => Promise<boolean>} create - バックアップを作成し、作成したかどうかを返す関数。
+ */
+async function rotateFileBackups(storage, fs, paths, create) {
+  const backups = await listFileBackups(fs, paths);
+  const latest = backups.find(backup => backup.latest);
+  if (latest && storage.keepBackups > 1) {
+    for (const path of paths) {
+      try {
+        await fs.rename(path + '.bak', `${path}.bak.${latest.id}`);
+      } catch (/** @type {any} */ error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  }
+  // 更新時刻をIDとして使用するため、既存のバックアップと重複しない時刻を設定する
+  const time = new Date(nextBackupTime(backups));
+  for (const path of paths) {
+    if (await create(path, path + '.bak')) {
+      await fs.utimes(path + '.bak', time, time);
+    } else {
+      await removeIfExists(fs, path + '.bak');
+    }
+  }
+  for (const backup of storage._expiredBackups(await listFileBackups(fs, paths))) {
+    for (const path of paths) await removeIfExists(fs, fileBackupPath(path, backup));
+  }
+}
+
+/**
+ * 変更セットをデータベースオブジェクトに適用します。
+ * 同じ変更を複数回適用しても結果が変わらない（冪等な）ため、ジャーナルの再生に使用できます。
+ *
+ * @param {{ metadata: Object, data: Record<string, Array<any>> }} db - 適用先のデータベースオブジェクト（直接変更されます）。
+ * @param {Array<any>} changes - 変更の配列。
+ * @returns {{ metadata: Object, data: Object }}
+ */
+export function replayChanges(db, changes) {
+  if (!db.data) db.data = {};
+  const REMOVED = Symbol('removed');
+  const positions = new Map();
+  const removedFrom = new Set();
+  const positionsOf = (/** @type {string} */ name) => {
+    if (!positions.has(name)) {
+      const map = new Map();
+      (db.data[name] || []).forEach((doc, i) => map.set(doc.id, i));
+      positions.set(name, map);
+    }
+    return positions.get(name);
+  };
+
+  for (const change of changes) {
+    if (change.type === 'metadata') {
+      db.metadata = change.metadata;
+      continue;
+    }
+    if (!db.data[change.collection]) db.data[change.collection] = [];
+    const docs = db.data[change.collection];
+    const pos = positionsOf(change.collection);
+
+    if (change.type === 'insert' || change.type === 'update') {
+      if (pos.has(change.doc.id)) {
+        docs[pos.get(change.doc.id)] = change.doc;
+      } else {
+        pos.set(change.doc.id, docs.length);
+        docs.push(change.doc);
+      }
+    } else if (change.type === 'remove') {
+      if (pos.has(change.id)) {
+        docs[pos.get(change.id)] = REMOVED;
+        pos.delete(change.id);
+        removedFrom.add(change.collection);
+      }
+    }
+  }
+
+  for (const name of removedFrom) {
+    db.data[name] = db.data[name].filter(doc => doc !== REMOVED);
+  }
+  return db;
+}
+
+/**
+ * 2つのファイル状態が同一かどうかを判定します。
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ * @private
+ */
+function sameStat(a, b) {
+  if (!a || !b) return a === b;
+  return a.ino === b.ino && a.size === b.size && a.mtimeMs === b.mtimeMs;
+}
+
+const SNAPSHOT_FORMATS = ['json', 'compact', 'jsonl'];
+const COMPRESSIONS = ['none', 'gzip', 'brotli'];
+const JSONL_HEADER_PREFIX = '{"$jsonl":';
+
+/**
+ * データベースをスナップショットの文字列に変換します。
+ * `jsonl` 形式では、1行目にメタデータ、続いてコレクションごとに `{ collection, count }` の行と
+ * ドキュメントを1行ずつ書き込みます。
+ * @private
+ * @param {any} data - データベース全体。
+ * @param {string} format - スナップショットの形式 (`json` / `compact` / `jsonl`)。
+ * @returns {string}
+ */
+function serializeSnapshot(data, format) {
+  if (format === 'compact') return JSON.stringify(data);
+  if (format !== 'jsonl') return JSON.stringify(data, null, 2);
+  const { data: collections = {}, ...rest } = data;
+  const lines = [JSON.stringify({ $jsonl: 1, ...rest })];
+  for (const [collection, docs] of Object.entries(collections)) {
+    lines.push(JSON.stringify({ collection, count: docs.length }));
+    for (const doc of docs) lines.push(JSON.stringify(doc));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * スナップショットの文字列をデータベースオブジェクトに変換します。
+ * @private
+ * @param {string} text - スナップショットの文字列。
+ * @returns {any}
+ * @throws {Error} `jsonl` 形式のドキュメントの行数が足りない場合。
+ */
+function parseSnapshot(text) {
+  if (!text.startsWith(JSONL_HEADER_PREFIX)) return JSON.parse(text);
+  const lines = text.split('\n');
+  const { $jsonl, ...db } = JSON.parse(lines[0]);
+  db.data = {};
+  let i = 1;
+  while (i < lines.length && lines[i] !== '') {
+    const { collection, count } = JSON.parse(lines[i++]);
+    if (i + count > lines.length) throw new Error(`Truncated JSON Lines snapshot: collection "${collection}"`);
+    db.data[collection] = lines.slice(i, i + count).map((/** @type {string} */ line) => JSON.parse(line));
+    i += count;
+  }
+  return db;
+}
+
+/**
+ * スナップショットの文字列から形式を判定します。
+ * @private
+ * @param {string} text - スナップショットの文字列。
+ * @returns {string}
+ */
+function snapshotFormatOf(text) {
+  if (text.startsWith(JSONL_HEADER_PREFIX)) return 'jsonl';
+  return /^\{\s/.test(text) ? 'json' : 'compact';
+}
+
+/**
+ * スナップショットを指定した形式で書き込む内容に変換します。
+ * @private
+ * @param {any} data - データベース全体。
+ * @param {string} format - スナップショットの形式 (`json` / `compact` / `jsonl`)。
+ * @param {string} compression - 圧縮方式 (`none` / `gzip` / `brotli`)。
+ * @returns {Promise<string|Buffer>}
+ */
+async function encodeSnapshot(data, format, compression) {
+  const text = serializeSnapshot(data, format);
+  if (compression === 'none') return text;
+  const zlib = await import('node:zlib');
+  const { promisify } = await import('node:util');
+  if (compression === 'gzip') return promisify(zlib.gzip)(text);
+  // 既定の品質 (11) は保存のたびに使うには遅すぎるため、圧縮率と速度のバランスがよい値を使う
+  return promisify(zlib.brotliCompress)(text, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } });
+}
+
+/**
+ * ファイルの内容からスナップショットを読み込み、形式と圧縮方式を判定します。
+ * gzip はマジックナンバーで判定し、JSON として解析できない場合は brotli として展開を試みます。
+ * @private
+ * @param {Buffer} buffer - ファイルの内容。
+ * @returns {Promise<{ db: any, format: string, compression: string }>}
+ */
+async function decodeSnapshot(buffer) {
+  const zlib = await import('node:zlib');
+  const { promisify } = await import('node:util');
+  let compression = 'none';
+  let text;
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    compression = 'gzip';
+    text = (await promisify(zlib.gunzip)(buffer)).toString('utf8');
+  } else {
+    text = buffer.toString('utf8');
+    try {
+      return { db: parseSnapshot(text), format: snapshotFormatOf(text), compression };
+    } catch (error) {
+      try {
+        text = (await promisify(zlib.brotliDecompress)(buffer)).toString('utf8');
+      } catch {
+        throw error;
+      }
+      compression = 'brotli';
+    }
+  }
+  return { db: parseSnapshot(text), format: snapshotFormatOf(text), compression };
 }
 
 /**
  * Node.js専用のファイルベースストレージ。
  * 書き込み中の破損を防ぐため、一時ファイルへの書き込みとリネーム（Atomic Write）を使用します。
+ *
+ * ジャーナルモードでは、挿入・更新・削除ごとにデータベース全体を書き直す代わりに、変更を
+ * `<filePath>.journal` に1行ずつ追記します。ジャーナルは読み込み時にスナップショットへ再生され、
+ * 一定件数を超えるとスナップショットへ圧縮（コンパクション）されます。
+ *
+ * 複数のプロセスから同じファイルを扱う場合に備え、読み込み時のファイルの状態（inode・サイズ・更新時刻と内容のハッシュ）を
+ * 記録し、書き込み前に他のプロセスによる変更を検出すると `ConflictError` をスローします。
+ * `lock` オプションを有効にすると、`<filePath>.lock` によるアドバイザリロックで書き込みを排他制御します。
+ *
+ * スナップショットは、整形した JSON (`json`)・改行なしの JSON (`compact`)・コレクションごとの JSON Lines (`jsonl`) の
+ * いずれかの形式で保存でき、gzip / brotli で圧縮することもできます。読み込み時には形式と圧縮方式を自動的に判定し、
+ * オプションで指定されていない場合は既存のファイルと同じ形式で書き込みます。ジャーナルは常に圧縮されない JSON Lines です。
+ */
+export class FileStorage extends Storage {
+  /**
+   * @param {string} filePath - JSONファイルの保存先パス。
+   * @param {Object} [options={}] - ストレージオプション。
+   * @param {boolean} [options.journal=false] - ジャーナル（追記ログ）モードを有効にするかどうか。
+   * @param {number} [options.compactThreshold=1000] - スナップショットへ圧縮するまでのジャーナルの書き込み回数。
+   * @param {boolean} [options.lock=false] - ロックファイルによるプロセス間の排他制御を有効にするかどうか。
+   * @param {number} [options.lockTimeout=5000] - ロックの取得を待つ最大時間（ミリ秒）。
+   * @param {number} [options.staleLockTimeout=10000] - この時間（ミリ秒）を超えて更新されていないロックを放棄されたものとみなします。
+   * @param {number} [options.keepBackups=1] - 保持するバックアップの世代数。
+   * @param {number} [options.backupMaxAge] - この時間（ミリ秒）より古いバックアップを削除します。
+   * @param {'json'|'compact'|'jsonl'} [options.format] - スナップショットの形式。省略時は既存のファイルの形式（新規作成時は `json`）。
+   * @param {'none'|'gzip'|'brotli'} [options.compression] - スナップショットの圧縮方式。省略時は拡張子（`.gz` / `.br`）または既存のファイルから判定します。
+   * @throws {Error} 未対応の形式または圧縮方式が指定された場合。
+   */
+  constructor(filePath, options = {}) {
+    super(options);
+    if (options.format !== undefined && !SNAPSHOT_FORMATS.includes(options.format)) {
+      throw new Error(`Unsupported snapshot format: ${options.format}`);
+    }
+    if (options.compression !== undefined && !COMPRESSIONS.includes(options.compression)) {
+      throw new Error(`Unsupported compression: ${options.compression}`);
+    }
+    this.filePath = filePath;
+    this.format = options.format ?? null;
+    this.compression = options.compression
+      ?? (/\.gz$/i.test(filePath) ? 'gzip' : /\.br$/i.test(filePath) ? 'brotli' : null);
+    /** @type {{ format: string, compression: string|null }|null} 最後に読み込んだファイルの形式 */
+    this._detected = null;
+    this.journalPath = filePath + '.journal';
+    this.lockPath = filePath + '.lock';
+    this.journal = Boolean(options.journal);
+    this.compactThreshold = options.compactThreshold || 1000;
+    this.locking = Boolean(options.lock);
+    this.lockTimeout = options.lockTimeout ?? 5000;
+    this.staleLockTimeout = options.staleLockTimeout ?? 10000;
+    this.journalEntries = 0;
+    this.lockHeld = false;
+    /** @type {any} ロックの保持中に更新時刻を更新するタイマー */
+    this._lockHeartbeat = null;
+    this.fs = null;
+    /** @type {{ snapshot: { stat: Object|null, hash: string|null }, journal: Object|null }|null} */
+    this._signature = null;
+  }
+
+  /**
+   * @protected
+   */
+  async _getFs() {
+    if (this.fs) return this.fs;
+    if (typeof window !== 'undefined') {
+      throw new Error('FileStorage is only available in Node.js environment');
+    }
+    // ブラウザバンドル時のエラーを避けるための動的インポート
+    const mod = await import('node:fs/promises');
+    this.fs = mod;
+    return this.fs;
+  }
+
+  async read() {
+    const fs = await this._getFs();
+    // 読み込み中に置き換えられた場合でも変更を見逃さないよう、読み込む前に状態を記録する
+    const snapshotStat = await this._stat(this.filePath);
+    const journalStat = await this._stat(this.journalPath);
+    const { db, hash, entries, format, compression } = await this._readFrom(this.filePath, this.journalPath);
+    this.journalEntries = entries;
+    if (format) this._detected = { format, compression };
+    this._signature = { snapshot: { stat: snapshotStat, hash }, journal: journalStat };
+    return db;
+  }
+
+  /**
+   * スナップショットを読み込み、ジャーナルを再生します。
+   * @private
+   * @param {string} snapshotPath - スナップショットのパス。
+   * @param {string} journalPath - ジャーナルのパス。
+   * @returns {Promise<{ db: Object, hash: string|null, entries: number, format: string|null, compression: string|null }>}
+   */
+  async _readFrom(snapshotPath, journalPath) {
+    const fs = await this._getFs();
+    let content = null;
+    try {
+      content = await fs.readFile(snapshotPath);
+    } catch (/** @type {any} */ error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    let db = { metadata: { indices: {}, relations: {}, serial: 0 }, data: {} };
+    let hash = null;
+    let format = null;
+    let compression = null;
+    if (content) {
+      hash = await this._hash(content);
+      ({ db, format, compression } = await decodeSnapshot(content));
+    }
+    const entries = await this._replayJournal(db, journalPath);
+    return { db, hash, entries, format, compression };
+  }
+
+  /**
+   * ジャーナルファイルが存在する場合、その内容をスナップショットに適用し、再生した件数を返します。
+   * 書き込み途中で中断された末尾の行は無視されます。
+   * @private
+   * @param {any} db - 適用先のデータベースオブジェクト（直接変更されます）。
+   * @param {string} journalPath - ジャーナルのパス。
+   * @returns {Promise<number>}
+   */
+  async _replayJournal(db, journalPath) {
+    const fs = await this._getFs();
+    let content;
+    try {
+      content = await fs.readFile(journalPath, 'utf8');
+    } catch (/** @type {any} */ error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const lines = content.split('\n').filter(line => line.trim() !== '');
+    let entries = 0;
+    for (const [i, line] of lines.entries()) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        if (i === lines.length - 1) break; // 書き込み途中でクラッシュした最終行
+        throw new Error(`Corrupted journal entry at line ${i + 1} in ${journalPath}`);
+      }
+      replayChanges(db, entry.ops);
+      entries++;
+    }
+    return entries;
+  }
+
+  async write(data) {
+    const fs = await this._getFs();
+    const tempPath = this.filePath + '.tmp';
+    const content = await encodeSnapshot(
+      data,
+      this.format ?? this._detected?.format ?? 'json',
+      this.compression ?? this._detected?.compression ?? 'none'
+    );
+    await fs.writeFile(tempPath, content);
+
+    for (let i = 0; i < 5; i++) {
+      try {
+        await fs.rename(tempPath, this.filePath);
+        break;
+      } catch (error) {
+        if (i === 4) throw error;
+        await new Promise(resolve => setTimeout(resolve, 100 * (i + 1)));
+      }
+    }
+    this._signature = {
+      snapshot: { stat: await this._stat(this.filePath), hash: await this._hash(content) },
+      journal: await this._stat(this.journalPath)
+    };
+  }
+
+  /**
+   * 最後の読み込み・書き込み以降に、他のプロセスがファイルまたはジャーナルを変更したかどうかを判定します。
+   * inode・サイズ・更新時刻が一致すれば変更なしとみなし、スナップショットの更新時刻のみが異なる場合は
+   * 内容のハッシュを比較します。
+   * @returns {Promise<boolean>}
+   */
+  async hasChanged() {
+    if (!this._signature) return false;
+    const journal = await this._stat(this.journalPath);
+    if (!sameStat(journal, this._signature.journal)) return true;
+    const snapshot = await this._stat(this.filePath);
+    if (sameStat(snapshot, this._signature.snapshot.stat)) return false;
+    if (!snapshot || this._signature.snapshot.hash === null) return true;
+
+    const fs = await this._getFs();
+    let content;
+    try {
+      content = await fs.readFile(this.filePath);
+    } catch (/** @type {any} */ error) {
+      if (error.code === 'ENOENT') return true;
+      throw error;
+    }
+    if (await this._hash(content) !== this._signature.snapshot.hash) return true;
+    // 内容が同じであれば、更新時刻のみが変わった（touch された）ものとみなす
+    this._signature.snapshot.stat = snapshot;
+    return false;
+  }
+
+  /**
+   * ロックファイルを作成して排他ロックを取得します。`lock` オプションが無効な場合は何もしません。
+   * 既存のロックを保持するプロセスが終了している場合や、`staleLockTimeout` を超えて更新されていない場合は、
+   * 放棄されたロックとみなして取り除きます。保持している間は、時間のかかる書き込みの途中で取り除かれないよう
+   * ロックファイルの更新時刻を定期的に更新します。
+   * @throws {LockError} `lockTimeout` 以内にロックを取得できなかった場合にスローされます。
+   */
+  async lock() {
+    if (!this.locking || this.lockHeld) return;
+    const fs = await this._getFs();
+    const { hostname } = await import('node:os');
+    const deadline = Date.now() + this.lockTimeout;
+
+    for (;;) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        try {
+          await handle.writeFile(JSON.stringify({ pid: process.pid, hostname: hostname(), acquired_at: Date.now() }), 'utf8');
+        } finally {
+          await handle.close();
+        }
+        this.lockHeld = true;
+        this._startLockHeartbeat(fs);
+        return;
+      } catch (/** @type {any} */ error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const owner = await this._readLockOwner();
+      if (await this._isStaleLock(owner)) {
+        try { await fs.unlink(this.lockPath); } catch { }
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new LockError(this.lockPath, owner);
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  /**
+   * このインスタンスが保持している排他ロックを解放します。
+   */
+  async unlock() {
+    if (!this.lockHeld) return;
+    const fs = await this._getFs();
+    this.lockHeld = false;
+    clearInterval(this._lockHeartbeat);
+    this._lockHeartbeat = null;
+    try {
+      await fs.unlink(this.lockPath);
+    } catch (/** @type {any} */ error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * ロックの保持中、`staleLockTimeout` の3分の1の間隔でロックファイルの更新時刻を更新します。
+   * @param {any} fs - `node:fs/promises` モジュール。
+   * @private
+   */
+  _startLockHeartbeat(fs) {
+    clearInterval(this._lockHeartbeat);
+    this._lockHeartbeat = setInterval(() => {
+      const now = new Date();
+      fs.utimes(this.lockPath, now, now).catch(() => { });
+    }, Math.max(Math.floor(this.staleLockTimeout / 3), 10));
+    // タイマーがプロセスの終了を妨げないようにする
+    if (typeof this._lockHeartbeat.unref === 'function') this._lockHeartbeat.unref();
+  }
+
+  /**
+   * ロックファイルの内容と、最後に更新された時刻 (`refreshed_at`) を読み込みます。ロックファイルが存在しない場合は null を返します。
+   * @private
+   */
+  async _readLockOwner() {
+    const fs = await this._getFs();
+    const stat = await this._stat(this.lockPath);
+    if (!stat) return null;
+    try {
+      const content = await fs.readFile(this.lockPath, 'utf8');
+      return { ...JSON.parse(content), refreshed_at: stat.mtimeMs };
+    } catch (/** @type {any} */ error) {
+      if (error.code === 'ENOENT') return null;
+      // 作成直後で内容がまだ書き込まれていない場合
+      return { pid: null, acquired_at: stat.mtimeMs, refreshed_at: stat.mtimeMs };
+    }
+  }
+
+  /**
+   * ロックが放棄されたものかどうかを判定します。
+   * @param {any} owner - `_readLockOwner` で読み込んだロックファイルの内容。
+   * @private
+   */
+  async _isStaleLock(owner) {
+    if (!owner) return false;
+    if (Date.now() - (owner.refreshed_at ?? owner.acquired_at) > this.staleLockTimeout) return true;
+    const { hostname } = await import('node:os');
+    // プロセスの生存確認は同じホスト上のロックに対してのみ行う
+    if (!owner.pid || owner.hostname !== hostname()) return false;
+    try {
+      process.kill(owner.pid, 0);
+      return false;
+    } catch (/** @type {any} */ error) {
+      return error.code === 'ESRCH';
+    }
+  }
+
+  /**
+   * 他のプロセスによる変更が検出された場合に ConflictError をスローします。
+   * @protected
+   */
+  async _checkConflict() {
+    if (await this.hasChanged()) {
+      throw new ConflictError(this.filePath);
+    }
+  }
+
+  /**
+   * ファイルの状態を取得します。ファイルが存在しない場合は null を返します。
+   * @param {string} path
+   * @returns {Promise<{ ino: number, size: number, mtimeMs: number }|null>}
+   * @protected
+   */
+  async _stat(path) {
+    const fs = await this._getFs();
+    try {
+      const stat = await fs.stat(path);
+      return { ino: stat.ino, size: stat.size, mtimeMs: stat.mtimeMs };
+    } catch (/** @type {any} */ error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string|Uint8Array} content
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _hash(content) {
+    const { createHash } = await import('node:crypto');
+    return createHash('sha1').update(content).digest('hex');
+  }
+
+  /**
+   * 変更セットを保存します。ジャーナルモードでは変更をジャーナルに1行として追記し、
+   * それ以外の場合はデータ全体を書き込みます。
+   *
+   * @param {Array<Object>} changes - 変更の配列。
+   * @param {any} data - 変更適用後のデータベース全体。
+   * @param {{ backup?: boolean }} [options={}] - 保存オプション。
+   */
+  async applyChanges(changes, data, options = {}) {
+    await this._checkConflict();
+    if (!this.journal) {
+      await super.applyChanges(changes, data, options);
+      return;
+    }
+    if (changes.length === 0) return;
+
+    const fs = await this._getFs();
+    // 1回の保存を1行にまとめることで、途中でクラッシュしても変更の一部だけが再生されることを防ぐ
+    await fs.appendFile(this.journalPath, JSON.stringify({ ops: changes }) + '\n', 'utf8');
+    this.journalEntries++;
+    if (this._signature) this._signature.journal = await this._stat(this.journalPath);
+
+    if (this.journalEntries >= this.compactThreshold) {
+      await this.compact(data, options);
+    }
+  }
+
+  /**
+   * データ全体をスナップショットとしてアトミックに書き込み、ジャーナルを削除します。
+   *
+   * @param {any} data - データベース全体。
+   * @param {{ backup?: boolean }} [options={}] - 保存オプション。
+   */
+  async compact(data, options = {}) {
+    const fs = await this._getFs();
+    await this._checkConflict();
+    if (options.backup) await this.backup();
+    await this.write(data);
+    try {
+      await fs.unlink(this.journalPath);
+    } catch (/** @type {any} */ error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    this.journalEntries = 0;
+    if (this._signature) this._signature.journal = null;
+  }
+
+  async exists() {
+    const fs = await this._getFs();
+    try {
+      await fs.access(this.filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * 現在のファイルを `<filePath>.bak` にコピーします。
+   * `keepBackups` が2以上の場合、それまでの最新のバックアップは `<filePath>.bak.<id>` に退避されます。
+   * ジャーナルモードでは、スナップショットとジャーナルの組で直前の状態を復元できるよう、ジャーナルも同じ世代として退避します。
+   */
+  async backup() {
+    const fs = await this._getFs();
+    const hasSnapshot = await this.exists();
+    const hasJournal = this.journal && (await this._stat(this.journalPath)) !== null;
+    if (!hasSnapshot && !hasJournal) return;
+    await rotateFileBackups(this, fs, [this.filePath, this.journalPath], async (path, backupPath) => {
+      if (path === this.filePath ? !hasSnapshot : !hasJournal) return false;
+      await this._copyWithRetry(path, backupPath);
+      return true;
+    });
+  }
+
+  /**
+   * バックアップの一覧を新しい順に返します。
+   * @returns {Promise<Array<{ id: string, createdAt: string }>>}
+   */
+  async listBackups() {
+    const fs = await this._getFs();
+    return (await listFileBackups(fs, [this.filePath, this.journalPath])).map(({ id, createdAt }) => ({ id, createdAt }));
+  }
+
+  /**
+   * 指定したバックアップのデータを読み込みます。
+   * @param {string} id - バックアップID。
+   * @returns {Promise<any>}
+   * @throws {Error} バックアップが存在しない場合。
+   */
+  async readBackup(id) {
+    const fs = await this._getFs();
+    const backup = (await listFileBackups(fs, [this.filePath, this.journalPath])).find(b => b.id === id);
+    if (!backup) throw new Error(`Backup not found: ${id}`);
+    const { db } = await this._readFrom(fileBackupPath(this.filePath, backup), fileBackupPath(this.journalPath, backup));
+    return db;
+  }
+
+  /**
+   * @param {string} from
+   * @param {string} to
+   * @private
+   */
+  async _copyWithRetry(from, to) {
+    const fs = await this._getFs();
+    for (let i = 0; i < 5; i++) {
+      try {
+        await fs.copyFile(from, to);
+        return;
+      } catch (error) {
+        if (i === 4) throw error;
+        await new Promise(resolve => setTimeout(resolve, 100 * (i + 1)));
+      }
+    }
+  }
+}
+
+const DIRECTORY_LAYOUTS = ['collection', 'document'];
+
+/**
+ * コレクション名やドキュメントIDを、どの OS でもファイル名として使用できる文字列に変換します。
+ * @private
+ * @param {string|number} name
+ * @returns {string}
+ */
+function toFileName(name) {
+  return encodeURIComponent(String(name)).replace(/\*/g, '%2A').replace(/^\./, '%2E');
+}
+
+/**
+ * ディレクトリ内のエントリ名を名前順に返します。ディレクトリが存在しない場合は空の配列を返します。
+ * @private
+ * @param {any} fs - `fs/promises` モジュール。
+ * @param {string} path - ディレクトリのパス。
+ * @returns {Promise<Array<string>>}
+ */
+async function readdirIfExists(fs, path) {
+  try {
+    return (await fs.readdir(path)).sort();
+  } catch (/** @type {any} */ error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * ドキュメント単位のレイアウトのマニフェストから、ドキュメントIDの順序を読み込みます。
+ * マニフェストがない場合（ドキュメントのファイルを手作業で配置したディレクトリなど）は空の配列を返します。
+ * @private
+ * @param {any} fs - `fs/promises` モジュール。
+ * @param {string} path - マニフェストのパス。
+ * @returns {Promise<Array<string|number>>}
+ */
+async function readManifest(fs, path) {
+  try {
+    const ids = JSON.parse(await fs.readFile(path, 'utf8'));
+    return Array.isArray(ids) ? ids : [];
+  } catch (/** @type {any} */ error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * ドキュメント単位のレイアウトで、コレクション内のドキュメントの順序を記録するファイルの名前。
+ * `toFileName()` は先頭の `.` をエンコードするため、ドキュメントのファイル名と衝突しません。
+ * @private
+ */
+const DOCUMENT_MANIFEST = '.manifest.json';
+
+/**
+ * 差分が読みやすいよう、整形して末尾に改行を付けた JSON に変換します。
+ * @private
+ * @param {any} value
+ * @returns {string}
+ */
+function toJsonFile(value) {
+  return JSON.stringify(value, null, 2) + '\n';
+}
+
+/**
+ * データベースをディレクトリに分割して保存するストレージ (Node.js専用)。
+ *
+ * `<dirPath>/metadata.json` にメタデータを、`<dirPath>/data/` にコレクションを保存します。
+ * `layout: 'collection'`（デフォルト）ではコレクションごとに `data/<collection>.json` を、
+ * `layout: 'document'` ではドキュメントごとに `data/<collection>/<id>.json` を作成し、ドキュメントの順序を
+ * `data/<collection>/.manifest.json` に記録します。
+ * 保存時には変更のあったコレクション（ドキュメント単位のレイアウトでは変更のあったドキュメント）のファイルのみを
+ * 一時ファイルへの書き込みとリネームで書き直すため、バージョン管理システムでの差分も変更箇所に限られます。
+ *
+ * ロックファイルによる排他制御と他のプロセスによる変更の検出は FileStorage と同じ仕組みを使用します。
+ * バックアップはディレクトリ全体の複製として `<dirPath>.bak` に作成されます。
+ */
+export class DirectoryStorage extends FileStorage {
+  /**
+   * @param {string} dirPath - データベースを保存するディレクトリのパス。
+   * @param {Object} [options={}] - ストレージオプション。
+   * @param {'collection'|'document'} [options.layout='collection'] - コレクションごと、またはドキュメントごとにファイルを作成します。
+   * @param {boolean} [options.lock=false] - ロックファイル (`<dirPath>.lock`) によるプロセス間の排他制御を有効にするかどうか。
+   * @param {number} [options.lockTimeout=5000] - ロックの取得を待つ最大時間（ミリ秒）。
+   * @param {number} [options.keepBackups=1] - 保持するバックアップの世代数。
+   * @param {number} [options.backupMaxAge] - この時間（ミリ秒）より古いバックアップを削除します。
+   * @param {boolean} [options.journal] - FileStorage 専用のオプションのため無視されます。
+   * @param {string} [options.format] - FileStorage 専用のオプションのため無視されます。
+   * @param {string} [options.compression] - FileStorage 専用のオプションのため無視されます。
+   * @throws {Error} 未対応のレイアウトが指定された場合。
+   */
+  constructor(dirPath, options = {}) {
+    const { journal, format, compression, ...rest } = options;
+    // 末尾の区切り文字を取り除き、ロックファイルやバックアップをディレクトリの外に作成する
+    super(dirPath.replace(/(.)[\\/]+$/, '$1'), rest);
+    if (options.layout !== undefined && !DIRECTORY_LAYOUTS.includes(options.layout)) {
+      throw new Error(`Unsupported directory layout: ${options.layout}`);
+    }
+    this.dirPath = this.filePath;
+    this.layout = options.layout || 'collection';
+    /** @type {string|null} 最後に読み書きしたときのディレクトリの状態 (`_signatureOf()`) */
+    this._directorySignature = null;
+  }
+
+  async read() {
+    // 読み込み中に書き換えられた場合でも変更を見逃さないよう、読み込む前に状態を記録する
+    const signature = await this._signatureOf();
+    const db = await this._readDirectory(this.dirPath);
+    this._directorySignature = signature;
+    return db;
+  }
+
+  /**
+   * ディレクトリからデータベースを読み込みます。どちらのレイアウトで保存されたコレクションも読み込めます。
+   * ドキュメント単位のレイアウトでは、ドキュメントはマニフェストに記録された順に並びます。
+   * マニフェストにないドキュメント（手作業で追加されたファイルなど）はその後にファイル名順で続きます。
+   * @private
+   * @param {string} dirPath - 読み込むディレクトリのパス。
+   * @returns {Promise<{ metadata: any, data: Record<string, Array<any>> }>}
+   */
+  async _readDirectory(dirPath) {
+    const fs = await this._getFs();
+    const { join } = await import('node:path');
+    /** @type {{ metadata: any, data: Record<string, Array<any>> }} */
+    const db = { metadata: { indices: {}, relations: {}, serial: 0 }, data: {} };
+    try {
+      db.metadata = JSON.parse(await fs.readFile(join(dirPath, 'metadata.json'), 'utf8'));
+    } catch (/** @type {any} */ error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const dataDir = join(dirPath, 'data');
+    for (const entry of await readdirIfExists(fs, dataDir)) {
+      const path = join(dataDir, entry);
+      if ((await fs.stat(path)).isDirectory()) {
+        const files = (await readdirIfExists(fs, path)).filter(file => file.endsWith('.json') && file !== DOCUMENT_MANIFEST);
+        const order = new Map((await readManifest(fs, join(path, DOCUMENT_MANIFEST))).map((id, i) => [toFileName(id) + '.json', i]));
+        // マニフェストにないファイルは、記録されたドキュメントの後にファイル名順で並べる
+        files.sort((a, b) => (order.get(a) ?? Infinity) - (order.get(b) ?? Infinity) || (a < b ? -1 : a > b ? 1 : 0));
+        const docs = [];
+        for (const file of files) docs.push(JSON.parse(await fs.readFile(join(path, file), 'utf8')));
+        db.data[decodeURIComponent(entry)] = docs;
+      } else if (entry.endsWith('.json')) {
+        db.data[decodeURIComponent(entry.slice(0, -'.json'.length))] = JSON.parse(await fs.readFile(path, 'utf8'));
+      }
+    }
+    return db;
+  }
+
+  /**
+   * メタデータのファイルと、各コレクションのファイル・ディレクトリの状態をまとめた文字列を返します。
+   * 書き込みは常に一時ファイルのリネームで行われるため、ドキュメント単位のレイアウトではディレクトリの更新時刻で変更を検出できます。
+   * @private
+   * @returns {Promise<string>}
+   */
+  async _signatureOf() {
+    const fs = await this._getFs();
+    const { join } = await import('node:path');
+    const dataDir = join(this.dirPath, 'data');
+    const paths = [join(this.dirPath, 'metadata.json'), dataDir];
+    for (const entry of await readdirIfExists(fs, dataDir)) paths.push(join(dataDir, entry));
+    const stats = [];
+    for (const path of paths) stats.push(await this._stat(path));
+    return JSON.stringify(stats);
+  }
+
+  /**
+   * 最後の読み込み・書き込み以降に、他のプロセスがディレクトリ内のファイルを変更したかどうか。
+   * @returns {Promise<boolean>}
+   */
+  async hasChanged() {
+    if (!this._directorySignature) return false;
+    return (await this._signatureOf()) !== this._directorySignature;
+  }
+
+  /**
+   * 一時ファイルへの書き込みとリネームで、ファイルをアトミックに書き込みます。
+   * @private
+   * @param {string} path
+   * @param {any} value - JSON として書き込む値。
+   */
+  async _writeFile(path, value) {
+    const fs = await this._getFs();
+    const tempPath = path + '.tmp';
+    await fs.writeFile(tempPath, toJsonFile(value), 'utf8');
+    for (let i = 0; i < 5; i++) {
+      try {
+        await fs.rename(tempPath, path);
+        return;
+      } catch (error) {
+        if (i === 4) throw error;
+        await new Promise(resolve => setTimeout(resolve, 100 * (i + 1)));
+      }
+    }
+  }
+
+  /**
+   * `data/` ディレクトリ内での、コレクションのファイル名（ドキュメント単位のレイアウトではディレクトリ名）を返します。
+   * @private
+   * @param {string} collection
+   * @returns {string}
+   */
+  _collectionEntry(collection) {
+    return this.layout === 'document' ? toFileName(collection) : toFileName(collection) + '.json';
+  }
+
+  /**
+   * コレクション全体を書き込みます。ドキュメント単位のレイアウトでは、マニフェストを書き直し、存在しなくなったドキュメントのファイルを削除します。
+   * @private
+   * @param {string} collection
+   * @param {Array<any>} docs
+   */
+  async _writeCollection(collection, docs) {
+    const fs = await this._getFs();
+    const { join } = await import('node:path');
+    const path = join(this.dirPath, 'data', this._collectionEntry(collection));
+    if (this.layout !== 'document') {
+      await this._writeFile(path, docs);
+      return;
+    }
+    await fs.mkdir(path, { recursive: true });
+    const files = new Set([DOCUMENT_MANIFEST]);
+    for (const doc of docs) {
+      const file = toFileName(doc.id) + '.json';
+      files.add(file);
+      await this._writeFile(join(path, file), doc);
+    }
+    await this._writeFile(join(path, DOCUMENT_MANIFEST), docs.map((/** @type {any} */ doc) => doc.id));
+    for (const file of await readdirIfExists(fs, path)) {
+      if (!files.has(file)) await removeIfExists(fs, join(path, file));
+    }
+  }
+
+  /**
+   * データ全体を書き込み、存在しなくなったコレクションや別のレイアウトで保存されていたファイルを削除します。
+   * @param {any} data - データベース全体。
+   */
+  async write(data) {
+    const fs = await this._getFs();
+    const { join } = await import('node:path');
+    const dataDir = join(this.dirPath, 'data');
+    await fs.mkdir(dataDir, { recursive: true });
+    const collections = data.data || {};
+    for (const [collection, docs] of Object.entries(collections)) {
+      await this._writeCollection(collection, docs);
+    }
+    const entries = new Set(Object.keys(collections).map(collection => this._collectionEntry(collection)));
+    for (const entry of await readdirIfExists(fs, dataDir)) {
+      if (!entries.has(entry)) await removeIfExists(fs, join(dataDir, entry));
+    }
+    // コレクションを書き終えてからメタデータを書き込む
+    await this._writeFile(join(this.dirPath, 'metadata.json'), data.metadata);
+    this._directorySignature = await this._signatureOf();
+  }
+
+  /**
+   * 変更のあったコレクションのファイル（ドキュメント単位のレイアウトではドキュメントのファイル）のみを書き込みます。
+   * ドキュメント単位のレイアウトのマニフェストは、ドキュメントが追加・削除された場合のみ書き直します。
+   * ディレクトリ全体を複製するコストを避けるため、保存のたびのバックアップは作成しません。
+   *
+   * @param {Array<any>} changes - 変更の配列。
+   * @param {any} data - 変更適用後のデータベース全体。
+   * @param {{ backup?: boolean }} [options={}] - 保存オプション。
+   * @throws {ConflictError} 最後の読み込み以降に他のプロセスが書き込んでいた場合にスローされます。
+   */
+  async applyChanges(changes, data, options = {}) {
+    if (changes.length === 0) return;
+    await this._checkConflict();
+    const fs = await this._getFs();
+    const { join } = await import('node:path');
+    await fs.mkdir(join(this.dirPath, 'data'), { recursive: true });
+
+    for (const [collection, collectionChanges] of groupChangesByCollection(changes)) {
+      if (this.layout !== 'document') {
+        await this._writeCollection(collection, data.data[collection] || []);
+        continue;
+      }
+      const dir = join(this.dirPath, 'data', this._collectionEntry(collection));
+      await fs.mkdir(dir, { recursive: true });
+      for (const change of collectionChanges) {
+        if (change.type === 'remove') {
+          await removeIfExists(fs, join(dir, toFileName(change.id) + '.json'));
+        } else {
+          await this._writeFile(join(dir, toFileName(change.doc.id) + '.json'), change.doc);
+        }
+      }
+      if (collectionChanges.some((/** @type {any} */ change) => change.type !== 'update')) {
+        await this._writeFile(join(dir, DOCUMENT_MANIFEST), (data.data[collection] || []).map((/** @type {any} */ doc) => doc.id));
+      }
+    }
+    if (changes.some(change => change.type === 'metadata')) {
+      await this._writeFile(join(this.dirPath, 'metadata.json'), data.metadata);
+    }
+    this._directorySignature = await this._signatureOf();
+  }
+
+  /**
+   * データ全体を書き直します。`layout` を変更して開いた後に実行すると、既存のディレクトリを新しいレイアウトに変換できます。
+   *
+   * @param {any} data - データベース全体。
+   * @param {{ backup?: boolean }} [options={}] - 保存オプション。
+   */
+  async compact(data, options = {}) {
+    await this._checkConflict();
+    if (options.backup) await this.backup();
+    await this.write(data);
+  }
+
+  async exists() {
+    const { join } = await import('node:path');
+    return (await this._stat(join(this.dirPath, 'metadata.json'))) !== null
+      || (await this._stat(join(this.dirPath, 'data'))) !== null;
+  }
+
+  /**
+   * ディレクトリ全体を `<dirPath>.bak` に複製します。
+   * `keepBackups` が2以上の場合、それまでの最新のバックアップは `<dirPath>.bak.<id>` に退避されます。
+   */
+  async backup() {
+    if (!(await this.exists())) return;
+    const fs = await this._getFs();
+    await rotateFileBackups(this, fs, [this.dirPath], async (path, backupPath) => {
+      await removeIfExists(fs, backupPath);
+      await fs.cp(path, backupPath, { recursive: true });
+      return true;
+    });
+  }
+
+  async listBackups() {
+    const fs = await this._getFs();
+    return (await listFileBackups(fs, [this.dirPath])).map(({ id, createdAt }) => ({ id, createdAt }));
+  }
+
+  /**
+   * @param {string} id - バックアップID。
+   */
+  async readBackup(id) {
+    const fs = await this._getFs();
+    const backup = (await listFileBackups(fs, [this.dirPath])).find(b => b.id === id);
+    if (!backup) throw new Error(`Backup not found: ${id}`);
+    return this._readDirectory(fileBackupPath(this.dirPath, backup));
+  }
+}
+
+/**
+ * メモリ上でデータを保持するストレージ。
+ * テストや一時的なデータ管理に最適です。
+ */
+export class MemoryStorage extends Storage {
+  /**
+   * @param {any} [initialData=null] - 初期データ。
+   * @param {Object} [options={}] - ストレージオプション (`keepBackups`, `backupMaxAge`)。
+   */
+  constructor(initialData = null, options = {}) {
+    super(options);
+    this.data = initialData || { metadata: { indices: {}, relations: {}, serial: 0 }, data: {} };
+    /** @type {Array<{ id: string, createdAt: string, data: any }>} 新しい順のバックアップ。`bak` は最新のバックアップのデータです。 */
+    this.backups = [];
+    this.bak = undefined;
+  }
+
+  async read() {
+    return JSON.parse(JSON.stringify(this.data));
+  }
+
+  async write(data) {
+    this.data = JSON.parse(JSON.stringify(data));
+  }
+
+  async exists() {
+    return true;
+  }
+
+  async backup() {
+    this.bak = JSON.parse(JSON.stringify(this.data));
+    const createdAt = new Date(nextBackupTime(this.backups)).toISOString();
+    this.backups.unshift({ id: toBackupId(Date.parse(createdAt)), createdAt, data: this.bak });
+    const expired = new Set(this._expiredBackups(this.backups));
+    this.backups = this.backups.filter(backup => !expired.has(backup));
+  }
+
+  async listBackups() {
+    return this.backups.map(({ id, createdAt }) => ({ id, createdAt }));
+  }
+
+  /**
+   * @param {string} id - バックアップID。
+   */
+  async readBackup(id) {
+    const backup = this.backups.find(b => b.id === id);
+    if (!backup) throw new Error(`Backup not found: ${id}`);
+    return JSON.parse(JSON.stringify(backup.data));
+  }
+}
+
+/**
+ * ブラウザの localStorage を使用した永続化ストレージ。
+ *
+ * 同じキーを複数のタブで開いた場合に備え、最後に読み書きした内容を記録して他のタブによる書き込みを検出します。
+ * 他のタブの変更は `storage` イベントで購読でき（`subscribe()`）、LitheDB はこれを受けて自動的に読み込み直します。
+ */
+export class LocalStorage extends Storage {
+  /**
+   * @param {string} key - localStorage で使用するキー名。
+   * @param {Object} [options={}] - ストレージオプション (`keepBackups`, `backupMaxAge`)。
+   */
+  constructor(key, options = {}) {
+    super(options);
+    this.key = key;
+    /** 最後に読み書きした値。まだ読み込んでいない場合は undefined。 */
+    this._snapshot = undefined;
+  }
+
+  /**
+   * @private
+   */
+  _getStorage() {
+    if (typeof window !== 'undefined' && window.localStorage) {
+      return window.localStorage;
+    }
+    throw new Error('LocalStorage is only available in browser environment');
+  }
+
+  async read() {
+    const storage = this._getStorage();
+    const data = storage.getItem(this.key);
+    this._snapshot = data;
+    return data ? JSON.parse(data) : { metadata: { indices: {}, relations: {}, serial: 0 }, data: {} };
+  }
+
+  async write(data) {
+    const storage = this._getStorage();
+    const json = JSON.stringify(data);
+    storage.setItem(this.key, json);
+    this._snapshot = json;
+  }
+
+  /**
+   * 他のタブの変更を上書きしないよう、書き込み前に競合を検出してから保存します。
+   * @param {Array<Object>} changes - 変更の配列。
+   * @param {any} data - 変更適用後のデータベース全体。
+   * @param {{ backup?: boolean }} [options={}] - 保存オプション。
+   * @throws {ConflictError} 最後の読み込み以降に他のタブが書き込んでいた場合にスローされます。
+   */
+  async applyChanges(changes, data, options = {}) {
+    if (await this.hasChanged()) {
+      throw new ConflictError(`localStorage:${this.key}`, 'was modified by another tab');
+    }
+    await super.applyChanges(changes, data, options);
+  }
+
+  /**
+   * 最後の読み込み・書き込み以降に、他のタブによって変更されたかどうか。
+   * @returns {Promise<boolean>}
+   */
+  async hasChanged() {
+    if (this._snapshot === undefined) return false;
+    return this._getStorage().getItem(this.key) !== this._snapshot;
+  }
+
+  /**
+   * 他のタブによる変更を購読します。
+   * ブラウザの `storage` イベントは変更したタブ以外のタブでのみ発生します。
+   *
+   * @param {() => void} listener - 変更時に呼び出される関数。
+   * @returns {() => void} 購読を解除する関数。
+   */
+  subscribe(listener) {
+    if (typeof window === 'undefined' || typeof window.addEventListener !== 'function') {
+      return () => { };
+    }
+    const handler = (/** @type {StorageEvent} */ event) => {
+      if (event.storageArea && event.storageArea !== window.localStorage) return;
+      // key が null の場合は localStorage.clear() による変更
+      if (event.key === this.key || event.key === null) listener();
+    };
+    window.addEventListener('storage', handler);
+    return () => window.removeEventListener('storage', handler);
+  }
+
+  async exists() {
+    try {
+      const storage = this._getStorage();
+      return storage.getItem(this.key) !== null;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * 現在の値を `<key>.bak` にコピーします。
+   * `keepBackups` が2以上の場合、それまでの最新のバックアップは `<key>.bak.<id>` に退避されます。
+   * バックアップの一覧は `<key>.backups` に保存されます。
+   */
+  async backup() {
+    const storage = this._getStorage();
+    // read() を使うと競合検出のための記録が更新されてしまうため、直接読み込む
+    const data = storage.getItem(this.key);
+    const backups = await this.listBackups();
+    if (backups.length > 0 && this.keepBackups > 1) {
+      const previous = storage.getItem(this.key + '.bak');
+      if (previous !== null) storage.setItem(`${this.key}.bak.${backups[0].id}`, previous);
+    }
+    storage.setItem(this.key + '.bak', data || JSON.stringify({ metadata: { indices: {}, relations: {}, serial: 0 }, data: {} }));
+
+    const id = toBackupId(nextBackupTime(backups));
+    backups.unshift(backupEntry(id));
+    const expired = this._expiredBackups(backups);
+    for (const backup of expired) storage.removeItem(`${this.key}.bak.${backup.id}`);
+    storage.setItem(this.key + '.backups', JSON.stringify(backups.filter(b => !expired.includes(b)).map(b => b.id)));
+  }
+
+  async listBackups() {
+    /** @type {Array<string>} */
+    const ids = JSON.parse(this._getStorage().getItem(this.key + '.backups') || '[]');
+    return ids.map(backupEntry);
+  }
+
+  /**
+   * @param {string} id - バックアップID。
+   */
+  async readBackup(id) {
+    const storage = this._getStorage();
+    const ids = JSON.parse(storage.getItem(this.key + '.backups') || '[]');
+    const data = ids[0] === id ? storage.getItem(this.key + '.bak') : ids.includes(id) ? storage.getItem(`${this.key}.bak.${id}`) : null;
+    if (data === null) throw new Error(`Backup not found: ${id}`);
+    return JSON.parse(data);
+  }
+}
+
+/**
+ * IndexedDB のリクエストを Promise に変換します。
+ * @param {any} request - `IDBRequest`。
+ * @returns {Promise<any>}
+ * @private
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDB のトランザクションの完了を待つ Promise を返します。
+ * @param {any} tx - `IDBTransaction`。
+ * @returns {Promise<void>}
+ * @private
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve(undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/**
+ * ブラウザの IndexedDB を使用した永続化ストレージ。
+ *
+ * データベース全体を1つの文字列として保存する `LocalStorage` と異なり、容量の上限が大きく、
+ * ドキュメントを1件ずつ `documents` オブジェクトストアに、メタデータを `metadata` オブジェクトストアに保存します。
+ * 保存時には変更されたドキュメントのみを1つの IndexedDB トランザクションで書き込みます。
+ *
+ * 書き込みのたびにリビジョン番号を更新し、他のタブによる書き込みを検出します。
+ * 他のタブの変更は `BroadcastChannel` で通知されます（`subscribe()`）。
+ */
+export class IndexedDBStorage extends Storage {
+  /**
+   * @param {string} [name='lithe-db'] - IndexedDB のデータベース名。
+   * @param {Object} [options={}] - ストレージオプション。
+   * @param {IDBFactory} [options.indexedDB] - 使用する IDBFactory。省略時はグローバルの `indexedDB` を使用します（テスト用のシムを渡す場合など）。
+   * @param {number} [options.keepBackups=1] - 保持するバックアップの世代数。
+   * @param {number} [options.backupMaxAge] - この時間（ミリ秒）より古いバックアップを削除します。
+   */
+  constructor(name = 'lithe-db', options = {}) {
+    super(options);
+    this.name = name;
+    this.indexedDB = options.indexedDB || null;
+    /** @type {IDBDatabase|null} */
+    this.connection = null;
+    /** 最後に読み書きしたリビジョン番号。まだ読み込んでいない場合は undefined。 */
+    this._revision = undefined;
+    this._channel = null;
+  }
+
+  /**
+   * @private
+   */
+  _getFactory() {
+    const factory = this.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    if (!factory) {
+      throw new Error('IndexedDBStorage is only available in environments that support IndexedDB');
+    }
+    return factory;
+  }
+
+  /**
+   * @private
+   */
+  async _open() {
+    if (this.connection) return this.connection;
+    const request = this._getFactory().open(this.name, 1);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('metadata');
+      db.createObjectStore('documents');
+      db.createObjectStore('backups');
+    };
+    const connection = await promisifyRequest(request);
+    // 他のタブがデータベースを削除・更新しようとした場合は接続を閉じて妨げないようにする
+    connection.onversionchange = () => {
+      connection.close();
+      if (this.connection === connection) this.connection = null;
+    };
+    this.connection = connection;
+    return connection;
+  }
+
+  async read() {
+    const { snapshot, revision } = await this._readAll();
+    this._revision = revision;
+    return snapshot;
+  }
+
+  /**
+   * データベース全体とリビジョン番号を読み込みます。
+   * @private
+   */
+  async _readAll() {
+    const db = await this._open();
+    const tx = db.transaction(['metadata', 'documents'], 'readonly');
+    const metadataStore = tx.objectStore('metadata');
+    const [metadata, revision, records] = await Promise.all([
+      promisifyRequest(metadataStore.get('metadata')),
+      promisifyRequest(metadataStore.get('revision')),
+      promisifyRequest(tx.objectStore('documents').getAll())
+    ]);
+
+    /** @type {Record<string, Array<any>>} */
+    const data = {};
+    for (const { collection, doc } of records) {
+      if (!data[collection]) data[collection] = [];
+      data[collection].push(doc);
+    }
+    // キーは ID の文字列順に並ぶため、シリアル番号順（挿入順）に並べ直す
+    for (const docs of Object.values(data)) {
+      docs.sort((a, b) => parseInt(a.id, 10) - parseInt(b.id, 10));
+    }
+    return {
+      snapshot: { metadata: metadata || { indices: {}, relations: {}, serial: 0 }, data },
+      revision: revision || 0
+    };
+  }
+
+  /**
+   * データ全体を1つのトランザクションで書き込みます。
+   * @param {any} data
+   */
+  async write(data) {
+    const db = await this._open();
+    const tx = db.transaction(['metadata', 'documents'], 'readwrite');
+    const done = transactionDone(tx);
+    const metadataStore = tx.objectStore('metadata');
+    const documentStore = tx.objectStore('documents');
+    const current = (await promisifyRequest(metadataStore.get('revision'))) || 0;
+
+    documentStore.clear();
+    for (const [collection, docs] of Object.entries(data.data || {})) {
+      for (const doc of docs) {
+        documentStore.put({ collection, doc }, [collection, doc.id]);
+      }
+    }
+    metadataStore.put(data.metadata, 'metadata');
+    metadataStore.put(current + 1, 'revision');
+    await done;
+    this._revision = current + 1;
+    this._notify();
+  }
+
+  /**
+   * 変更されたドキュメントのみを1つのトランザクションで書き込みます。
+   * 各変更セットはトランザクションによって不可分に保存されるため、保存のたびのバックアップは作成しません。
+   *
+   * @param {Array<any>} changes - 変更の配列。
+   * @param {any} data - 変更適用後のデータベース全体（未使用）。
+   * @param {{ backup?: boolean }} [options={}] - 保存オプション。
+   * @throws {ConflictError} 最後の読み込み以降に他のタブが書き込んでいた場合にスローされます。
+   */
+  async applyChanges(changes, data, options = {}) {
+    if (changes.length === 0) return;
+    const db = await this._open();
+    const tx = db.transaction(['metadata', 'documents'], 'readwrite');
+    const done = transactionDone(tx);
+    const metadataStore = tx.objectStore('metadata');
+    const documentStore = tx.objectStore('documents');
+
+    // リビジョンの確認と書き込みを同じトランザクションで行い、確認後に割り込まれることを防ぐ
+    const current = (await promisifyRequest(metadataStore.get('revision'))) || 0;
+    if (this._revision !== undefined && current !== this._revision) {
+      tx.abort();
+      await done.catch(() => { });
+      throw new ConflictError(`indexedDB:${this.name}`, 'was modified by another tab');
+    }
+
+    for (const change of changes) {
+      if (change.type === 'metadata') {
+        metadataStore.put(change.metadata, 'metadata');
+      } else if (change.type === 'remove') {
+        documentStore.delete([change.collection, change.id]);
+      } else {
+        documentStore.put({ collection: change.collection, doc: change.doc }, [change.collection, change.doc.id]);
+      }
+    }
+    metadataStore.put(current + 1, 'revision');
+    await done;
+    this._revision = current + 1;
+    this._notify();
+  }
+
+  /**
+   * 最後の読み込み・書き込み以降に、他のタブによって変更されたかどうか。
+   * @returns {Promise<boolean>}
+   */
+  async hasChanged() {
+    if (this._revision === undefined) return false;
+    const db = await this._open();
+    const tx = db.transaction('metadata', 'readonly');
+    const revision = (await promisifyRequest(tx.objectStore('metadata').get('revision'))) || 0;
+    return revision !== this._revision;
+  }
+
+  /**
+   * 他のタブによる変更を購読します。`BroadcastChannel` が利用できない環境では何もしません。
+   *
+   * @param {() => void} listener - 変更時に呼び出される関数。
+   * @returns {() => void} 購読を解除する関数。
+   */
+  subscribe(listener) {
+    if (typeof BroadcastChannel === 'undefined') return () => { };
+    if (!this._channel) this._channel = new BroadcastChannel(`lithe-db:${this.name}`);
+    const handler = () => listener();
+    this._channel.addEventListener('message', handler);
+    return () => {
+      if (!this._channel) return;
+      this._channel.removeEventListener('message', handler);
+      this._channel.close();
+      this._channel = null;
+    };
+  }
+
+  /**
+   * 他のタブに変更を通知します。
+   * @private
+   */
+  _notify() {
+    if (typeof BroadcastChannel === 'undefined') return;
+    if (this._channel) {
+      this._channel.postMessage({ revision: this._revision });
+      return;
+    }
+    const channel = new BroadcastChannel(`lithe-db:${this.name}`);
+    channel.postMessage({ revision: this._revision });
+    channel.close();
+  }
+
+  async exists() {
+    try {
+      const db = await this._open();
+      const tx = db.transaction('metadata', 'readonly');
+      return (await promisifyRequest(tx.objectStore('metadata').get('metadata'))) !== undefined;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * 現在のデータを `backups` オブジェクトストアにバックアップIDをキーとして保存し、保持期間を過ぎた世代を削除します。
+   */
+  async backup() {
+    const db = await this._open();
+    // read() を使うと競合検出のためのリビジョンが更新されてしまうため、直接読み込む
+    const { snapshot } = await this._readAll();
+    const backups = await this.listBackups();
+    const id = toBackupId(nextBackupTime(backups));
+    backups.unshift(backupEntry(id));
+
+    const tx = db.transaction('backups', 'readwrite');
+    const done = transactionDone(tx);
+    const store = tx.objectStore('backups');
+    store.put(snapshot, id);
+    for (const backup of this._expiredBackups(backups)) store.delete(backup.id);
+    await done;
+  }
+
+  async listBackups() {
+    const db = await this._open();
+    const keys = await promisifyRequest(db.transaction('backups', 'readonly').objectStore('backups').getAllKeys());
+    return keys
+      .filter((/** @type {IDBValidKey} */ key) => typeof key === 'string' && backupIdToDate(key))
+      .sort()
+      .reverse()
+      .map(backupEntry);
+  }
+
+  /**
+   * @param {string} id - バックアップID。
+   */
+  async readBackup(id) {
+    const db = await this._open();
+    const snapshot = await promisifyRequest(db.transaction('backups', 'readonly').objectStore('backups').get(id));
+    if (snapshot === undefined) throw new Error(`Backup not found: ${id}`);
+    return snapshot;
+  }
+
+  /**
+   * 接続とタブ間通知のチャンネルを閉じます。
+   */
+  close() {
+    if (this._channel) {
+      this._channel.close();
+      this._channel = null;
+    }
+    if (this.connection) {
+      this.connection.close();
+      this.connection = null;
+    }
+  }
+}
+
+/**
+ * SQLite の識別子（テーブル名）をクォートします。
+ * @private
+ * @param {string} name
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * コレクションのテーブル名の接頭辞。`_metadata` テーブルや、SQLite が予約している `sqlite_` で始まる名前と衝突しないようにする。
+ * @private
+ */
+const COLLECTION_TABLE_PREFIX = 'c_';
+
+/**
+ * コレクション名から、クォート済みのテーブル名を返します。
+ * @private
+ * @param {string} collection
+ */
+function collectionTable(collection) {
+  return quoteIdentifier(COLLECTION_TABLE_PREFIX + collection);
+}
+
+/**
+ * SQLite を使用した永続化ストレージ (Node.js専用)。
+ *
+ * 各コレクションを `c_<コレクション名>` のテーブルに、ドキュメントを1行ずつ JSON 文字列として保存し、
+ * メタデータは `_metadata` テーブルに保存します。
+ * 保存時には変更されたドキュメントのみを1つの SQLite トランザクションで書き込むため、
+ * データベースが大きくなっても書き込みのコストは変更量に比例します。
+ *
+ * ドライバーには Node.js 組み込みの `node:sqlite` を使用し、利用できない場合は `better-sqlite3` パッケージを読み込みます。
  */
-export class FileStorage extends Storage {
+export class SqliteStorage extends Storage {
   /**
-   * @param {string} filePath - JSONファイルの保存先パス。
+   * @param {string} filePath - SQLite データベースファイルのパス。`':memory:'` を指定するとメモリ上に作成します。
+   * @param {Object} [options={}] - ストレージオプション。
+   * @param {number} [options.busyTimeout=5000] - 他のプロセスが書き込み中の場合に待機する最大時間（ミリ秒）。
+   * @param {number} [options.keepBackups=1] - 保持するバックアップの世代数。
+   * @param {number} [options.backupMaxAge] - この時間（ミリ秒）より古いバックアップを削除します。
    */
-  constructor(filePath) {
-    super();
+  constructor(filePath, options = {}) {
+    super(options);
     this.filePath = filePath;
-    this.fs = null;
+    this.busyTimeout = options.busyTimeout ?? 5000;
+    this.connection = null;
+    /** 最後に読み書きしたリビジョン番号。まだ読み込んでいない場合は undefined。 */
+    this._revision = undefined;
   }
 
   /**
    * @private
    */
-  async _getFs() {
-    if (this.fs) return this.fs;
-    if (typeof window !== 'undefined') {
-      throw new Error('FileStorage is only available in Node.js environment');
+  async _getDriver() {
+    try {
+      // node:sqlite は型定義のない Node.js のバージョンがあるため、モジュール名を変数で指定してロード
+      const builtin = 'node:sqlite';
+      const { DatabaseSync } = await import(builtin);
+      return DatabaseSync;
+    } catch { }
+    try {
+      // バンドラーの静的解析を避けるため、文字列を連結してロード
+      const name = ['better-', 'sqlite3'].join('');
+      const mod = (typeof require === 'function') ? require(name) : await import(name);
+      return mod.default || mod;
+    } catch (error) {
+      throw new Error('SqliteStorage requires Node.js 22.5+ (node:sqlite) or "better-sqlite3" package. Please install it with "npm install better-sqlite3".');
     }
-    // ブラウザバンドル時のエラーを避けるための動的インポート
-    const mod = await import('node:fs/promises');
-    this.fs = mod;
-    return this.fs;
   }
 
-  async read() {
-    const fs = await this._getFs();
+  /**
+   * @private
+   */
+  async _open() {
+    if (this.connection) return this.connection;
+    const Database = await this._getDriver();
+    const connection = new Database(this.filePath);
+    connection.exec(`PRAGMA busy_timeout = ${Number(this.busyTimeout) || 0}`);
+    connection.exec('CREATE TABLE IF NOT EXISTS _metadata (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+    this.connection = connection;
+    return connection;
+  }
+
+  /**
+   * 書き込みトランザクション内で `fn` を実行します。エラーが発生した場合はロールバックします。
+   * @param {any} db - データベース接続。
+   * @param {() => any} fn - 実行する処理。
+   * @returns {any} `fn` の戻り値。
+   * @private
+   */
+  _transaction(db, fn) {
+    // IMMEDIATE で開始し、リビジョンの確認から書き込みまでの間に他のプロセスが割り込むことを防ぐ
+    db.exec('BEGIN IMMEDIATE');
     try {
-      const data = await fs.readFile(this.filePath, 'utf8');
-      return JSON.parse(data);
+      const result = fn();
+      db.exec('COMMIT');
+      return result;
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        return { metadata: { indices: {}, relations: {}, serial: 0 }, data: {} };
-      }
+      db.exec('ROLLBACK');
       throw error;
     }
   }
 
-  async write(data) {
-    const fs = await this._getFs();
-    const tempPath = this.filePath + '.tmp';
-    const json = JSON.stringify(data, null, 2);
-    await fs.writeFile(tempPath, json, 'utf8');
+  /**
+   * @param {any} db
+   * @param {string} key
+   * @returns {any}
+   * @private
+   */
+  _getMeta(db, key) {
+    const row = db.prepare('SELECT value FROM _metadata WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : undefined;
+  }
 
-    for (let i = 0; i < 5; i++) {
-      try {
-        await fs.rename(tempPath, this.filePath);
-        return;
-      } catch (error) {
-        if (i === 4) throw error;
-        await new Promise(resolve => setTimeout(resolve, 100 * (i + 1)));
-      }
-    }
+  /**
+   * @param {any} db
+   * @param {string} key
+   * @param {any} value
+   * @private
+   */
+  _setMeta(db, key, value) {
+    db.prepare('INSERT INTO _metadata (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+      .run(key, JSON.stringify(value));
   }
 
-  async exists() {
-    const fs = await this._getFs();
-    try {
-      await fs.access(this.filePath);
-      return true;
-    } catch {
-      return false;
-    }
+  /**
+   * コレクション名の一覧を、テーブルの作成順に返します。
+   * @param {any} db
+   * @returns {Array<string>}
+   * @private
+   */
+  _listCollections(db) {
+    return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND substr(name, 1, ?) = ? ORDER BY rowid")
+      .all(COLLECTION_TABLE_PREFIX.length, COLLECTION_TABLE_PREFIX)
+      .map((/** @type {{ name: string }} */ row) => row.name.slice(COLLECTION_TABLE_PREFIX.length));
   }
 
-  async backup() {
-    const fs = await this._getFs();
-    if (await this.exists()) {
-      const bakPath = this.filePath + '.bak';
-      for (let i = 0; i < 5; i++) {
-        try {
-          await fs.copyFile(this.filePath, bakPath);
-          return;
-        } catch (error) {
-          if (i === 4) throw error;
-          await new Promise(resolve => setTimeout(resolve, 100 * (i + 1)));
-        }
-      }
-    }
+  /**
+   * @param {any} db
+   * @param {string} collection
+   * @private
+   */
+  _ensureCollection(db, collection) {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${collectionTable(collection)} (id TEXT PRIMARY KEY, doc TEXT NOT NULL)`);
   }
-}
 
-/**
- * メモリ上でデータを保持するストレージ。
- * テストや一時的なデータ管理に最適です。
- */
-export class MemoryStorage extends Storage {
-  constructor(initialData = null) {
-    super();
-    this.data = initialData || { metadata: { indices: {}, relations: {}, serial: 0 }, data: {} };
+  /**
+   * @param {any} db
+   * @param {string} collection
+   * @param {any} doc
+   * @private
+   */
+  _putDocument(db, collection, doc) {
+    db.prepare(`INSERT INTO ${collectionTable(collection)} (id, doc) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET doc = excluded.doc`)
+      .run(String(doc.id), JSON.stringify(doc));
   }
 
   async read() {
-    return JSON.parse(JSON.stringify(this.data));
+    const db = await this._open();
+    /** @type {Record<string, Array<any>>} */
+    const data = {};
+    for (const collection of this._listCollections(db)) {
+      // 挿入順を保つため rowid 順に読み込む（更新しても rowid は変わらない）
+      data[collection] = db.prepare(`SELECT doc FROM ${collectionTable(collection)} ORDER BY rowid`)
+        .all()
+        .map((/** @type {{ doc: string }} */ row) => JSON.parse(row.doc));
+    }
+    this._revision = this._getMeta(db, 'revision') || 0;
+    return {
+      metadata: this._getMeta(db, 'metadata') || { indices: {}, relations: {}, serial: 0 },
+      data
+    };
   }
 
+  /**
+   * データ全体を1つのトランザクションで書き込みます。
+   * @param {any} data
+   */
   async write(data) {
-    this.data = JSON.parse(JSON.stringify(data));
+    const db = await this._open();
+    this._revision = this._transaction(db, () => {
+      for (const collection of this._listCollections(db)) {
+        db.exec(`DROP TABLE ${collectionTable(collection)}`);
+      }
+      for (const [collection, docs] of Object.entries(data.data || {})) {
+        this._ensureCollection(db, collection);
+        for (const doc of docs) this._putDocument(db, collection, doc);
+      }
+      const revision = (this._getMeta(db, 'revision') || 0) + 1;
+      this._setMeta(db, 'metadata', data.metadata);
+      this._setMeta(db, 'revision', revision);
+      return revision;
+    });
+  }
+
+  /**
+   * 変更されたドキュメントのみを1つのトランザクションで書き込みます。
+   * 各変更セットはトランザクションによって不可分に保存されるため、保存のたびのバックアップは作成しません。
+   *
+   * @param {Array<any>} changes - 変更の配列。
+   * @param {any} data - 変更適用後のデータベース全体（未使用）。
+   * @param {{ backup?: boolean }} [options={}] - 保存オプション。
+   * @throws {ConflictError} 最後の読み込み以降に他のプロセスが書き込んでいた場合にスローされます。
+   */
+  async applyChanges(changes, data, options = {}) {
+    if (changes.length === 0) return;
+    const db = await this._open();
+    this._revision = this._transaction(db, () => {
+      const current = this._getMeta(db, 'revision') || 0;
+      if (this._revision !== undefined && current !== this._revision) {
+        throw new ConflictError(this.filePath);
+      }
+      for (const change of changes) {
+        if (change.type === 'metadata') {
+          this._setMeta(db, 'metadata', change.metadata);
+        } else if (change.type === 'remove') {
+          this._ensureCollection(db, change.collection);
+          db.prepare(`DELETE FROM ${collectionTable(change.collection)} WHERE id = ?`).run(String(change.id));
+        } else {
+          this._ensureCollection(db, change.collection);
+          this._putDocument(db, change.collection, change.doc);
+        }
+      }
+      this._setMeta(db, 'revision', current + 1);
+      return current + 1;
+    });
+  }
+
+  /**
+   * 最後の読み込み・書き込み以降に、他のプロセスによって変更されたかどうか。
+   * @returns {Promise<boolean>}
+   */
+  async hasChanged() {
+    if (this._revision === undefined) return false;
+    const db = await this._open();
+    return (this._getMeta(db, 'revision') || 0) !== this._revision;
   }
 
   async exists() {
-    return true;
+    if (this.filePath !== ':memory:') {
+      const fs = await import('node:fs/promises');
+      try {
+        await fs.access(this.filePath);
+      } catch {
+        return false;
+      }
+    }
+    const db = await this._open();
+    return this._getMeta(db, 'metadata') !== undefined;
   }
 
+  /**
+   * `VACUUM INTO` で `<filePath>.bak` にデータベースの複製を作成します。
+   * `keepBackups` が2以上の場合、それまでの最新のバックアップは `<filePath>.bak.<id>` に退避されます。
+   */
   async backup() {
-    this.bak = JSON.parse(JSON.stringify(this.data));
+    if (this.filePath === ':memory:') return;
+    const db = await this._open();
+    const fs = await import('node:fs/promises');
+    await rotateFileBackups(this, fs, [this.filePath], async (path, backupPath) => {
+      // VACUUM INTO は既存のファイルに上書きできないため、先に削除する
+      await removeIfExists(fs, backupPath);
+      db.exec(`VACUUM INTO '${backupPath.replace(/'/g, "''")}'`);
+      return true;
+    });
+  }
+
+  async listBackups() {
+    if (this.filePath === ':memory:') return [];
+    const fs = await import('node:fs/promises');
+    return (await listFileBackups(fs, [this.filePath])).map(({ id, createdAt }) => ({ id, createdAt }));
   }
-}
 
-/**
- * ブラウザの localStorage を使用した永続化ストレージ。
- */
-export class LocalStorage extends Storage {
   /**
-   * @param {string} key - localStorage で使用するキー名。
+   * @param {string} id - バックアップID。
    */
-  constructor(key) {
-    super();
-    this.key = key;
+  async readBackup(id) {
+    if (this.filePath === ':memory:') throw new Error(`Backup not found: ${id}`);
+    const fs = await import('node:fs/promises');
+    const backup = (await listFileBackups(fs, [this.filePath])).find(b => b.id === id);
+    if (!backup) throw new Error(`Backup not found: ${id}`);
+    const storage = new SqliteStorage(fileBackupPath(this.filePath, backup));
+    try {
+      return await storage.read();
+    } finally {
+      storage.close();
+    }
   }
 
   /**
-   * @private
+   * データベースへの接続を閉じます。
    */
-  _getStorage() {
-    if (typeof window !== 'undefined' && window.localStorage) {
-      return window.localStorage;
+  close() {
+    if (this.connection) {
+      this.connection.close();
+      this.connection = null;
     }
-    throw new Error('LocalStorage is only available in browser environment');
   }
+}
 
-  async read() {
-    const storage = this._getStorage();
-    const data = storage.getItem(this.key);
-    return data ? JSON.parse(data) : { metadata: { indices: {}, relations: {}, serial: 0 }, data: {} };
+/**
+ * ドキュメントをシートの1行に変換します。オブジェクトや配列は JSON 文字列として保存します。
+ * 値のないセルは空文字にします（Sheets API の更新では null のセルは書き換えられないため）。
+ * @param {Record<string, any>} doc
+ * @param {Array<string>} headers
+ * @returns {Array<any>}
+ * @private
+ */
+function toSheetRow(doc, headers) {
+  return headers.map(h => {
+    const val = doc[h];
+    if (val !== null && typeof val === 'object') {
+      return JSON.stringify(val);
+    }
+    return val === undefined || val === null ? '' : val;
+  });
+}
+
+/**
+ * 変更セットを、シート上の行の更新・追加・削除に変換します。
+ * 同じドキュメントへの複数の変更は最後の状態にまとめられます。
+ *
+ * @private
+ * @param {Array<Array<any>>} values - 現在のシートの値（1行目はヘッダー）。
+ * @param {Array<any>} changes - 1つのコレクションに対する変更の配列。
+ * @returns {{ headers: Array<string>, headersChanged: boolean, updates: Array<{ row: number, values: Array<any> }>, inserts: Array<Array<any>>, deletes: Array<number> }}
+ *   `row` と `deletes` は1始まりの行番号で、`deletes` は行番号の降順に並びます。
+ */
+function planSheetChanges(values, changes) {
+  const existing = values && values.length > 0 && values[0].length > 0 && values[0][0] !== '';
+  const headers = existing ? values[0].map(String) : [];
+  const originalLength = headers.length;
+
+  const finals = new Map();
+  for (const change of changes) {
+    if (change.type === 'remove') finals.set(String(change.id), null);
+    else finals.set(String(change.doc.id), change.doc);
+  }
+  for (const doc of finals.values()) {
+    if (!doc) continue;
+    for (const key of Object.keys(doc)) {
+      if (!headers.includes(key)) headers.push(key);
+    }
   }
 
-  async write(data) {
-    const storage = this._getStorage();
-    storage.setItem(this.key, JSON.stringify(data));
+  const rows = new Map();
+  const idColumn = headers.indexOf('id');
+  if (existing && idColumn !== -1) {
+    values.slice(1).forEach((row, i) => {
+      if (row[idColumn] !== undefined && row[idColumn] !== '') rows.set(String(row[idColumn]), i + 2);
+    });
   }
 
-  async exists() {
-    try {
-      const storage = this._getStorage();
-      return storage.getItem(this.key) !== null;
-    } catch {
-      return false;
-    }
+  const updates = [];
+  const inserts = [];
+  const deletes = [];
+  for (const [id, doc] of finals) {
+    const row = rows.get(id);
+    if (doc && row) updates.push({ row, values: toSheetRow(doc, headers) });
+    else if (doc) inserts.push(toSheetRow(doc, headers));
+    else if (row) deletes.push(row);
   }
+  deletes.sort((a, b) => b - a);
+  return { headers, headersChanged: headers.length !== originalLength, updates, inserts, deletes };
+}
 
-  async backup() {
-    const storage = this._getStorage();
-    const data = await this.read();
-    storage.setItem(this.key + '.bak', JSON.stringify(data));
+/**
+ * スプレッドシートのセルに保存できる文字数（5万文字）に収まるよう、バックアップの JSON を分割する単位。
+ * @private
+ */
+const BACKUP_CHUNK_SIZE = 40000;
+
+/**
+ * データを JSON に変換し、1行1セルずつの値に分割します。
+ * @private
+ * @param {any} data
+ * @returns {Array<Array<string>>}
+ */
+function toBackupRows(data) {
+  const json = JSON.stringify(data);
+  const rows = [];
+  for (let i = 0; i < json.length; i += BACKUP_CHUNK_SIZE) {
+    rows.push([json.slice(i, i + BACKUP_CHUNK_SIZE)]);
+  }
+  return rows;
+}
+
+/**
+ * バックアップのシート名からバックアップIDを取り出します。バックアップのシートでなければ null を返します。
+ * @private
+ * @param {string} name
+ * @returns {string|null}
+ */
+function backupIdFromSheetName(name) {
+  const match = /^_backup_(.+)\.bak$/.exec(name);
+  return match && backupIdToDate(match[1]) ? match[1] : null;
+}
+
+/**
+ * シート名の一覧からバックアップの一覧を新しい順に作成します。
+ * @private
+ * @param {Array<string>} names
+ * @returns {Array<{ id: string, createdAt: string }>}
+ */
+function listSheetBackups(names) {
+  return names
+    .map(backupIdFromSheetName)
+    .filter(/** @returns {id is string} */ id => id !== null)
+    .sort()
+    .reverse()
+    .map(backupEntry);
+}
+
+/**
+ * 変更セットをコレクションごとにまとめます。メタデータの変更は含みません。
+ * @param {Array<any>} changes
+ * @returns {Map<string, Array<any>>}
+ * @private
+ */
+function groupChangesByCollection(changes) {
+  const groups = new Map();
+  for (const change of changes) {
+    if (change.type === 'metadata') continue;
+    if (!groups.has(change.collection)) groups.set(change.collection, []);
+    groups.get(change.collection).push(change);
   }
+  return groups;
 }
 
 /**
  * Google Spreadsheets を使用した永続化ストレージ。
  * 各コレクションを個別のシートとして保存し、メタデータを '_metadata' シートに管理します。
+ * バックアップは `db.backup()` で明示的に作成し、データベース全体の JSON を `_backup_<id>.bak` シートに保存します。
  */
 export class GoogleSheetsStorage extends Storage {
   /**
    * @param {Object} config - 設定オブジェクト。
    * @param {string} config.spreadsheetId - Google スプレッドシートのID。
    * @param {any} config.auth - googleapis で使用する認証オブジェクト (JWT, OAuth2, etc.)。
+   * @param {number} [config.keepBackups=1] - 保持するバックアップの世代数。
+   * @param {number} [config.backupMaxAge] - この時間（ミリ秒）より古いバックアップを削除します。
    */
-  constructor(config = {}) {
-    super();
+  constructor(config) {
+    super(config);
     this.spreadsheetId = config.spreadsheetId;
     this.auth = config.auth;
     this._sheets = null;
@@ -229,8 +2196,9 @@ export class GoogleSheetsStorage extends Storage {
 
       const db = { metadata: { indices: {}, relations: {}, serial: 0 }, data: {} };
 
-      // 各シートを読み込み
+      // 各シートを読み込み（バックアップのシートは読み込まない）
       for (const name of sheetNames) {
+        if (name.endsWith('.bak')) continue;
         const response = await sheets.spreadsheets.values.get({
           spreadsheetId: this.spreadsheetId,
           range: name // シート名指定で全データを取得
@@ -245,7 +2213,7 @@ export class GoogleSheetsStorage extends Storage {
           } catch {
             // 不正なメタデータは無視
           }
-        } else if (!name.endsWith('.bak')) {
+        } else {
           const headers = rows[0];
           const dataRows = rows.slice(1);
           db.data[name] = dataRows.map((/** @type {any} */ row) => {
@@ -276,6 +2244,9 @@ export class GoogleSheetsStorage extends Storage {
     }
   }
 
+  /**
+   * @param {{ metadata: Object, data: Record<string, Array<Object>> }} data
+   */
   async write(data) {
     const sheets = await this._getSheetsClient();
 
@@ -292,22 +2263,14 @@ export class GoogleSheetsStorage extends Storage {
     for (const [name, items] of Object.entries(data.data)) {
       await this._ensureSheet(sheets, name);
 
+      /** @type {Array<Array<any>>} */
       let values = [[]];
       if (items.length > 0) {
         // 全アイテムから一意なヘッダーを抽出
         const headers = [...new Set(items.flatMap(item => Object.keys(item)))];
         values = [headers];
 
-        items.forEach(item => {
-          const row = headers.map(h => {
-            const val = item[h];
-            if (val !== null && typeof val === 'object') {
-              return JSON.stringify(val);
-            }
-            return val === undefined ? null : val;
-          });
-          values.push(row);
-        });
+        items.forEach(item => values.push(toSheetRow(item, headers)));
       }
 
       // シートをクリアして新しいデータを書き込む
@@ -326,22 +2289,89 @@ export class GoogleSheetsStorage extends Storage {
   }
 
   /**
-   * @private
+   * 変更されたコレクションのシートについて、変更のあった行のみを書き換えます。
+   * 変更のないコレクションのシートには一切アクセスしません。
+   * すべてのシートを読み込み直すコストを避けるため、保存のたびのバックアップは作成しません。
+   * 更新・追加は1回の `values.batchUpdate` に、削除は1回の `batchUpdate` (deleteDimension) にまとめて送信します。
+   *
+   * @param {Array<any>} changes - 変更の配列。
+   * @param {any} data - 変更適用後のデータベース全体（未使用）。
+   * @param {{ backup?: boolean }} [options={}] - 保存オプション。
    */
-  async _ensureSheet(sheets, title) {
-    try {
-      const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId: this.spreadsheetId });
-      const exists = spreadsheet.data.sheets.some(s => s.properties.title === title);
-      if (!exists) {
+  async applyChanges(changes, data, options = {}) {
+    if (changes.length === 0) return;
+    const sheets = await this._getSheetsClient();
+
+    const metadataChange = changes.filter(c => c.type === 'metadata').pop();
+    if (metadataChange) {
+      await this._ensureSheet(sheets, '_metadata');
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: '_metadata!A1',
+        valueInputOption: 'RAW',
+        requestBody: { values: [[JSON.stringify(metadataChange.metadata)]] }
+      });
+    }
+
+    for (const [name, collectionChanges] of groupChangesByCollection(changes)) {
+      const sheetId = await this._ensureSheet(sheets, name);
+      const response = await sheets.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: name
+      });
+      const rows = response.data.values || [];
+      const plan = planSheetChanges(rows, collectionChanges);
+
+      const ranges = [];
+      if (plan.headersChanged) ranges.push({ range: `${name}!A1`, values: [plan.headers] });
+      for (const update of plan.updates) {
+        ranges.push({ range: `${name}!A${update.row}`, values: [update.values] });
+      }
+      if (plan.inserts.length > 0) {
+        ranges.push({ range: `${name}!A${Math.max(rows.length, 1) + 1}`, values: plan.inserts });
+      }
+      if (ranges.length > 0) {
+        await sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: this.spreadsheetId,
+          requestBody: { valueInputOption: 'RAW', data: ranges }
+        });
+      }
+
+      if (plan.deletes.length > 0) {
+        // 下の行から削除し、削除によって上の行の位置がずれないようにする
         await sheets.spreadsheets.batchUpdate({
           spreadsheetId: this.spreadsheetId,
           requestBody: {
-            requests: [{
-              addSheet: { properties: { title } }
-            }]
+            requests: plan.deletes.map(row => ({
+              deleteDimension: { range: { sheetId, dimension: 'ROWS', startIndex: row - 1, endIndex: row } }
+            }))
           }
         });
       }
+    }
+  }
+
+  /**
+   * シートが存在しなければ作成し、そのシートIDを返します。
+   * @param {any} sheets - Sheets API のクライアント。
+   * @param {string} title - シート名。
+   * @returns {Promise<number|undefined>}
+   * @private
+   */
+  async _ensureSheet(sheets, title) {
+    try {
+      const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId: this.spreadsheetId });
+      const sheet = spreadsheet.data.sheets.find((/** @type {any} */ s) => s.properties.title === title);
+      if (sheet) return sheet.properties.sheetId;
+      const response = await sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        requestBody: {
+          requests: [{
+            addSheet: { properties: { title } }
+          }]
+        }
+      });
+      return response?.data?.replies?.[0]?.addSheet?.properties?.sheetId;
     } catch (error) {
       // 無視またはログ
     }
@@ -357,40 +2387,73 @@ export class GoogleSheetsStorage extends Storage {
     }
   }
 
+  /**
+   * データベース全体を新しい `_backup_<id>.bak` シートに保存し、保持期間を過ぎた世代のシートを削除します。
+   */
   async backup() {
-    // 簡易的なバックアップとして _metadata を _metadata.bak にコピー
     const sheets = await this._getSheetsClient();
     try {
-      const metadata = await sheets.spreadsheets.values.get({
+      const snapshot = await this.read();
+      const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId: this.spreadsheetId });
+      const backups = listSheetBackups(spreadsheet.data.sheets.map((/** @type {any} */ s) => s.properties.title));
+      const id = toBackupId(nextBackupTime(backups));
+      backups.unshift(backupEntry(id));
+
+      const title = `_backup_${id}.bak`;
+      await this._ensureSheet(sheets, title);
+      await sheets.spreadsheets.values.update({
         spreadsheetId: this.spreadsheetId,
-        range: '_metadata!A1'
+        range: `'${title}'!A1`,
+        valueInputOption: 'RAW',
+        requestBody: { values: toBackupRows(snapshot) }
       });
-      if (metadata.data.values && metadata.data.values[0]) {
-        await this._ensureSheet(sheets, '_metadata.bak');
-        await sheets.spreadsheets.values.update({
-          spreadsheetId: this.spreadsheetId,
-          range: '_metadata.bak!A1',
-          valueInputOption: 'RAW',
-          requestBody: { values: [metadata.data.values[0]] }
-        });
+
+      const expired = new Set(this._expiredBackups(backups).map(b => `_backup_${b.id}.bak`));
+      const requests = spreadsheet.data.sheets
+        .filter((/** @type {any} */ s) => expired.has(s.properties.title))
+        .map((/** @type {any} */ s) => ({ deleteSheet: { sheetId: s.properties.sheetId } }));
+      if (requests.length > 0) {
+        await sheets.spreadsheets.batchUpdate({ spreadsheetId: this.spreadsheetId, requestBody: { requests } });
       }
     } catch {
       // バックアップ失敗は致命的でないものとする
     }
   }
+
+  async listBackups() {
+    const sheets = await this._getSheetsClient();
+    const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId: this.spreadsheetId });
+    return listSheetBackups(spreadsheet.data.sheets.map((/** @type {any} */ s) => s.properties.title));
+  }
+
+  /**
+   * @param {string} id - バックアップID。
+   */
+  async readBackup(id) {
+    if (!(await this.listBackups()).some(b => b.id === id)) throw new Error(`Backup not found: ${id}`);
+    const sheets = await this._getSheetsClient();
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `'_backup_${id}.bak'`
+    });
+    return JSON.parse((response.data.values || []).map((/** @type {Array<string>} */ row) => row[0]).join(''));
+  }
 }
 
 /**
  * Google Apps Script (GAS) 環境専用のストレージ。
  * SpreadsheetApp を直接使用するため、googleapis パッケージは不要です。
+ * バックアップは `db.backup()` で明示的に作成し、データベース全体の JSON を `_backup_<id>.bak` シートに保存します。
  */
 export class GASStorage extends Storage {
   /**
    * @param {Object} [config={}] - 設定オブジェクト。
    * @param {string} [config.spreadsheetId] - スプレッドシートID。省略した場合は SpreadsheetApp.getActiveSpreadsheet() を使用します。
+   * @param {number} [config.keepBackups=1] - 保持するバックアップの世代数。
+   * @param {number} [config.backupMaxAge] - この時間（ミリ秒）より古いバックアップを削除します。
    */
   constructor(config = {}) {
-    super();
+    super(config);
     this.spreadsheetId = config.spreadsheetId;
   }
 
@@ -414,6 +2477,8 @@ export class GASStorage extends Storage {
 
     for (const sheet of sheets) {
       const name = sheet.getName();
+      // バックアップのシートは読み込まない
+      if (name.endsWith('.bak')) continue;
       const values = sheet.getDataRange().getValues();
       if (!values || values.length === 0 || (values.length === 1 && values[0][0] === '')) continue;
 
@@ -423,7 +2488,7 @@ export class GASStorage extends Storage {
         } catch {
           // 不正なメタデータは無視
         }
-      } else if (!name.endsWith('.bak')) {
+      } else {
         const headers = values[0];
         const dataRows = values.slice(1);
         db.data[name] = dataRows.map(row => {
@@ -448,6 +2513,9 @@ export class GASStorage extends Storage {
     return db;
   }
 
+  /**
+   * @param {{ metadata: Object, data: Record<string, Array<Object>> }} data
+   */
   async write(data) {
     const ss = this._getSpreadsheet();
 
@@ -465,24 +2533,57 @@ export class GASStorage extends Storage {
 
       if (items.length > 0) {
         const headers = [...new Set(items.flatMap(item => Object.keys(item)))];
+        /** @type {Array<Array<any>>} */
         const values = [headers];
 
-        items.forEach(item => {
-          const row = headers.map(h => {
-            const val = item[h];
-            if (val !== null && typeof val === 'object') {
-              return JSON.stringify(val);
-            }
-            return val === undefined ? null : val;
-          });
-          values.push(row);
-        });
+        items.forEach(item => values.push(toSheetRow(item, headers)));
 
         sheet.getRange(1, 1, values.length, headers.length).setValues(values);
       }
     }
   }
 
+  /**
+   * 変更されたコレクションのシートについて、変更のあった行のみを書き換えます。
+   * 変更のないコレクションのシートには一切アクセスしません。
+   * すべてのシートを読み込み直すコストを避けるため、保存のたびのバックアップは作成しません。
+   *
+   * @param {Array<any>} changes - 変更の配列。
+   * @param {any} data - 変更適用後のデータベース全体（未使用）。
+   * @param {{ backup?: boolean }} [options={}] - 保存オプション。
+   */
+  async applyChanges(changes, data, options = {}) {
+    if (changes.length === 0) return;
+    const ss = this._getSpreadsheet();
+
+    const metadataChange = changes.filter(c => c.type === 'metadata').pop();
+    if (metadataChange) {
+      let metaSheet = ss.getSheetByName('_metadata');
+      if (!metaSheet) metaSheet = ss.insertSheet('_metadata');
+      metaSheet.getRange(1, 1).setValue(JSON.stringify(metadataChange.metadata));
+    }
+
+    for (const [name, collectionChanges] of groupChangesByCollection(changes)) {
+      let sheet = ss.getSheetByName(name);
+      if (!sheet) sheet = ss.insertSheet(name);
+      const values = sheet.getDataRange().getValues();
+      const plan = planSheetChanges(values, collectionChanges);
+      const width = plan.headers.length;
+
+      if (plan.headersChanged) sheet.getRange(1, 1, 1, width).setValues([plan.headers]);
+      for (const update of plan.updates) {
+        sheet.getRange(update.row, 1, 1, width).setValues([update.values]);
+      }
+      if (plan.inserts.length > 0) {
+        sheet.getRange(Math.max(sheet.getLastRow(), 1) + 1, 1, plan.inserts.length, width).setValues(plan.inserts);
+      }
+      // 下の行から削除し、削除によって上の行の位置がずれないようにする
+      for (const row of plan.deletes) {
+        sheet.deleteRow(row);
+      }
+    }
+  }
+
   async exists() {
     try {
       this._getSpreadsheet();
@@ -492,14 +2593,35 @@ export class GASStorage extends Storage {
     }
   }
 
+  /**
+   * データベース全体を新しい `_backup_<id>.bak` シートに保存し、保持期間を過ぎた世代のシートを削除します。
+   */
   async backup() {
     const ss = this._getSpreadsheet();
-    const metaSheet = ss.getSheetByName('_metadata');
-    if (metaSheet) {
-      let bakSheet = ss.getSheetByName('_metadata.bak');
-      if (!bakSheet) bakSheet = ss.insertSheet('_metadata.bak');
-      bakSheet.clear();
-      metaSheet.getDataRange().copyTo(bakSheet.getRange(1, 1));
+    const snapshot = await this.read();
+    const backups = await this.listBackups();
+    const id = toBackupId(nextBackupTime(backups));
+    backups.unshift(backupEntry(id));
+
+    const rows = toBackupRows(snapshot);
+    // 分割した JSON が数値や日付として解釈されないよう、書式を書式なしテキストにする
+    ss.insertSheet(`_backup_${id}.bak`).getRange(1, 1, rows.length, 1).setNumberFormat('@').setValues(rows);
+    for (const backup of this._expiredBackups(backups)) {
+      const sheet = ss.getSheetByName(`_backup_${backup.id}.bak`);
+      if (sheet) ss.deleteSheet(sheet);
     }
   }
+
+  async listBackups() {
+    return listSheetBackups(this._getSpreadsheet().getSheets().map((/** @type {any} */ sheet) => sheet.getName()));
+  }
+
+  /**
+   * @param {string} id - バックアップID。
+   */
+  async readBackup(id) {
+    const sheet = this._getSpreadsheet().getSheetByName(`_backup_${id}.bak`);
+    if (!sheet || !backupIdFromSheetName(sheet.getName())) throw new Error(`Backup not found: ${id}`);
+    return JSON.parse(sheet.getDataRange().getValues().map((/** @type {Array<string>} */ row) => row[0]).join(''));
+  }
 }
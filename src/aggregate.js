@@ -0,0 +1,241 @@
+import { matchQuery, getPath, setPath, compareBy, project, isPlainObject } from './query.js';
+import { indexKey } from './Index.js';
+
+/**
+ * 集計パイプラインの実装。
+ * `$match` / `$group` / `$sort` / `$project` / `$unwind` / `$skip` / `$limit` / `$lookup` の
+ * 各ステージを順番に適用します。
+ */
+
+/**
+ * 式を評価します。`'$field'` 形式の文字列はフィールド参照（ドット記法可）として、
+ * オブジェクトは各キーを再帰的に評価した結果として、それ以外はリテラルとして扱います。
+ *
+ * @param {Object} doc - 評価対象のドキュメント。
+ * @param {any} expr - 式。
+ * @returns {any}
+ */
+export function evaluate(doc, expr) {
+  if (typeof expr === 'string' && expr.startsWith('$')) {
+    return getPath(doc, expr.slice(1));
+  }
+  if (isPlainObject(expr)) {
+    /** @type {Record<string, any>} */
+    const result = {};
+    for (const [key, value] of Object.entries(expr)) {
+      result[key] = evaluate(doc, value);
+    }
+    return result;
+  }
+  return expr;
+}
+
+/**
+ * `$group` ステージで使用するアキュムレータ。
+ * @private
+ * @type {Record<string, (docs: Array<Object>, expr?: any) => any>}
+ */
+const accumulators = {
+  $sum: (docs, expr) => docs.reduce((/** @type {number} */ total, doc) => {
+    const value = evaluate(doc, expr);
+    return typeof value === 'number' ? total + value : total;
+  }, 0),
+  $avg: (docs, expr) => {
+    const values = docs.map(doc => evaluate(doc, expr)).filter(v => typeof v === 'number');
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  },
+  $min: (docs, expr) => {
+    const values = docs.map(doc => evaluate(doc, expr)).filter(v => v !== undefined && v !== null);
+    return values.length > 0 ? values.reduce((a, b) => (b < a ? b : a)) : null;
+  },
+  $max: (docs, expr) => {
+    const values = docs.map(doc => evaluate(doc, expr)).filter(v => v !== undefined && v !== null);
+    return values.length > 0 ? values.reduce((a, b) => (b > a ? b : a)) : null;
+  },
+  $count: (docs) => docs.length,
+  $push: (docs, expr) => docs.map(doc => evaluate(doc, expr)).filter(v => v !== undefined)
+};
+
+/**
+ * @private
+ * @param {Array<Object>} docs - 入力ドキュメント。
+ * @param {Record<string, any>} spec - `$group` ステージの定義。
+ * @returns {Array<Object>}
+ */
+function group(docs, spec) {
+  if (!('_id' in spec)) throw new Error('$group requires an _id expression');
+  const groups = new Map();
+  for (const doc of docs) {
+    const id = evaluate(doc, spec._id);
+    const key = indexKey(id === undefined ? null : id);
+    if (!groups.has(key)) groups.set(key, { id: id === undefined ? null : id, docs: [] });
+    groups.get(key).docs.push(doc);
+  }
+
+  return [...groups.values()].map(({ id, docs: members }) => {
+    /** @type {Record<string, any>} */
+    const result = { _id: id };
+    for (const [field, accumulator] of Object.entries(spec)) {
+      if (field === '_id') continue;
+      const entries = isPlainObject(accumulator) ? Object.entries(accumulator) : [];
+      if (entries.length !== 1 || !accumulators[entries[0][0]]) {
+        throw new Error(`Invalid accumulator for $group field ${field}`);
+      }
+      const [op, expr] = entries[0];
+      result[field] = accumulators[op](members, expr);
+    }
+    return result;
+  });
+}
+
+/**
+ * @private
+ * @param {Array<Record<string, any>>} docs - 入力ドキュメント。
+ * @param {Record<string, any>} spec - `$project` ステージの定義。
+ * @returns {Array<Object>}
+ */
+function projectStage(docs, spec) {
+  const isFlag = (/** @type {any} */ v) => v === 0 || v === 1 || typeof v === 'boolean';
+  if (Object.values(spec).every(isFlag)) {
+    return docs.map(doc => project(doc, spec));
+  }
+  return docs.map(doc => {
+    /** @type {Record<string, any>} */
+    const result = {};
+    if (spec.id === undefined || spec.id) {
+      if (doc.id !== undefined) result.id = doc.id;
+    }
+    for (const [key, value] of Object.entries(spec)) {
+      if (key === 'id') continue;
+      if (value === 0 || value === false) {
+        throw new Error('$project cannot mix exclusion with computed fields');
+      }
+      const resolved = (value === 1 || value === true) ? getPath(doc, key) : evaluate(doc, value);
+      if (resolved !== undefined) setPath(result, key, resolved);
+    }
+    return result;
+  });
+}
+
+/**
+ * @private
+ * @param {Array<Object>} docs - 入力ドキュメント。
+ * @param {string|{ path: string, preserveNullAndEmptyArrays?: boolean }} spec - `$unwind` ステージの定義。
+ * @returns {Array<Object>}
+ */
+function unwind(docs, spec) {
+  const options = typeof spec === 'string' ? { path: spec } : spec;
+  if (!options || typeof options.path !== 'string' || !options.path.startsWith('$')) {
+    throw new Error('$unwind requires a field path starting with $');
+  }
+  const path = options.path.slice(1);
+  const results = [];
+  for (const doc of docs) {
+    const value = getPath(doc, path);
+    if (Array.isArray(value) && value.length > 0) {
+      for (const item of value) {
+        const copy = JSON.parse(JSON.stringify(doc));
+        setPath(copy, path, item);
+        results.push(copy);
+      }
+    } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+      results.push(doc);
+    } else if (options.preserveNullAndEmptyArrays) {
+      results.push(doc);
+    }
+  }
+  return results;
+}
+
+/**
+ * `$lookup` ステージ。`from` を省略した場合は `defineRelation` で定義されたリレーションから
+ * 参照先のコレクションとフィールドを解決します。
+ * @private
+ * @param {import('./LitheDB.js').default} db - 参照するデータベース。
+ * @param {string} collectionName - 集計元のコレクション名。
+ * @param {Array<Object>} docs - 入力ドキュメント。
+ * @param {{ from?: string, localField: string, foreignField?: string, as: string }} spec - `$lookup` ステージの定義。
+ * @returns {Promise<Array<Object>>}
+ */
+async function lookup(db, collectionName, docs, spec) {
+  const { localField, as } = spec;
+  if (!localField || !as) throw new Error('$lookup requires localField and as');
+
+  let from = spec.from;
+  let foreignField = spec.foreignField;
+  if (!from) {
+    const relation = db._getRelations(collectionName)[localField];
+    if (!relation || relation.type) throw new Error(`$lookup: no foreign key relation defined for ${collectionName}.${localField}`);
+    from = relation.ref;
+    foreignField = foreignField || relation.field;
+  }
+  foreignField = foreignField || 'id';
+
+  const refCollection = db.collection(/** @type {string} */ (from));
+  const results = [];
+  for (const doc of docs) {
+    const value = getPath(doc, localField);
+    /** @type {Array<Object>} */
+    let matches = [];
+    if (value !== undefined && value !== null) {
+      const condition = Array.isArray(value) ? { $in: value } : value;
+      matches = await refCollection.find({ [foreignField]: condition });
+    }
+    const copy = JSON.parse(JSON.stringify(doc));
+    setPath(copy, as, matches);
+    results.push(copy);
+  }
+  return results;
+}
+
+/**
+ * ドキュメントの配列に集計パイプラインを適用します。
+ *
+ * @param {import('./LitheDB.js').default} db - `$lookup` で参照するデータベース。
+ * @param {string} collectionName - 集計元のコレクション名。
+ * @param {Array<Object>} docs - 入力ドキュメント（クローン済みであること）。
+ * @param {Array<Record<string, any>>} pipeline - ステージの配列。
+ * @returns {Promise<Array<Object>>}
+ * @throws {Error} 不明なステージや不正なステージ定義の場合にスローされます。
+ */
+export async function runPipeline(db, collectionName, docs, pipeline) {
+  if (!Array.isArray(pipeline)) throw new Error('Aggregation pipeline must be an array');
+  let results = docs;
+
+  for (const stage of pipeline) {
+    const keys = isPlainObject(stage) ? Object.keys(stage) : [];
+    if (keys.length !== 1) throw new Error('Each aggregation stage must have exactly one operator');
+    const [name] = keys;
+    const spec = stage[name];
+
+    switch (name) {
+      case '$match':
+        results = results.filter(doc => matchQuery(doc, spec));
+        break;
+      case '$group':
+        results = group(results, spec);
+        break;
+      case '$sort':
+        results = [...results].sort(compareBy(spec));
+        break;
+      case '$project':
+        results = projectStage(results, spec);
+        break;
+      case '$unwind':
+        results = unwind(results, spec);
+        break;
+      case '$skip':
+        results = results.slice(spec);
+        break;
+      case '$limit':
+        results = results.slice(0, spec);
+        break;
+      case '$lookup':
+        results = await lookup(db, collectionName, results, spec);
+        break;
+      default:
+        throw new Error(`Unknown aggregation stage: ${name}`);
+    }
+  }
+  return results;
+}
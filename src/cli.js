@@ -1,18 +1,41 @@
 #!/usr/bin/env node
 import LitheDB from './LitheDB.js';
+import { readRecords, importRecords, writeRecords, findInBatches, formatFromPath, ImportError } from './transfer.js';
+import { startShell } from './shell.js';
+import { createServer } from './server.js';
 
 async function run() {
   const args = process.argv.slice(2);
+  /** @type {Record<string, any>} */
   const options = {
     db: 'database.json',
     pretty: false,
-    format: 'json',
+    format: null,
     populate: false,
     unique: false,
+    sparse: false,
+    filter: null,
+    enforce: false,
     ref: null,
     refField: 'id',
+    onDelete: null,
+    onUpdate: null,
     sort: null,
     limit: null,
+    skip: null,
+    after: null,
+    fields: null,
+    expectedVersion: null,
+    keepBackups: null,
+    storageFormat: undefined,
+    compression: undefined,
+    map: null,
+    types: null,
+    delimiter: ',',
+    strict: false,
+    port: 3000,
+    host: '127.0.0.1',
+    token: process.env.LITHE_DB_TOKEN || null,
   };
 
   const commandArgs = [];
@@ -27,16 +50,56 @@ async function run() {
       options.format = args[++i];
     } else if (arg === '--populate') {
       options.populate = true;
+    } else if (arg === '--with') {
+      options.populate = args[++i].split(',').map(p => p.trim());
     } else if (arg === '--unique') {
       options.unique = true;
+    } else if (arg === '--enforce') {
+      options.enforce = true;
+    } else if (arg === '--sparse') {
+      options.sparse = true;
+    } else if (arg === '--filter') {
+      options.filter = JSON.parse(args[++i]);
     } else if (arg === '--ref') {
       options.ref = args[++i];
     } else if (arg === '--ref-field') {
       options.refField = args[++i];
+    } else if (arg === '--on-delete') {
+      options.onDelete = args[++i];
+    } else if (arg === '--on-update') {
+      options.onUpdate = args[++i];
     } else if (arg === '--sort') {
       options.sort = JSON.parse(args[++i]);
     } else if (arg === '--limit') {
       options.limit = parseInt(args[++i], 10);
+    } else if (arg === '--skip') {
+      options.skip = parseInt(args[++i], 10);
+    } else if (arg === '--after') {
+      options.after = args[++i];
+    } else if (arg === '--fields') {
+      options.fields = JSON.parse(args[++i]);
+    } else if (arg === '--expected-version' || arg === '--if-match') {
+      options.expectedVersion = args[++i];
+    } else if (arg === '--keep-backups') {
+      options.keepBackups = parseInt(args[++i], 10);
+    } else if (arg === '--map') {
+      options.map = JSON.parse(args[++i]);
+    } else if (arg === '--types') {
+      options.types = JSON.parse(args[++i]);
+    } else if (arg === '--delimiter') {
+      options.delimiter = args[++i] === '\\t' ? '\t' : args[i];
+    } else if (arg === '--strict') {
+      options.strict = true;
+    } else if (arg === '--port') {
+      options.port = parseInt(args[++i], 10);
+    } else if (arg === '--host') {
+      options.host = args[++i];
+    } else if (arg === '--token') {
+      options.token = args[++i];
+    } else if (arg === '--storage-format') {
+      options.storageFormat = args[++i];
+    } else if (arg === '--compression') {
+      options.compression = args[++i];
     } else if (arg === '-h' || arg === '--help') {
       printHelp();
       return;
@@ -66,7 +129,14 @@ async function run() {
   };
 
   try {
-    const db = await LitheDB.create(options.db);
+    // 他のプロセス（Webサーバーや別のCLI）と同じファイルを共有しても変更を失わないよう、常にロックを使用する
+    /** @type {Record<string, any>} */
+    const dbOptions = { lock: true };
+    if (options.keepBackups) dbOptions.keepBackups = options.keepBackups;
+    if (options.storageFormat) dbOptions.format = options.storageFormat;
+    if (options.compression) dbOptions.compression = options.compression;
+    if (process.env.LITHE_DB_ENCRYPTION_KEY) dbOptions.encryption = true;
+    const db = await LitheDB.create(options.db, dbOptions);
 
     switch (command) {
       case 'insert': {
@@ -79,13 +149,14 @@ async function run() {
       case 'find': {
         if (!collectionName) throw new Error('Usage: find <collection> [query]');
         const query = parseQuery(rest[0]);
-        let results = await db.collection(collectionName).find(query, {
+        const results = await db.collection(collectionName).find(query, {
           populate: options.populate,
-          sort: options.sort
+          sort: options.sort,
+          skip: options.skip,
+          limit: options.limit,
+          after: options.after,
+          fields: options.fields
         });
-        if (options.limit !== null) {
-          results = results.slice(0, options.limit);
-        }
         printResult(results, options);
         break;
       }
@@ -93,7 +164,9 @@ async function run() {
         if (!collectionName || !rest[0]) throw new Error('Usage: findOne <collection> <query>');
         const query = parseQuery(rest[0]);
         const result = await db.collection(collectionName).findOne(query, {
-          populate: options.populate
+          populate: options.populate,
+          sort: options.sort,
+          fields: options.fields
         });
         printResult(result, options);
         break;
@@ -102,7 +175,7 @@ async function run() {
         if (!collectionName || !rest[0] || !rest[1]) throw new Error('Usage: update <collection> <query> <update_json>');
         const query = parseQuery(rest[0]);
         const updateData = JSON.parse(rest[1]);
-        const count = await db.collection(collectionName).update(query, updateData);
+        const count = await db.collection(collectionName).update(query, updateData, { ifMatch: options.expectedVersion });
         printResult({ updated: count }, options);
         break;
       }
@@ -117,13 +190,31 @@ async function run() {
         if (!collectionName || !rest[0] || !rest[1]) throw new Error('Usage: upsert <collection> <query> <data_json>');
         const query = parseQuery(rest[0]);
         const data = JSON.parse(rest[1]);
-        const result = await db.collection(collectionName).upsert(query, data);
+        const result = await db.collection(collectionName).upsert(query, data, { ifMatch: options.expectedVersion });
         printResult(result, options);
         break;
       }
+      case 'aggregate': {
+        if (!collectionName || !rest[0]) throw new Error('Usage: aggregate <collection> <pipeline_json>');
+        const pipeline = JSON.parse(rest[0]);
+        const results = await db.collection(collectionName).aggregate(pipeline);
+        printResult(results, options);
+        break;
+      }
       case 'schema': {
-        if (!collectionName) throw new Error('Usage: schema <collection>');
-        const schema = db.collection(collectionName).getSchema();
+        if (!collectionName) throw new Error('Usage: schema <collection> [schema_json] [--enforce]');
+        let schema;
+        if (options.enforce) {
+          // 他のプロセスの変更を読み込んだ上で宣言し、上書きしないようロックの中で保存する
+          schema = await db._withLock(async () => {
+            const collection = db.collection(collectionName);
+            const declared = rest[0] ? collection.enforceSchema(JSON.parse(rest[0])) : collection.enforceSchema();
+            await db._save();
+            return declared;
+          });
+        } else {
+          schema = db.collection(collectionName).getSchema();
+        }
         if (options.format === 'text') {
           console.log(`[ Schema: ${collectionName} ]`);
           console.log(formatSchemaToText(schema).trimStart());
@@ -132,22 +223,145 @@ async function run() {
         }
         break;
       }
+      case 'validate': {
+        if (!collectionName) throw new Error('Usage: validate <collection>');
+        const invalid = db.collection(collectionName).validate();
+        printResult({ valid: invalid.length === 0, invalid }, options);
+        if (invalid.length > 0) process.exitCode = 1;
+        break;
+      }
       case 'index': {
         const field = rest[0];
-        if (!collectionName || !field) throw new Error('Usage: index <collection> <field> [--unique]');
-        db.createIndex(collectionName, field, { unique: options.unique });
-        await db._save();
-        printResult({ message: `Index created on ${collectionName}.${field}` }, options);
+        if (!collectionName || !field) throw new Error('Usage: index <collection> <field>[,<field>...] [--unique] [--sparse] [--filter <json>]');
+        const fields = field.split(',').map(f => f.trim());
+        /** @type {{ unique: boolean, sparse?: boolean, partialFilter?: Object }} */
+        const indexOptions = { unique: options.unique };
+        if (options.sparse) indexOptions.sparse = true;
+        if (options.filter) indexOptions.partialFilter = options.filter;
+        const name = await db._withLock(async () => {
+          const created = db.createIndex(collectionName, fields.length > 1 ? fields : fields[0], indexOptions);
+          await db._save();
+          return created;
+        });
+        printResult({ message: `Index created on ${collectionName}.${name}` }, options);
         break;
       }
       case 'relation': {
         const field = rest[0];
-        if (!collectionName || !field || !options.ref) throw new Error('Usage: relation <collection> <field> --ref <ref_collection> [--ref-field <field>]');
-        db.defineRelation(collectionName, field, { ref: options.ref, field: options.refField });
-        await db._save();
+        if (!collectionName || !field || !options.ref) throw new Error('Usage: relation <collection> <field> --ref <ref_collection> [--ref-field <field>] [--on-delete <action>] [--on-update <action>]');
+        /** @type {{ ref: string, field: string, onDelete?: string, onUpdate?: string }} */
+        const relationConfig = { ref: options.ref, field: options.refField };
+        if (options.onDelete) relationConfig.onDelete = options.onDelete;
+        if (options.onUpdate) relationConfig.onUpdate = options.onUpdate;
+        await db._withLock(async () => {
+          db.defineRelation(collectionName, field, relationConfig);
+          await db._save();
+        });
         printResult({ message: `Relation defined: ${collectionName}.${field} -> ${options.ref}.${options.refField}` }, options);
         break;
       }
+      case 'checkIntegrity': {
+        const orphans = await db.checkIntegrity();
+        printResult({ valid: orphans.length === 0, orphans }, options);
+        if (orphans.length > 0) process.exitCode = 1;
+        break;
+      }
+      case 'backup': {
+        // backup はコレクション名の代わりにサブコマンドを受け取る
+        const subcommand = collectionName || 'list';
+        if (subcommand === 'list') {
+          printResult(await db.listBackups(), options);
+        } else if (subcommand === 'create') {
+          printResult(await db.backup(), options);
+        } else if (subcommand === 'restore') {
+          if (!rest[0]) throw new Error('Usage: backup restore <backup_id>');
+          await db.restore(rest[0]);
+          printResult({ message: `Restored backup ${rest[0]}` }, options);
+        } else {
+          throw new Error('Usage: backup [list|create|restore <backup_id>]');
+        }
+        break;
+      }
+      case 'import': {
+        if (!collectionName) throw new Error('Usage: import <collection> [file] [--format json|jsonl|csv]');
+        const file = rest[0] && rest[0] !== '-' ? rest[0] : null;
+        const input = file ? (await import('node:fs')).createReadStream(file) : process.stdin;
+        const records = readRecords(input, options.format || formatFromPath(file), {
+          map: options.map,
+          types: options.types,
+          delimiter: options.delimiter
+        });
+        try {
+          const result = await importRecords(db, collectionName, records, { strict: options.strict });
+          printResult(result, options);
+          if (result.rejected.length > 0) process.exitCode = 1;
+        } catch (error) {
+          if (!(error instanceof ImportError)) throw error;
+          printResult({ imported: 0, rejected: error.rejected }, options);
+          process.exitCode = 1;
+        }
+        break;
+      }
+      case 'export': {
+        if (!collectionName) throw new Error('Usage: export <collection> [file] [--format json|jsonl|csv]');
+        const file = rest[0] && rest[0] !== '-' ? rest[0] : null;
+        // コレクション全体を一度に展開しないよう、一定件数ずつ取得しながら書き込む
+        const records = findInBatches(db.collection(collectionName), options.filter || {}, {
+          populate: options.populate,
+          sort: options.sort,
+          skip: options.skip,
+          limit: options.limit,
+          fields: options.fields
+        });
+        const format = options.format || formatFromPath(file);
+        if (!file) {
+          await writeRecords(records, process.stdout, format, { delimiter: options.delimiter });
+          break;
+        }
+        const { createWriteStream } = await import('node:fs');
+        const { finished } = await import('node:stream/promises');
+        const output = createWriteStream(file);
+        const exported = await writeRecords(records, output, format, { delimiter: options.delimiter });
+        output.end();
+        await finished(output);
+        printResult({ exported, file }, options);
+        break;
+      }
+      case 'shell': {
+        // データベースを1度だけ読み込み、終了するまで対話的に操作する
+        startShell(db, {
+          format: options.format === 'text' ? 'text' : 'json',
+          formatResult: (value, format) => formatResult(value, { format, pretty: true })
+        });
+        break;
+      }
+      case 'serve': {
+        // 終了するまでデータベースを開いたまま、REST API としてリクエストを受け付ける
+        const server = createServer(db, { token: options.token });
+        server.listen(options.port, options.host, () => {
+          const { port } = /** @type {import('node:net').AddressInfo} */ (server.address());
+          console.log(`Listening on http://${options.host}:${port}${options.token ? ' (token required)' : ''}`);
+        });
+        server.on('error', (error) => {
+          console.error(`Error: ${error.message}`);
+          db.close();
+          process.exit(1);
+        });
+        process.once('SIGINT', () => {
+          server.close(() => db.close());
+          server.closeAllConnections();
+        });
+        break;
+      }
+      case 'convert': {
+        // 読み込んだデータを --storage-format / --compression で指定した形式で書き直す
+        if (!options.storageFormat && !options.compression) {
+          throw new Error('Usage: convert --storage-format <json|compact|jsonl> [--compression <none|gzip|brotli>]');
+        }
+        await db.compact();
+        printResult({ message: `Converted ${options.db}` }, options);
+        break;
+      }
       default:
         console.error(`Unknown command: ${command}`);
         printHelp();
@@ -160,25 +374,24 @@ async function run() {
 }
 
 function printResult(result, options) {
+  console.log(formatResult(result, options));
+}
+
+function formatResult(/** @type {any} */ result, /** @type {{ format?: string, pretty?: boolean }} */ options) {
   if (result === null || result === undefined) {
-    console.log('null');
-    return;
+    return 'null';
   }
 
   if (options.format === 'text') {
     if (Array.isArray(result)) {
-      result.forEach((item, index) => {
-        const id = item.id || 'N/A';
-        console.log(`[ Record ${index + 1}: ${id} ]`);
-        console.log(formatToText(item).trimStart());
-        console.log('\n' + '-'.repeat(50) + '\n');
-      });
-    } else {
-      console.log(formatToText(result).trimStart());
+      return result.map((item, index) => {
+        const id = (item && item.id) || 'N/A';
+        return `[ Record ${index + 1}: ${id} ]\n${formatToText(item).trimStart()}\n\n${'-'.repeat(50)}\n`;
+      }).join('\n');
     }
-  } else {
-    console.log(JSON.stringify(result, null, options.pretty ? 2 : 0));
+    return formatToText(result).trimStart();
   }
+  return JSON.stringify(result, null, options.pretty ? 2 : 0);
 }
 
 function formatToText(data, indent = 0) {
@@ -221,7 +434,8 @@ function formatSchemaToText(schema, indent = 0) {
     const isRequired = requiredFields.includes(key);
     const reqStr = isRequired ? '(Required)' : '(Optional)';
 
-    let result = `\n${spaces}${keyStr} : ${prop.type.padEnd(8)} ${reqStr}`;
+    const typeStr = Array.isArray(prop.type) ? prop.type.join('|') : (prop.type || 'any');
+    let result = `\n${spaces}${keyStr} : ${typeStr.padEnd(8)} ${reqStr}`;
     if (prop.type === 'object' && prop.properties) {
       result += formatSchemaToText(prop, indent + 1);
     }
@@ -243,21 +457,65 @@ Commands:
   update <collection> <query> <update>     Update records matching query
   remove <collection> <query>               Remove records matching query
   upsert <collection> <query> <data>       Update if exists, otherwise insert
-  schema <collection>                      Analyze and show collection schema
-  index <collection> <field>               Create an index (use --unique for unique constraint)
+  aggregate <collection> <pipeline>        Run an aggregation pipeline (JSON array of stages)
+  schema <collection> [schema_json]        Analyze and show collection schema (use --enforce to declare it)
+  validate <collection>                    Check existing records against the declared schema
+  index <collection> <field>[,<field>...]  Create an index (comma-separated fields for a compound index)
   relation <collection> <field>            Define a relation (requires --ref)
+  checkIntegrity                           Report references whose target record no longer exists
+  backup list                              List backups, newest first
+  backup create                            Create a backup of the current database
+  backup restore <backup_id>               Restore the database to the given backup
+  import <collection> [file]               Import records from a JSON array, JSON Lines or CSV file (default: stdin)
+  export <collection> [file]               Export records as a JSON array, JSON Lines or CSV (default: stdout)
+  shell                                    Open an interactive shell (REPL) with the database loaded as 'db'
+  serve                                    Serve the database as a REST API over HTTP (see --port, --token)
+  convert                                  Rewrite the database file with --storage-format / --compression
 
 Options:
   -d, --db <path>       Database file path (default: database.json)
   -p, --pretty          Pretty print JSON output
   -f, --format <type>   Output format: json, text (default: json)
+                        For import/export: json, jsonl, csv (default: from the file extension, or json)
   --populate            Populate relations in find/findOne
+  --with <relations>    Populate only the given relations (comma-separated, dot for nesting: 'posts.author_id')
   --sort <json>         Sort results (e.g. '{"id":"desc"}')
   --limit <n>           Limit number of results
+  --skip <n>            Skip the first n results
+  --after <id>          Return results after the record with this id (cursor pagination)
+  --fields <json>       Select or exclude fields (e.g. '{"title":1}' or '{"body":0}')
+  --enforce             Used with 'schema' command to enforce the inferred (or given) schema on writes
   --unique              Used with 'index' command for unique constraint
+  --sparse              Used with 'index' command to skip records missing any indexed field
+  --filter <json>       Used with 'index' command to index only records matching the query,
+                        or with 'export' to export only matching records
+  --map <json>          Used with 'import' to map CSV headers to fields (e.g. '{"E-mail":"email"}')
+  --types <json>        Used with 'import' to set CSV field types: string, number, boolean, date, json, auto
+  --delimiter <c>       CSV delimiter for import/export (default: ','; use '\\t' for tab)
+  --strict              Used with 'import' to import nothing if any record is rejected
   --ref <collection>    Referenced collection for 'relation' command
   --ref-field <field>   Referenced field for 'relation' command (default: id)
+  --on-delete <action>  Action when the referenced record is removed: restrict, cascade, setNull
+  --on-update <action>  Action when the referenced field changes: restrict, cascade, setNull
+  --expected-version <n>  Used with 'update'/'upsert' to fail unless the record's _version matches (alias: --if-match)
+  --keep-backups <n>    Number of backup generations to keep (default: 1)
+  --port <n>            Port for 'serve' (default: 3000)
+  --host <host>         Host for 'serve' (default: 127.0.0.1)
+  --token <token>       Used with 'serve' to require 'Authorization: Bearer <token>' (default: LITHE_DB_TOKEN)
+  --storage-format <f>  Database file format: json, compact, jsonl (default: same as the existing file)
+  --compression <c>     Database file compression: none, gzip, brotli (default: same as the existing file)
   -h, --help            Show this help message
+
+Shell commands:
+  .begin / .commit / .rollback             Control a transaction
+  .collections                             List collections and their record counts
+  .format [json|text]                      Show or set the output format
+
+Environment:
+  LITHE_DB_ENCRYPTION_KEY            Encrypt the database with this key (32 bytes, base64 or hex)
+  LITHE_DB_ENCRYPTION_PREVIOUS_KEYS  Comma-separated old keys used only for decryption (key rotation)
+  LITHE_DB_HISTORY                   Shell command history file (default: ~/.lithe_db_history)
+  LITHE_DB_TOKEN                     Bearer token required by 'serve'
 `);
 }
 
@@ -0,0 +1,296 @@
+/**
+ * クエリ評価のためのヘルパー群。
+ * MongoDB風の演算子 (`$gt`, `$in`, `$or` など) を含むクエリオブジェクトを、
+ * 関数を使わずにシリアライズ可能な形で評価します。
+ */
+
+/**
+ * 値が配列でもnullでもない素のオブジェクトかどうかを判定します。
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * オブジェクトのすべてのキーが `$` で始まる演算子式かどうかを判定します。
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isOperatorObject(value) {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(k => k.startsWith('$'));
+}
+
+/**
+ * 大小比較が可能な組み合わせ（同じ型の数値または文字列）かどうかを判定します。
+ * @private
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function comparable(a, b) {
+  const type = typeof a;
+  return (type === 'number' || type === 'string') && type === typeof b;
+}
+
+/**
+ * `$regex` 演算子の値から正規表現オブジェクトを生成します。
+ * @private
+ * @param {string|RegExp} pattern - パターン。
+ * @param {string} [flags] - `$options` の値。
+ * @returns {RegExp}
+ */
+function toRegExp(pattern, flags) {
+  if (pattern instanceof RegExp) return pattern;
+  return new RegExp(pattern, flags || '');
+}
+
+/**
+ * 2つの値が構造的に等しいかを判定します。
+ * オブジェクトのキー順序には依存しません。
+ *
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+export function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  }
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(k => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k]));
+}
+
+/**
+ * ドット記法のパス (例: 'author.name') でネストされた値を取得します。
+ *
+ * @param {any} obj - 対象オブジェクト。
+ * @param {string} path - フィールド名またはドット区切りのパス。
+ * @returns {any} 値。途中のフィールドが存在しない場合は undefined。
+ */
+export function getPath(obj, path) {
+  if (!path.includes('.')) return obj == null ? undefined : obj[path];
+  let current = obj;
+  for (const key of path.split('.')) {
+    if (current === null || typeof current !== 'object') return undefined;
+    current = current[key];
+  }
+  return current;
+}
+
+/**
+ * プロトタイプの書き換えにつながるため、フィールド名として使用できないキー。
+ * @private
+ */
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * フィールド名またはドット区切りのパスに、使用できないキー（`__proto__`, `constructor`, `prototype`）が含まれていないことを確認します。
+ *
+ * @param {string} path - フィールド名またはドット区切りのパス。
+ * @throws {Error} 使用できないキーが含まれている場合にスローされます。
+ */
+export function assertSafePath(path) {
+  if (path.split('.').some(key => UNSAFE_KEYS.includes(key))) {
+    throw new Error(`Invalid field name: ${path}`);
+  }
+}
+
+/**
+ * ドット記法のパスで値を設定します。途中のオブジェクトが存在しない場合は作成します。
+ * 兄弟キーは保持されます。
+ *
+ * @param {Record<string, any>} obj - 対象オブジェクト（直接変更されます）。
+ * @param {string} path - フィールド名またはドット区切りのパス。
+ * @param {any} value - 設定する値。
+ * @throws {Error} パスに使用できないキーが含まれている場合にスローされます。
+ */
+export function setPath(obj, path, value) {
+  assertSafePath(path);
+  const keys = path.split('.');
+  const last = /** @type {string} */ (keys.pop());
+  let current = obj;
+  for (const key of keys) {
+    if (current[key] === null || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  current[last] = value;
+}
+
+/**
+ * フィールド値に対して単一の演算子を評価します。
+ * @private
+ * @param {any} value - フィールドの値。
+ * @param {string} op - 演算子。
+ * @param {any} operand - 演算子の値。
+ * @param {Record<string, any>} condition - 演算子式全体（`$regex` と `$options` の組み合わせに使用）。
+ * @returns {boolean}
+ */
+function applyOperator(value, op, operand, condition) {
+  switch (op) {
+    case '$eq':
+      return deepEqual(value, operand);
+    case '$ne':
+      return !deepEqual(value, operand);
+    case '$gt':
+      return comparable(value, operand) && value > operand;
+    case '$gte':
+      return comparable(value, operand) && value >= operand;
+    case '$lt':
+      return comparable(value, operand) && value < operand;
+    case '$lte':
+      return comparable(value, operand) && value <= operand;
+    case '$in':
+      if (!Array.isArray(operand)) throw new Error('$in requires an array');
+      if (Array.isArray(value)) return value.some(v => operand.some(o => deepEqual(v, o)));
+      return operand.some(o => deepEqual(value, o));
+    case '$nin':
+      if (!Array.isArray(operand)) throw new Error('$nin requires an array');
+      return !applyOperator(value, '$in', operand, condition);
+    case '$exists':
+      return (value !== undefined) === Boolean(operand);
+    case '$regex':
+      return typeof value === 'string' && toRegExp(operand, condition.$options).test(value);
+    case '$options':
+      // $regex と組み合わせて使用されるため単独では評価しない
+      return true;
+    case '$not':
+      if (operand instanceof RegExp || typeof operand === 'string') {
+        return !(typeof value === 'string' && toRegExp(operand).test(value));
+      }
+      return !matchCondition(value, operand);
+    case '$size':
+      return Array.isArray(value) && value.length === operand;
+    case '$elemMatch':
+      if (!Array.isArray(value)) return false;
+      return value.some(item => {
+        if (isOperatorObject(operand) || !isPlainObject(item)) {
+          return matchCondition(item, operand);
+        }
+        return matchQuery(item, operand);
+      });
+    default:
+      throw new Error(`Unknown query operator: ${op}`);
+  }
+}
+
+/**
+ * 1つのフィールド値が条件を満たすかを判定します。
+ * 条件には値（完全一致）、演算子式、または判定関数を指定できます。
+ *
+ * @param {any} value - ドキュメント内のフィールド値。
+ * @param {any} condition - 条件。
+ * @returns {boolean}
+ */
+export function matchCondition(value, condition) {
+  if (typeof condition === 'function') {
+    return condition(value);
+  }
+  if (condition instanceof RegExp) {
+    return typeof value === 'string' && condition.test(value);
+  }
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([op, operand]) => applyOperator(value, op, operand, condition));
+  }
+  return deepEqual(value, condition);
+}
+
+/**
+ * ドキュメントがクエリオブジェクトに一致するかを判定します。
+ * キーにはドット記法のパス (例: 'author.name') を指定でき、
+ * トップレベルでは論理演算子 `$and` / `$or` を使用できます。
+ *
+ * @param {Object} doc - 判定対象のドキュメント。
+ * @param {Object} query - クエリオブジェクト。
+ * @returns {boolean}
+ */
+export function matchQuery(doc, query) {
+  return Object.entries(query).every(([key, value]) => {
+    if (key === '$and') {
+      if (!Array.isArray(value)) throw new Error('$and requires an array');
+      return value.every(sub => matchQuery(doc, sub));
+    }
+    if (key === '$or') {
+      if (!Array.isArray(value)) throw new Error('$or requires an array');
+      return value.some(sub => matchQuery(doc, sub));
+    }
+    if (key.startsWith('$')) {
+      throw new Error(`Unknown query operator: ${key}`);
+    }
+    return matchCondition(getPath(doc, key), value);
+  });
+}
+
+/**
+ * ソート条件から比較関数を生成します。
+ * 複数キーを指定した場合は記述順に優先され、方向には 'asc' / 'desc' または 1 / -1 を指定できます。
+ *
+ * @param {Object} sort - ソート条件 (例: { category: 'asc', created_at: 'desc' })。
+ * @returns {(a: Object, b: Object) => number}
+ */
+export function compareBy(sort) {
+  const keys = Object.entries(sort).map(([field, order]) => {
+    const direction = (order === 'desc' || order === -1) ? -1 : 1;
+    return { field, direction };
+  });
+  return (a, b) => {
+    for (const { field, direction } of keys) {
+      const va = getPath(a, field);
+      const vb = getPath(b, field);
+      if (va < vb) return -direction;
+      if (va > vb) return direction;
+    }
+    return 0;
+  };
+}
+
+/**
+ * ドキュメントに射影（フィールドの選択または除外）を適用した新しいオブジェクトを返します。
+ * `{ title: 1 }` は指定したフィールドのみを含め（`id` は `id: 0` としない限り常に含まれます）、
+ * `{ body: 0 }` は指定したフィールドを除外します。キーにはドット記法を使用できます。
+ *
+ * @param {Record<string, any>} doc - 元のドキュメント（変更されません）。
+ * @param {Record<string, any>} fields - 射影の指定。
+ * @returns {Record<string, any>}
+ * @throws {Error} 選択と除外が混在している場合にスローされます。
+ */
+export function project(doc, fields) {
+  const entries = Object.entries(fields);
+  const included = entries.filter(([key, flag]) => flag && key !== 'id');
+  const excluded = entries.filter(([key, flag]) => !flag && key !== 'id');
+  if (included.length > 0 && excluded.length > 0) {
+    throw new Error('Projection cannot mix inclusion and exclusion');
+  }
+  const keepId = fields.id === undefined ? true : Boolean(fields.id);
+
+  if (included.length > 0) {
+    /** @type {Record<string, any>} */
+    const result = {};
+    if (keepId && doc.id !== undefined) result.id = doc.id;
+    for (const [key] of included) {
+      const value = getPath(doc, key);
+      if (value !== undefined) setPath(result, key, value);
+    }
+    return result;
+  }
+
+  const result = JSON.parse(JSON.stringify(doc));
+  const removals = excluded.map(([key]) => key);
+  if (!keepId) removals.push('id');
+  for (const key of removals) {
+    const parts = key.split('.');
+    const last = /** @type {string} */ (parts.pop());
+    const parent = parts.length > 0 ? getPath(result, parts.join('.')) : result;
+    if (parent !== null && typeof parent === 'object') delete parent[last];
+  }
+  return result;
+}
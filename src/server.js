@@ -0,0 +1,508 @@
+import http from 'node:http';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { ValidationError } from './Schema.js';
+import { VersionConflictError } from './Collection.js';
+import { ConflictError, LockError } from './Storage.js';
+import { assertSafePath } from './query.js';
+
+/**
+ * HTTP ステータスコードを伴うエラー。
+ * @private
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP ステータスコード。
+   * @param {string} message - エラーメッセージ。
+   * @param {Object} [headers] - 追加のレスポンスヘッダー。
+   */
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+/**
+ * 検索条件以外の意味を持つクエリ文字列のパラメーター。
+ * @private
+ */
+const RESERVED_PARAMS = ['query', 'sort', 'limit', 'skip', 'after', 'fields', 'populate'];
+
+/**
+ * クライアントが指定できる `$regex` のパターンの最大長。
+ * @private
+ */
+const MAX_REGEX_LENGTH = 256;
+
+/**
+ * 量指定子の付いたグループの中に、さらに量指定子があるパターン（`(a+)+` など）。
+ * 入力によってはバックトラックが指数的に増えるため、クライアントからは受け付けません。
+ * @private
+ */
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*(?:[*+]|\{\d+,?\d*\})(?:[^()\\]|\\.)*\)(?:[*+]|\{\d+,?\d*\})/;
+
+/**
+ * クエリ文字列の値を、数値・真偽値・null として解釈できる場合は変換します。
+ * @private
+ * @param {string} value - クエリ文字列の値。
+ * @returns {any}
+ */
+function parseValue(value) {
+  if (value === 'null') return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  // 先頭が0の数字（郵便番号など）は文字列のまま扱う
+  if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * JSON 形式のパラメーターを解析します。
+ * @private
+ * @param {string} value - パラメーターの値。
+ * @param {string} name - パラメーター名（エラーメッセージに使用）。
+ * @returns {any}
+ * @throws {HttpError} JSON として解析できない場合。
+ */
+function parseJsonParam(value, name) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new HttpError(400, `Invalid JSON in "${name}" parameter`);
+  }
+}
+
+/**
+ * フィールド名に、プロトタイプを書き換えるキー（`__proto__` など）が含まれていないことを確認します。
+ * @private
+ * @param {string} field - フィールド名またはドット区切りのパス。
+ * @throws {HttpError} 使用できないキーが含まれている場合。
+ */
+function checkField(field) {
+  try {
+    assertSafePath(field);
+  } catch (/** @type {any} */ error) {
+    throw new HttpError(400, error.message);
+  }
+}
+
+/**
+ * URL で指定されたコレクション名を確認します。プロトタイプを書き換えるキー（`__proto__` など）を含む名前や、
+ * データやメタデータの参照で継承したプロパティと区別できない名前（`toString` など）は使用できません。
+ * @private
+ * @param {string} name - コレクション名。
+ * @throws {HttpError} 使用できないコレクション名の場合。
+ */
+function checkCollectionName(name) {
+  try {
+    assertSafePath(name);
+  } catch {
+    throw new HttpError(400, `Invalid collection name: ${name}`);
+  }
+  if (name in Object.prototype) throw new HttpError(400, `Invalid collection name: ${name}`);
+}
+
+/**
+ * `$regex`（および文字列の `$not`）のパターンが、クライアントから受け付けられるものかを確認します。
+ * @private
+ * @param {any} pattern - パターン。文字列以外は検査しません。
+ * @param {any} [flags] - `$options` の値。
+ * @throws {HttpError} パターンが長すぎる場合、入れ子の量指定子を含む場合、または正規表現として不正な場合。
+ */
+function checkRegex(pattern, flags) {
+  if (typeof pattern !== 'string') return;
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    throw new HttpError(400, `$regex pattern exceeds ${MAX_REGEX_LENGTH} characters`);
+  }
+  if (NESTED_QUANTIFIER.test(pattern)) {
+    throw new HttpError(400, `$regex pattern with nested quantifiers is not allowed: ${pattern}`);
+  }
+  try {
+    new RegExp(pattern, typeof flags === 'string' ? flags : '');
+  } catch (/** @type {any} */ error) {
+    throw new HttpError(400, `Invalid $regex pattern: ${error.message}`);
+  }
+}
+
+/**
+ * 検索条件のフィールド名と `$regex` のパターンを、ネストした条件（`$and`, `$or`, `$elemMatch` など）も含めて検査します。
+ * @private
+ * @param {any} query - 検索条件。
+ * @throws {HttpError} 使用できないフィールド名や、受け付けられない `$regex` のパターンが含まれている場合。
+ */
+function checkQuery(query) {
+  if (Array.isArray(query)) {
+    query.forEach(checkQuery);
+    return;
+  }
+  if (typeof query !== 'object' || query === null) return;
+  for (const [key, value] of Object.entries(query)) {
+    checkField(key);
+    if (key === '$regex') checkRegex(value, query.$options);
+    else if (key === '$not') checkRegex(value);
+    checkQuery(value);
+  }
+}
+
+/**
+ * クエリ文字列から検索条件を作成します。
+ * `query` パラメーターの JSON に加えて、`field=value`（一致）と `field[$op]=value`（演算子）の形式の条件を指定できます。
+ * `$in` / `$nin` の値はカンマ区切りのリストとして扱います。
+ * プロトタイプを書き換えるフィールド名（`__proto__` など）や、処理に時間のかかる `$regex` のパターンは拒否します。
+ *
+ * @param {URLSearchParams} params - クエリ文字列。
+ * @returns {Object} 検索条件。
+ * @throws {HttpError} `query` パラメーターが不正な JSON の場合、または検索条件に使用できない値が含まれている場合。
+ */
+export function parseQueryParams(params) {
+  const query = params.has('query') ? parseJsonParam(/** @type {string} */ (params.get('query')), 'query') : {};
+  for (const [key, value] of params) {
+    if (RESERVED_PARAMS.includes(key)) continue;
+    const match = /^(.+)\[(\$\w+)\]$/.exec(key);
+    const field = match ? match[1] : key;
+    checkField(field);
+    if (!match) {
+      query[field] = parseValue(value);
+      continue;
+    }
+    const operator = match[2];
+    if (!Object.hasOwn(query, field) || typeof query[field] !== 'object' || query[field] === null) query[field] = {};
+    if (operator === '$in' || operator === '$nin') {
+      query[field][operator] = value === '' ? [] : value.split(',').map(parseValue);
+    } else if (operator === '$regex' || operator === '$options') {
+      query[field][operator] = value;
+    } else {
+      query[field][operator] = parseValue(value);
+    }
+  }
+  checkQuery(query);
+  return query;
+}
+
+/**
+ * クエリ文字列から `find()` のオプションを作成します。
+ * `sort` と `fields` には JSON のほか、`-created_at,name` や `title,body` のようなカンマ区切りのリストを指定できます。
+ * @private
+ * @param {URLSearchParams} params - クエリ文字列。
+ * @returns {Record<string, any>}
+ * @throws {HttpError} パラメーターが不正な場合。
+ */
+function parseFindOptions(params) {
+  /** @type {Record<string, any>} */
+  const options = {};
+  const sort = params.get('sort');
+  if (sort) {
+    options.sort = sort.startsWith('{')
+      ? parseJsonParam(sort, 'sort')
+      : Object.fromEntries(sort.split(',').map(key => (key.startsWith('-') ? [key.slice(1), 'desc'] : [key, 'asc'])));
+  }
+  const fields = params.get('fields');
+  if (fields) {
+    options.fields = fields.startsWith('{')
+      ? parseJsonParam(fields, 'fields')
+      : Object.fromEntries(fields.split(',').map(key => [key, 1]));
+  }
+  for (const key of ['limit', 'skip']) {
+    if (!params.has(key)) continue;
+    const value = Number(params.get(key));
+    if (!Number.isInteger(value) || value < 0) throw new HttpError(400, `Invalid "${key}" parameter: ${params.get(key)}`);
+    options[key] = value;
+  }
+  if (params.has('after')) options.after = params.get('after');
+  if (params.has('populate')) {
+    const populate = /** @type {string} */ (params.get('populate'));
+    options.populate = populate === '' || populate === 'true' ? true : populate.split(',');
+  }
+  return options;
+}
+
+/**
+ * リクエストボディを JSON として読み込みます。ボディが空の場合は undefined を返します。
+ * @private
+ * @param {import('node:http').IncomingMessage} req - リクエスト。
+ * @param {number} limit - ボディの最大サイズ（バイト）。
+ * @returns {Promise<any>}
+ * @throws {HttpError} ボディが大きすぎる場合、または JSON として解析できない場合。
+ */
+async function readBody(req, limit) {
+  /** @type {Array<Buffer>} */
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw new HttpError(413, `Request body exceeds ${limit} bytes`);
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (text.trim() === '') return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, 'Invalid JSON body');
+  }
+}
+
+/**
+ * ボディがオブジェクトであることを確認します。
+ * @private
+ * @param {any} body - リクエストボディ。
+ * @returns {any}
+ */
+function requireObject(body) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * 一括更新・一括削除の検索条件を取得します。誤ってすべてのドキュメントを変更しないよう、条件の指定を必須とします。
+ * すべてのドキュメントを対象にする場合は `?query={}` を指定します。
+ * @private
+ * @param {URLSearchParams} params - クエリ文字列。
+ * @returns {Object}
+ */
+function requireQuery(params) {
+  if (![...params.keys()].some(key => !RESERVED_PARAMS.includes(key) || key === 'query')) {
+    throw new HttpError(400, 'A query is required; use ?query={} to target every record');
+  }
+  return parseQueryParams(params);
+}
+
+/**
+ * Bearer トークンを検証します。
+ * @private
+ * @param {import('node:http').IncomingMessage} req - リクエスト。
+ * @param {string} [token] - 要求するトークン。省略時は検証しません。
+ * @throws {HttpError} トークンが一致しない場合。
+ */
+function authorize(req, token) {
+  if (!token) return;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  // 長さの違いから推測されないよう、ハッシュ同士を比較する
+  const digest = (/** @type {string} */ value) => createHash('sha256').update(value).digest();
+  if (!match || !timingSafeEqual(digest(match[1].trim()), digest(token))) {
+    throw new HttpError(401, 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+  }
+}
+
+/**
+ * エラーに対応する HTTP ステータスコードを返します。
+ * @private
+ * @param {any} error
+ * @returns {number}
+ */
+function statusOf(error) {
+  if (error instanceof HttpError) return error.status;
+  if (error instanceof ValidationError) return 400;
+  if (error instanceof VersionConflictError) return 412;
+  if (error instanceof ConflictError) return 409;
+  if (error instanceof LockError) return 503;
+  // 不正なパーセントエンコーディングや正規表現など、クライアントの入力に起因するエラー
+  if (error instanceof URIError || error instanceof SyntaxError) return 400;
+  if (/^(Unique constraint violation|Relation (restrict|integrity) error)/.test(error.message)) return 409;
+  // 入出力エラーや実装上の不具合はクライアントの誤りではない
+  if (error.code || error.constructor !== Error) return 500;
+  return 400;
+}
+
+/**
+ * JSON のレスポンスを送信します。
+ * @private
+ * @param {import('node:http').ServerResponse} res - レスポンス。
+ * @param {number} status - ステータスコード。
+ * @param {any} body - レスポンスボディ。
+ * @param {Record<string, string>} [headers={}] - 追加のヘッダー。
+ */
+function send(res, status, body, headers = {}) {
+  const json = JSON.stringify(body ?? null);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+    ...headers
+  });
+  res.end(json);
+}
+
+/**
+ * メソッドが許可されていない場合のエラーを作成します。
+ * @private
+ * @param {Array<string>} allowed - 許可されているメソッド。
+ * @returns {HttpError}
+ */
+function methodNotAllowed(allowed) {
+  return new HttpError(405, 'Method not allowed', { Allow: allowed.join(', ') });
+}
+
+/**
+ * リクエストを処理し、レスポンスの内容を返します。
+ * @private
+ * @param {import('./LitheDB.js').default} db - データベース。
+ * @param {import('node:http').IncomingMessage} req - リクエスト。
+ * @param {URL} url - リクエストの URL。
+ * @param {any} body - 読み込み済みのリクエストボディ。
+ * @returns {Promise<{ status?: number, body: any, headers?: Record<string, string> }>}
+ */
+async function handle(db, req, url, body) {
+  let segments;
+  try {
+    segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    throw new HttpError(400, `Invalid URL encoding: ${url.pathname}`);
+  }
+  if (segments[0] !== 'collections' || segments.length > 3) {
+    throw new HttpError(404, `Not found: ${url.pathname}`);
+  }
+  const params = url.searchParams;
+  const [, name, sub] = segments;
+  const method = req.method;
+  // 他のプロセス（CLI など）による変更を反映してから処理する
+  await db._refresh();
+
+  if (!name) {
+    if (method !== 'GET') throw methodNotAllowed(['GET']);
+    return {
+      body: Object.entries(db.data.data).map(([collection, docs]) => ({ name: collection, count: docs.length }))
+    };
+  }
+  checkCollectionName(name);
+  const collection = db.collection(name);
+
+  if (sub === 'schema') {
+    if (method === 'GET') return { body: collection.getSchema() };
+    if (method !== 'PUT') throw methodNotAllowed(['GET', 'PUT']);
+    const schema = await db._withLock(async () => {
+      const declared = body === undefined ? collection.enforceSchema() : collection.enforceSchema(requireObject(body));
+      await db._save();
+      return declared;
+    });
+    return { body: schema };
+  }
+
+  if (sub === 'indexes') {
+    if (method === 'GET') return { body: db.data.metadata.indices?.[name] ?? [] };
+    if (method !== 'POST') throw methodNotAllowed(['GET', 'POST']);
+    const { fields, field, ...indexOptions } = requireObject(body);
+    const index = await db._withLock(async () => {
+      const created = db.createIndex(name, fields ?? field, indexOptions);
+      await db._save();
+      return created;
+    });
+    return { status: 201, body: { name: index } };
+  }
+
+  if (sub === 'relations') {
+    if (method === 'GET') return { body: db.data.metadata.relations?.[name] ?? {} };
+    if (method !== 'POST') throw methodNotAllowed(['GET', 'POST']);
+    const { field, refField, ...config } = requireObject(body);
+    if (!field || !config.ref) throw new HttpError(400, 'Relation requires "field" and "ref"');
+    checkCollectionName(config.ref);
+    if (refField !== undefined) config.field = refField;
+    const relation = await db._withLock(async () => {
+      db.defineRelation(name, field, config);
+      await db._save();
+      return db.data.metadata.relations[name][field];
+    });
+    return { status: 201, body: relation };
+  }
+
+  if (sub !== undefined) {
+    // /collections/:name/:id
+    const query = { id: sub };
+    if (method === 'GET') {
+      const findOptions = parseFindOptions(params);
+      const doc = /** @type {any} */ (await collection.findOne(query, { populate: findOptions.populate, fields: findOptions.fields }));
+      if (!doc) throw new HttpError(404, `Record not found: ${name}/${sub}`);
+      return { body: doc, headers: doc._version !== undefined ? { ETag: `"${doc._version}"` } : {} };
+    }
+    if (method === 'PATCH') {
+      const count = await collection.update(query, requireObject(body), { ifMatch: req.headers['if-match'] });
+      if (count === 0) throw new HttpError(404, `Record not found: ${name}/${sub}`);
+      const doc = /** @type {any} */ (await collection.findOne(query));
+      return { body: doc, headers: { ETag: `"${doc._version}"` } };
+    }
+    if (method === 'DELETE') {
+      const count = await collection.remove(query);
+      if (count === 0) throw new HttpError(404, `Record not found: ${name}/${sub}`);
+      return { body: { removed: count } };
+    }
+    throw methodNotAllowed(['GET', 'PATCH', 'DELETE']);
+  }
+
+  // /collections/:name
+  if (method === 'GET') {
+    return { body: await collection.find(parseQueryParams(params), parseFindOptions(params)) };
+  }
+  if (method === 'POST') {
+    if (!Array.isArray(body)) return { status: 201, body: await collection.insert(requireObject(body)) };
+    // 配列はすべて挿入するか、1件も挿入しない
+    const docs = await db.transaction(async (/** @type {any} */ tx) => {
+      const target = tx.collection(name);
+      const inserted = [];
+      for (const doc of body) inserted.push(await target.insert(requireObject(doc)));
+      return inserted;
+    });
+    return { status: 201, body: docs };
+  }
+  if (method === 'PATCH') {
+    const query = requireQuery(params);
+    return { body: { updated: await collection.update(query, requireObject(body), { ifMatch: req.headers['if-match'] }) } };
+  }
+  if (method === 'DELETE') {
+    return { body: { removed: await collection.remove(requireQuery(params)) } };
+  }
+  throw methodNotAllowed(['GET', 'POST', 'PATCH', 'DELETE']);
+}
+
+/**
+ * データベースを REST API として公開する HTTP サーバーを作成します。`listen()` は呼び出し側で行います。
+ *
+ * エンドポイント:
+ * - `GET /collections`: コレクション名と件数の一覧。
+ * - `GET /collections/:name`: 検索（`?query=<json>` または `?age[$gte]=20&role[$in]=admin,editor` と、`sort`, `limit`, `skip`, `after`, `fields`, `populate`）。
+ * - `POST /collections/:name`: 挿入（配列の場合は1つのトランザクションで挿入）。
+ * - `PATCH /collections/:name?<query>` / `DELETE /collections/:name?<query>`: 検索条件に一致するドキュメントの更新・削除。
+ * - `GET|PATCH|DELETE /collections/:name/:id`: IDを指定した取得・更新・削除。`If-Match` ヘッダーで楽観的排他制御を行えます。
+ * - `GET|PUT /collections/:name/schema`, `GET|POST /collections/:name/indexes`, `GET|POST /collections/:name/relations`。
+ *
+ * エラーは `{ "error": { "name", "message" } }` の形式で返されます。
+ * 同時に受け付けたリクエストが保存処理の途中で混ざり合わないよう、リクエストは受け付けた順に1件ずつ処理されます。
+ *
+ * @param {import('./LitheDB.js').default} db - 読み込み済みのデータベース。
+ * @param {Object} [options={}] - サーバーオプション。
+ * @param {string} [options.token] - 指定した場合、`Authorization: Bearer <token>` ヘッダーを要求します。
+ * @param {number} [options.bodyLimit=10485760] - リクエストボディの最大サイズ（バイト）。
+ * @returns {import('node:http').Server}
+ */
+export function createServer(db, options = {}) {
+  const { token, bodyLimit = 10 * 1024 * 1024 } = options;
+  let queue = Promise.resolve();
+
+  const sendError = (/** @type {import('node:http').ServerResponse} */ res, /** @type {any} */ error) => {
+    /** @type {{ error: Record<string, any> }} */
+    const body = { error: { name: error.name, message: error.message } };
+    if (error instanceof ValidationError) body.error.errors = error.errors;
+    send(res, statusOf(error), body, error.headers);
+  };
+
+  return http.createServer(async (req, res) => {
+    let body;
+    try {
+      authorize(req, token);
+      // ボディの受信は処理の順番待ちの外で行い、遅いクライアントが他のリクエストを止めないようにする
+      body = await readBody(req, bodyLimit);
+    } catch (error) {
+      sendError(res, error);
+      return;
+    }
+    const run = queue.then(async () => {
+      try {
+        const result = await handle(db, req, new URL(/** @type {string} */ (req.url), 'http://localhost'), body);
+        send(res, result.status || 200, result.body, result.headers);
+      } catch (error) {
+        sendError(res, error);
+      }
+    });
+    queue = run.catch(() => { });
+  });
+}
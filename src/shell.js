@@ -0,0 +1,262 @@
+import repl from 'node:repl';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { inspect } from 'node:util';
+import Collection from './Collection.js';
+
+/**
+ * すべてのドキュメントに付与されるシステムフィールド（`getSchema()` の結果には含まれない）。
+ * @private
+ */
+const SYSTEM_FIELDS = ['id', 'created_at', 'updated_at', '_version'];
+
+/**
+ * `.rollback` でシェルのトランザクションを取り消すために使用する値。
+ * @private
+ */
+const ROLLBACK = Symbol('rollback');
+
+/**
+ * 現在のデータを返します。`beginTransaction()` によるトランザクション中はトランザクション内のデータを参照します。
+ * @private
+ * @param {any} db - データベース、またはトランザクションのハンドル。
+ */
+function currentData(db) {
+  return db.inTransaction ? db.transactionData : db.data;
+}
+
+/**
+ * 現在のコレクション名の一覧を返します。
+ * @private
+ * @param {any} db - データベース、またはトランザクションのハンドル。
+ * @returns {Array<string>}
+ */
+function collectionNames(db) {
+  return Object.keys(currentData(db).data || {}).sort();
+}
+
+/**
+ * スキーマのプロパティからフィールド名の一覧を作成します。ネストしたフィールドはドット区切りで含めます。
+ * @private
+ * @param {Record<string, any>} schema - スキーマ（`properties` を持つオブジェクト）。
+ * @param {string} [prefix=''] - フィールド名の前に付ける文字列。
+ * @returns {Array<string>}
+ */
+function schemaFields(schema, prefix = '') {
+  /** @type {Array<string>} */
+  const fields = [];
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    fields.push(prefix + key);
+    if (property && property.properties) fields.push(...schemaFields(property, prefix + key + '.'));
+  }
+  return fields;
+}
+
+/**
+ * 入力中の行に対する補完候補を返します。
+ * `collection('` の後ではコレクション名を、`collection('name').find({ ` のようなコレクションのメソッドの引数の中では、
+ * `getSchema()` から取得したフィールド名を補完します。該当しない場合は null を返します。
+ *
+ * @param {import('./LitheDB.js').default} db - データベース、またはトランザクションのハンドル。
+ * @param {string} line - 入力中の行。
+ * @returns {[Array<string>, string]|null} 補完候補と、補完の対象となる文字列。
+ */
+export function completeShell(db, line) {
+  const collectionMatch = /\bcollection\(\s*['"`]([^'"`]*)$/.exec(line);
+  if (collectionMatch) {
+    const partial = collectionMatch[1];
+    return [collectionNames(db).filter(name => name.startsWith(partial)), partial];
+  }
+  const fieldMatch = /\bcollection\(\s*(['"`])([^'"`]+)\1\s*\)\s*\.\s*\w+\(.*[{,]\s*['"]?([\w.$]*)$/.exec(line);
+  if (fieldMatch) {
+    const [, , collection, partial] = fieldMatch;
+    // トランザクションのハンドルが参照したコレクションとして記録しないよう、db.collection() を経由せずにスキーマを取得する
+    const fields = [...SYSTEM_FIELDS, ...schemaFields(new Collection(db, collection).getSchema())];
+    return [[...new Set(fields)].filter(field => field.startsWith(partial)).sort(), partial];
+  }
+  return null;
+}
+
+/**
+ * 値が JSON としてそのまま表示できるデータかどうか。
+ * @private
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainData(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return true;
+  if (Array.isArray(value)) return true;
+  if (typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * データベースを1度だけ読み込み、対話的に操作する REPL を開始します。
+ *
+ * REPL のコンテキストには `db` が定義され、`db.collection('users').find()` のように操作できます。
+ * `.begin` で開始したトランザクションの間は、`db` はトランザクションのハンドル（`db.transaction()` に渡される `tx`）を指します。
+ * 評価結果が Promise の場合は完了を待ってから表示します。データ（オブジェクト・配列など）は `formatResult` で整形され、
+ * それ以外の値は `util.inspect` で表示されます。
+ *
+ * メタコマンド:
+ * - `.begin` / `.commit` / `.rollback`: `db.transaction()` によるトランザクションを開始・コミット・ロールバックします。
+ * - `.collections`: コレクション名と件数を表示します。
+ * - `.format [json|text]`: 出力形式を表示・変更します。
+ *
+ * @param {import('./LitheDB.js').default} db - 読み込み済みのデータベース。
+ * @param {Object} [options={}] - REPL のオプション。
+ * @param {string} [options.format='json'] - 出力形式 (`json` または `text`)。
+ * @param {(value: any, format: string) => string} [options.formatResult] - データを表示用の文字列に変換する関数。
+ * @param {string|null} [options.historyPath] - コマンド履歴の保存先。省略時は環境変数 `LITHE_DB_HISTORY`、または `~/.lithe_db_history`。
+ *   `null` の場合は履歴を保存しません。
+ * @param {NodeJS.ReadableStream} [options.input=process.stdin] - 入力ストリーム。
+ * @param {NodeJS.WritableStream} [options.output=process.stdout] - 出力ストリーム。
+ * @returns {import('node:repl').REPLServer}
+ */
+export function startShell(db, options = {}) {
+  /** @type {{ format: string, transaction: { tx: any, settle: { resolve: Function, reject: Function }, result: Promise<any> }|null }} */
+  const state = { format: options.format || 'json', transaction: null };
+  const formatResult = options.formatResult || ((value) => JSON.stringify(value, null, 2));
+  const prompt = () => (state.transaction ? 'lithe-db (tx)> ' : 'lithe-db> ');
+  /** 現在操作の対象となっているデータベース（トランザクション中はトランザクションのハンドル） */
+  const current = () => (state.transaction ? state.transaction.tx : db);
+
+  const server = repl.start({
+    prompt: prompt(),
+    input: options.input || process.stdin,
+    output: options.output || process.stdout,
+    useGlobal: false,
+    ignoreUndefined: true,
+    writer: (value) => (isPlainData(value) ? formatResult(value, state.format) : inspect(value, { colors: server.useColors }))
+  });
+  server.context.db = db;
+
+  // 入力が連続して渡された場合（パイプなど）でも、メタコマンドと評価を入力順に1つずつ実行する
+  let queue = Promise.resolve();
+  const enqueue = (/** @type {() => any} */ task) => {
+    queue = queue.then(task).catch(() => { });
+    return queue;
+  };
+
+  // 評価結果の Promise を待ってから表示する（eval と completer は型定義上は読み取り専用のため、any として書き換える）
+  const evaluate = server.eval;
+  /** @type {any} */ (server).eval = /** @type {import('node:repl').REPLEval} */ ((code, context, filename, callback) => {
+    enqueue(() => /** @type {Promise<void>} */ (new Promise((resolve) => {
+      evaluate.call(server, code, context, filename, (error, result) => {
+        if (error || !result || typeof result.then !== 'function') {
+          callback(error, result);
+          return resolve();
+        }
+        result.then((/** @type {any} */ value) => callback(null, value), callback).then(resolve);
+      });
+    })));
+  });
+
+  const complete = /** @type {import('node:readline').AsyncCompleter} */ (server.completer);
+  /** @type {any} */ (server).completer = /** @type {import('node:readline').AsyncCompleter} */ ((line, callback) => {
+    let completion;
+    try {
+      completion = completeShell(current(), line);
+    } catch {
+      completion = null;
+    }
+    if (completion) return callback(null, completion);
+    return complete.call(server, line, callback);
+  });
+
+  /**
+   * @param {string} name - コマンド名。
+   * @param {string} help - ヘルプに表示する説明。
+   * @param {(arg: string) => Promise<void>} action - コマンドの処理。
+   */
+  const meta = (name, help, action) => {
+    server.defineCommand(name, {
+      help,
+      action: (arg) => enqueue(async () => {
+        try {
+          await action(arg.trim());
+        } catch (/** @type {any} */ error) {
+          server.output.write(`Error: ${error.message}\n`);
+        }
+        server.setPrompt(prompt());
+        server.displayPrompt();
+      })
+    });
+  };
+
+  // .commit / .rollback まで完了しない処理で db.transaction() を実行し、その間 `db` をトランザクションのハンドルに切り替える
+  const begin = async () => {
+    /** @type {any} */
+    let settle;
+    const finished = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+    /** @type {(tx: any) => void} */
+    let started = () => { };
+    const ready = new Promise(resolve => { started = resolve; });
+    const result = db.transaction(async (/** @type {any} */ tx) => {
+      started(tx);
+      return finished;
+    });
+    // トランザクションを開始できなかった場合は、そのエラーをスローする
+    const tx = await Promise.race([ready, result]);
+    state.transaction = { tx, settle, result };
+    server.context.db = tx;
+  };
+  /** @param {boolean} commit - コミットする場合は true、ロールバックする場合は false。 */
+  const end = async (commit) => {
+    const { settle, result } = /** @type {NonNullable<typeof state.transaction>} */ (state.transaction);
+    state.transaction = null;
+    server.context.db = db;
+    if (commit) {
+      settle.resolve();
+      await result;
+      return;
+    }
+    settle.reject(ROLLBACK);
+    await result.catch(error => {
+      if (error !== ROLLBACK) throw error;
+    });
+  };
+
+  meta('begin', 'Begin a transaction', async () => {
+    if (state.transaction) throw new Error('A transaction is already active');
+    await begin();
+  });
+  meta('commit', 'Commit the current transaction', async () => {
+    if (!state.transaction) throw new Error('No active transaction');
+    await end(true);
+  });
+  meta('rollback', 'Roll back the current transaction', async () => {
+    if (!state.transaction) throw new Error('No active transaction');
+    await end(false);
+  });
+  meta('collections', 'List collections and their record counts', async () => {
+    const data = currentData(current());
+    for (const name of collectionNames(current())) {
+      server.output.write(`${name} (${data.data[name].length})\n`);
+    }
+  });
+  meta('format', 'Show or set the output format: json, text', async (format) => {
+    if (format && !['json', 'text'].includes(format)) throw new Error(`Unknown format: ${format}`);
+    if (format) state.format = format;
+    server.output.write(`Output format: ${state.format}\n`);
+  });
+
+  if (options.historyPath !== null) {
+    const historyPath = options.historyPath || process.env.LITHE_DB_HISTORY || join(homedir(), '.lithe_db_history');
+    server.setupHistory(historyPath, (error) => {
+      if (error) server.output.write(`Warning: command history is unavailable (${error.message})\n`);
+    });
+  }
+
+  server.on('exit', () => {
+    enqueue(async () => {
+      if (state.transaction) {
+        await end(false);
+        server.output.write('Uncommitted transaction rolled back\n');
+      }
+      db.close();
+    });
+  });
+  return server;
+}
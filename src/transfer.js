@@ -0,0 +1,478 @@
+import { once } from 'node:events';
+import { setPath } from './query.js';
+
+/**
+ * インポート・エクスポートで扱えるデータ形式。
+ */
+export const TRANSFER_FORMATS = ['json', 'jsonl', 'csv'];
+
+/**
+ * エクスポート時に一度に取得するレコードの件数。
+ */
+export const EXPORT_BATCH_SIZE = 1000;
+
+/**
+ * 一部の行が拒否されたため、インポート全体を取り消した場合にスローされるエラー。
+ */
+export class ImportError extends Error {
+  /**
+   * @param {Array<{ line: number, error: string }>} rejected - 拒否された行の一覧。
+   */
+  constructor(rejected) {
+    super(`${rejected.length} record(s) were rejected; nothing was imported`);
+    this.name = 'ImportError';
+    this.rejected = rejected;
+  }
+}
+
+/**
+ * ファイルの拡張子からデータ形式を判定します。判定できない場合は `json` を返します。
+ * @param {string|null} [path] - ファイルパス。
+ * @returns {'json'|'jsonl'|'csv'}
+ */
+export function formatFromPath(path) {
+  if (/\.(jsonl|ndjson)$/i.test(path || '')) return 'jsonl';
+  if (/\.csv$/i.test(path || '')) return 'csv';
+  return 'json';
+}
+
+/**
+ * チャンク（文字列または Buffer）を文字列として順に返します。マルチバイト文字がチャンクをまたぐ場合や、先頭の BOM も扱います。
+ * @private
+ * @param {AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>} input - 入力。
+ * @returns {AsyncGenerator<string>}
+ */
+async function* decodeChunks(input) {
+  const decoder = new TextDecoder();
+  let first = true;
+  for await (const chunk of input) {
+    let text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    if (first && text) {
+      text = text.replace(/^\uFEFF/, '');
+      first = false;
+    }
+    yield text;
+  }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+/**
+ * JSON の配列を要素ごとに読み込みます。トップレベルがオブジェクトの場合は、それを1件として返します。
+ * 要素ごとに `JSON.parse` するため、不正な要素があっても後続の要素は読み込めます。
+ * @private
+ * @param {AsyncIterable<string>} chunks - `decodeChunks()` の戻り値。
+ * @returns {AsyncGenerator<{ line: number, text: string }>}
+ */
+async function* jsonElements(chunks) {
+  let top = null;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let buffer = '';
+  let line = 1;
+  let start = 1;
+
+  for await (const chunk of chunks) {
+    for (const ch of chunk) {
+      if (ch === '\n') line++;
+      if (inString) {
+        buffer += ch;
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (top === null) {
+        if (/\s/.test(ch)) continue;
+        if (ch === '[') {
+          top = '[';
+          depth = 1;
+          continue;
+        }
+        if (ch !== '{') throw new SyntaxError('Expected a JSON array or object');
+        top = '{';
+      }
+      if (top === '[' && depth === 1 && (ch === ',' || ch === ']')) {
+        if (buffer.trim() !== '') yield { line: start, text: buffer };
+        buffer = '';
+        if (ch === ']') depth = 0;
+        continue;
+      }
+      if (depth === 0 && top === '[') continue; // 配列の終了後
+      if (buffer === '' && /\s/.test(ch)) continue;
+      if (buffer === '') start = line;
+      buffer += ch;
+      if (ch === '"') inString = true;
+      else if (ch === '[' || ch === '{') depth++;
+      else if (ch === ']' || ch === '}') {
+        depth--;
+        if (top === '{' && depth === 0) {
+          yield { line: start, text: buffer };
+          buffer = '';
+          top = '}';
+        }
+      }
+    }
+  }
+  if (buffer.trim() !== '' || (top === '[' && depth > 0)) {
+    yield { line: start, text: buffer };
+  }
+}
+
+/**
+ * テキストを行ごとに返します。空行は読み飛ばします。
+ * @private
+ * @param {AsyncIterable<string>} chunks - `decodeChunks()` の戻り値。
+ * @returns {AsyncGenerator<{ line: number, text: string }>}
+ */
+async function* textLines(chunks) {
+  let buffer = '';
+  let line = 0;
+  for await (const chunk of chunks) {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const text = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      line++;
+      if (text.trim() !== '') yield { line, text };
+    }
+  }
+  line++;
+  if (buffer.trim() !== '') yield { line, text: buffer };
+}
+
+/**
+ * CSV (RFC 4180) を行ごとのセルの配列として返します。引用符で囲まれたセル内の区切り文字・改行・`""` に対応します。
+ * @private
+ * @param {AsyncIterable<string>} chunks - `decodeChunks()` の戻り値。
+ * @param {string} delimiter - 区切り文字。
+ * @returns {AsyncGenerator<{ line: number, cells?: Array<string>, error?: Error }>}
+ */
+async function* csvRows(chunks, delimiter) {
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let closedQuote = false;
+  let line = 1;
+  let start = 1;
+
+  for await (const chunk of chunks) {
+    for (const ch of chunk) {
+      if (inQuotes) {
+        if (ch === '"') {
+          inQuotes = false;
+          closedQuote = true;
+        } else {
+          if (ch === '\n') line++;
+          cell += ch;
+        }
+        continue;
+      }
+      if (ch === '"') {
+        // 引用符の直後の引用符は、エスケープされた引用符 ("")
+        if (closedQuote) cell += '"';
+        if (closedQuote || cell === '') inQuotes = true;
+        else cell += ch;
+        closedQuote = false;
+        continue;
+      }
+      closedQuote = false;
+      if (ch === delimiter) {
+        cells.push(cell);
+        cell = '';
+      } else if (ch === '\n') {
+        cells.push(cell);
+        if (cells.length > 1 || cells[0] !== '') yield { line: start, cells };
+        cells = [];
+        cell = '';
+        start = ++line;
+      } else if (ch !== '\r') {
+        cell += ch;
+      }
+    }
+  }
+  if (inQuotes) {
+    yield { line: start, error: new SyntaxError('Unterminated quoted field') };
+  } else if (cells.length > 0 || cell !== '') {
+    cells.push(cell);
+    yield { line: start, cells };
+  }
+}
+
+/**
+ * CSV のセルの値を、指定した型（省略時は値から推測した型）に変換します。
+ * @private
+ * @param {string} value - セルの値。
+ * @param {string} field - エラーメッセージに使用するフィールド名。
+ * @param {string} [type='auto'] - `string`, `number`, `boolean`, `date`, `json`, `auto` のいずれか。
+ * @throws {Error} 値を指定した型に変換できない場合。
+ */
+function coerceValue(value, field, type = 'auto') {
+  switch (type) {
+    case 'string':
+      return value;
+    case 'number': {
+      const number = Number(value);
+      if (value.trim() === '' || Number.isNaN(number)) throw new Error(`Invalid number for field "${field}": ${value}`);
+      return number;
+    }
+    case 'boolean':
+      if (/^(true|1|yes)$/i.test(value)) return true;
+      if (/^(false|0|no)$/i.test(value)) return false;
+      throw new Error(`Invalid boolean for field "${field}": ${value}`);
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) throw new Error(`Invalid date for field "${field}": ${value}`);
+      return date.toISOString();
+    }
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch {
+        throw new Error(`Invalid JSON for field "${field}": ${value}`);
+      }
+    case 'auto':
+      // 先頭が0の数字（郵便番号や電話番号など）は文字列のまま扱う
+      if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(value)) return Number(value);
+      if (value === 'true' || value === 'false') return value === 'true';
+      if (/^[[{]/.test(value)) {
+        try {
+          return JSON.parse(value);
+        } catch {
+          return value;
+        }
+      }
+      return value;
+    default:
+      throw new Error(`Unsupported type for field "${field}": ${type}`);
+  }
+}
+
+/**
+ * 値がドキュメントとして挿入できるオブジェクトかどうか。
+ * @private
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isRecord(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * JSON の配列・JSON Lines・CSV を読み込み、レコードを1件ずつ返します。
+ * 入力全体をメモリに読み込まずに処理するため、大きなファイルや標準入力からも読み込めます。
+ * 解析できなかったレコードは例外をスローせずに `error` として返します。
+ *
+ * CSV では1行目をヘッダーとして扱い、`map` でヘッダーをフィールド名に対応付けます（`address.city` のようなドット区切りで
+ * ネストしたフィールドを指定できます）。空のセルはフィールドを省略し、それ以外のセルは `types` で指定した型、
+ * または値から推測した型（数値・真偽値・JSON の配列やオブジェクト）に変換します。
+ *
+ * @param {AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>} input - 入力（`process.stdin` や `fs.createReadStream()` など）。
+ * @param {'json'|'jsonl'|'csv'} [format='json'] - データ形式。
+ * @param {Object} [options={}] - 読み込みオプション。
+ * @param {Object<string, string|null>} [options.map] - CSV のヘッダーからフィールド名への対応。`null` を指定した列は読み込みません。
+ * @param {Object<string, string>} [options.types] - CSV のフィールドごとの型 (`string`, `number`, `boolean`, `date`, `json`, `auto`)。
+ * @param {string} [options.delimiter=','] - CSV の区切り文字。
+ * @returns {AsyncGenerator<{ line: number, record?: Object, error?: Error }>}
+ * @throws {Error} 未対応の形式が指定された場合、または JSON の先頭が配列・オブジェクトでない場合。
+ */
+export async function* readRecords(input, format = 'json', options = {}) {
+  if (!TRANSFER_FORMATS.includes(format)) throw new Error(`Unsupported import format: ${format}`);
+  const chunks = decodeChunks(input);
+
+  if (format === 'csv') {
+    const map = options.map || {};
+    const types = options.types || {};
+    /** @type {Array<string|null>|null} */
+    let fields = null;
+    for await (const { line, cells = [], error } of csvRows(chunks, options.delimiter || ',')) {
+      if (error) {
+        yield { line, error };
+        continue;
+      }
+      if (!fields) {
+        fields = cells.map(header => (Object.hasOwn(map, header.trim()) ? map[header.trim()] : header.trim()));
+        continue;
+      }
+      try {
+        const columns = fields;
+        if (cells.length > columns.length) throw new Error(`Expected ${columns.length} columns but found ${cells.length}`);
+        /** @type {Record<string, any>} */
+        const record = {};
+        cells.forEach((value, i) => {
+          const field = columns[i];
+          if (!field || value === '') return;
+          setPath(record, field, coerceValue(value, field, Object.hasOwn(types, field) ? types[field] : undefined));
+        });
+        yield { line, record };
+      } catch (/** @type {any} */ e) {
+        yield { line, error: e };
+      }
+    }
+    return;
+  }
+
+  const items = format === 'jsonl' ? textLines(chunks) : jsonElements(chunks);
+  for await (const { line, text } of items) {
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (/** @type {any} */ e) {
+      yield { line, error: e };
+      continue;
+    }
+    yield isRecord(record) ? { line, record } : { line, error: new Error('Record must be a JSON object') };
+  }
+}
+
+/**
+ * レコードを1つのトランザクション内でコレクションに挿入します。
+ * 各レコードは通常の `insert()` と同様にスキーマ・ユニーク制約・リレーションが検査され、違反したレコードは拒否されます
+ * （同じ入力内での重複も検出されます）。レコードに含まれる `id` などのシステムフィールドは新しい値で置き換えられます。
+ *
+ * @param {import('./LitheDB.js').default} db - データベース。
+ * @param {string} collection - 挿入先のコレクション名。
+ * @param {AsyncIterable<{ line: number, record?: Object, error?: Error }>} records - `readRecords()` の戻り値。
+ * @param {Object} [options={}] - インポートオプション。
+ * @param {boolean} [options.strict=false] - 1件でも拒否された場合は、インポート全体を取り消します。
+ * @returns {Promise<{ imported: number, rejected: Array<{ line: number, error: string }> }>}
+ * @throws {ImportError} `strict` が有効で、拒否されたレコードがある場合にスローされます。
+ */
+export async function importRecords(db, collection, records, options = {}) {
+  return db.transaction(async (tx) => {
+    const target = tx.collection(collection);
+    /** @type {{ imported: number, rejected: Array<{ line: number, error: string }> }} */
+    const result = { imported: 0, rejected: [] };
+    for await (const { line, record, error } of records) {
+      try {
+        if (error) throw error;
+        await target.insert(/** @type {Object} */ (record));
+        result.imported++;
+      } catch (/** @type {any} */ e) {
+        result.rejected.push({ line, error: e.message });
+      }
+    }
+    if (options.strict && result.rejected.length > 0) {
+      throw new ImportError(result.rejected);
+    }
+    return result;
+  });
+}
+
+/**
+ * コレクションの検索結果を `batchSize` 件ずつ取得しながら、1件ずつ返します。
+ * エクスポートでコレクション全体を一度にメモリ上に展開しないために使用します。
+ * 反復するたびに最初から検索し直すため、`writeRecords()` で CSV として書き込む場合のように複数回反復できます。
+ *
+ * @param {import('./Collection.js').default} collection - 検索するコレクション。
+ * @param {Object} [query={}] - 検索条件。
+ * @param {Object} [options={}] - `find()` のオプション。`skip` と `limit` は検索結果全体に対して適用されます。
+ * @param {number} [batchSize=EXPORT_BATCH_SIZE] - 一度に取得する件数。
+ * @returns {AsyncIterable<Object>}
+ */
+export function findInBatches(collection, query = {}, options = {}, batchSize = EXPORT_BATCH_SIZE) {
+  const { skip, limit, ...findOptions } = /** @type {{ skip?: number|null, limit?: number|null }} */ (options);
+  const total = limit ?? Infinity;
+  return {
+    async *[Symbol.asyncIterator]() {
+      for (let offset = 0; offset < total; offset += batchSize) {
+        const size = Math.min(batchSize, total - offset);
+        const batch = await collection.find(query, { ...findOptions, skip: (skip ?? 0) + offset, limit: size });
+        yield* batch;
+        if (batch.length < size) return;
+      }
+    }
+  };
+}
+
+/**
+ * ネストしたオブジェクトをドット区切りのキーに展開します。配列はそのまま残します。
+ * @private
+ * @param {Record<string, any>} record - 展開するレコード。
+ * @param {string} [prefix=''] - キーの接頭辞。
+ * @param {Record<string, any>} [flat={}] - 展開した結果を格納するオブジェクト。
+ * @returns {Record<string, any>}
+ */
+function flattenRecord(record, prefix = '', flat = {}) {
+  for (const [key, value] of Object.entries(record)) {
+    if (isRecord(value) && Object.keys(value).length > 0) {
+      flattenRecord(value, prefix + key + '.', flat);
+    } else {
+      flat[prefix + key] = value;
+    }
+  }
+  return flat;
+}
+
+/**
+ * CSV のセルの文字列に変換します。
+ * @private
+ * @param {any} value
+ * @param {string} delimiter - 区切り文字。
+ * @returns {string}
+ */
+function toCsvCell(value, delimiter) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * 書き込み先のバッファが空くのを待ちながら書き込みます。
+ * @private
+ * @param {import('node:stream').Writable} output
+ * @param {string} text
+ */
+async function writeChunk(output, text) {
+  if (!output.write(text)) await once(output, 'drain');
+}
+
+/**
+ * レコードを JSON の配列・JSON Lines・CSV として書き込みます。
+ * CSV では、すべてのレコードのフィールド（ネストしたフィールドはドット区切り）をヘッダーとし、配列やオブジェクトの値は JSON として書き込みます。
+ * ヘッダーを決めるために CSV では `records` を2回反復するため、配列や `findInBatches()` の戻り値のように繰り返し反復できるものを渡してください。
+ *
+ * @param {Iterable<Object>|AsyncIterable<Object>} records - 書き込むレコード。
+ * @param {import('node:stream').Writable} output - 書き込み先（`process.stdout` や `fs.createWriteStream()` など）。
+ * @param {'json'|'jsonl'|'csv'} [format='json'] - データ形式。
+ * @param {Object} [options={}] - 書き込みオプション。
+ * @param {string} [options.delimiter=','] - CSV の区切り文字。
+ * @returns {Promise<number>} 書き込んだレコードの件数。
+ * @throws {Error} 未対応の形式が指定された場合。
+ */
+export async function writeRecords(records, output, format = 'json', options = {}) {
+  if (!TRANSFER_FORMATS.includes(format)) throw new Error(`Unsupported export format: ${format}`);
+  let count = 0;
+  if (format === 'jsonl') {
+    for await (const record of records) {
+      await writeChunk(output, JSON.stringify(record) + '\n');
+      count++;
+    }
+  } else if (format === 'csv') {
+    const delimiter = options.delimiter || ',';
+    const headerSet = new Set();
+    for await (const record of records) {
+      for (const key of Object.keys(flattenRecord(record))) headerSet.add(key);
+    }
+    const headers = [...headerSet];
+    if (headers.length > 0) await writeChunk(output, headers.map(h => toCsvCell(h, delimiter)).join(delimiter) + '\n');
+    for await (const record of records) {
+      const row = flattenRecord(record);
+      await writeChunk(output, headers.map(h => toCsvCell(row[h], delimiter)).join(delimiter) + '\n');
+      count++;
+    }
+  } else {
+    await writeChunk(output, '[');
+    for await (const record of records) {
+      await writeChunk(output, (count === 0 ? '\n  ' : ',\n  ') + JSON.stringify(record));
+      count++;
+    }
+    await writeChunk(output, count > 0 ? '\n]\n' : ']\n');
+  }
+  return count;
+}
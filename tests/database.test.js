@@ -50,6 +50,300 @@ describe('LitheDB Core', () => {
     });
   });
 
+  describe('Query Operators', () => {
+    let users;
+
+    beforeEach(async () => {
+      users = db.collection('users');
+      await users.insert({ name: 'Alice', age: 25, tags: ['admin', 'dev'], email: 'alice@example.com' });
+      await users.insert({ name: 'Bob', age: 32, tags: ['dev'] });
+      await users.insert({ name: 'Carol', age: 41, tags: [], scores: [{ subject: 'math', value: 90 }] });
+    });
+
+    it('should support comparison operators', async () => {
+      expect(await users.find({ age: { $gte: 30 } })).toHaveLength(2);
+      expect(await users.find({ age: { $gt: 25, $lt: 41 } })).toHaveLength(1);
+      expect(await users.find({ name: { $ne: 'Alice' } })).toHaveLength(2);
+    });
+
+    it('should support $in, $nin and $exists', async () => {
+      expect(await users.find({ name: { $in: ['Alice', 'Carol'] } })).toHaveLength(2);
+      expect(await users.find({ tags: { $in: ['admin'] } })).toHaveLength(1);
+      expect(await users.find({ name: { $nin: ['Alice'] } })).toHaveLength(2);
+      expect(await users.find({ email: { $exists: true } })).toHaveLength(1);
+      expect(await users.find({ email: { $exists: false } })).toHaveLength(2);
+    });
+
+    it('should support $regex, $not, $size and $elemMatch', async () => {
+      expect(await users.find({ name: { $regex: '^a', $options: 'i' } })).toHaveLength(1);
+      expect(await users.find({ name: { $not: { $regex: '^A' } } })).toHaveLength(2);
+      expect(await users.find({ tags: { $size: 0 } })).toHaveLength(1);
+      expect(await users.find({ scores: { $elemMatch: { subject: 'math', value: { $gte: 80 } } } })).toHaveLength(1);
+    });
+
+    it('should support $and and $or', async () => {
+      const results = await users.find({ $or: [{ name: 'Alice' }, { age: { $gt: 40 } }] });
+      expect(results.map(d => d.name)).toEqual(['Alice', 'Carol']);
+      expect(await users.find({ $and: [{ age: { $gt: 20 } }, { age: { $lt: 30 } }] })).toHaveLength(1);
+    });
+
+    it('should apply operators in update and remove', async () => {
+      const updated = await users.update({ age: { $lt: 35 } }, { active: true });
+      expect(updated).toBe(2);
+      const removed = await users.remove({ active: { $exists: false } });
+      expect(removed).toBe(1);
+    });
+
+    it('should reject unknown operators', async () => {
+      await expect(users.find({ age: { $between: [1, 2] } })).rejects.toThrow(/Unknown query operator/);
+    });
+  });
+
+  describe('Dot-notation Paths', () => {
+    let posts;
+
+    beforeEach(async () => {
+      posts = db.collection('posts');
+      await posts.insert({ title: 'A', author: { name: 'Zed', country: 'JP' } });
+      await posts.insert({ title: 'B', author: { name: 'Amy', country: 'US' } });
+    });
+
+    it('should query nested fields', async () => {
+      const found = await posts.findOne({ 'author.name': 'Amy' });
+      expect(found.title).toBe('B');
+      expect(await posts.find({ 'author.country': { $in: ['JP', 'US'] } })).toHaveLength(2);
+      expect(await posts.find({ 'author.missing.deep': { $exists: false } })).toHaveLength(2);
+    });
+
+    it('should compare nested objects regardless of key order', async () => {
+      const found = await posts.findOne({ author: { country: 'JP', name: 'Zed' } });
+      expect(found.title).toBe('A');
+    });
+
+    it('should sort by nested fields', async () => {
+      const results = await posts.find({}, { sort: { 'author.name': 'asc' } });
+      expect(results.map(d => d.title)).toEqual(['B', 'A']);
+    });
+
+    it('should update nested fields without clobbering siblings', async () => {
+      await posts.update({ title: 'A' }, { 'author.name': 'Zoe', 'stats.views': 1 });
+      const found = await posts.findOne({ title: 'A' });
+      expect(found.author).toEqual({ name: 'Zoe', country: 'JP' });
+      expect(found.stats).toEqual({ views: 1 });
+    });
+
+    it('should reject update paths that would modify prototypes', async () => {
+      for (const key of ['__proto__.polluted', 'constructor.prototype.polluted', '__proto__']) {
+        await expect(posts.update({ title: 'A' }, JSON.parse(`{"${key}": 1}`))).rejects.toThrow('Invalid field name');
+      }
+      expect(({}).polluted).toBeUndefined();
+      expect((await posts.findOne({ title: 'A' })).author).toEqual({ name: 'Zed', country: 'JP' });
+    });
+
+    it('should enforce unique constraints on nested paths', async () => {
+      db.createIndex('posts', 'author.name', { unique: true });
+      await expect(posts.insert({ title: 'C', author: { name: 'Amy' } }))
+        .rejects.toThrow(/Unique constraint violation/);
+      await expect(posts.update({ title: 'A' }, { 'author.name': 'Amy' }))
+        .rejects.toThrow(/Unique constraint violation/);
+    });
+  });
+
+  describe('Pagination & Projection', () => {
+    let items;
+
+    beforeEach(async () => {
+      items = db.collection('items');
+      const rows = [
+        { name: 'a', category: 'x', price: 30, body: 'long' },
+        { name: 'b', category: 'y', price: 10, body: 'long' },
+        { name: 'c', category: 'x', price: 20, body: 'long' },
+        { name: 'd', category: 'y', price: 40, body: 'long' },
+        { name: 'e', category: 'x', price: 20, body: 'long' }
+      ];
+      for (const row of rows) await items.insert(row);
+    });
+
+    it('should sort by multiple keys with mixed directions', async () => {
+      const results = await items.find({}, { sort: { category: 'asc', price: 'desc' } });
+      expect(results.map(d => d.name)).toEqual(['a', 'c', 'e', 'd', 'b']);
+    });
+
+    it('should apply skip and limit', async () => {
+      const results = await items.find({}, { sort: { price: 'asc' }, skip: 1, limit: 2 });
+      expect(results.map(d => d.name)).toEqual(['c', 'e']);
+    });
+
+    it('should paginate with an id cursor', async () => {
+      const page1 = await items.find({}, { limit: 2 });
+      const page2 = await items.find({}, { limit: 2, after: page1[1].id });
+      expect(page2.map(d => d.name)).toEqual(['c', 'd']);
+
+      const sorted1 = await items.find({}, { sort: { price: 'asc' }, limit: 2 });
+      const sorted2 = await items.find({}, { sort: { price: 'asc' }, limit: 2, after: sorted1[1].id });
+      expect(sorted1.map(d => d.name)).toEqual(['b', 'c']);
+      expect(sorted2.map(d => d.name)).toEqual(['e', 'a']);
+    });
+
+    it('should paginate in insertion order once serials exceed six digits', async () => {
+      db.data.metadata.serial = 999998;
+      const logs = db.collection('logs');
+      for (const n of [1, 2, 3]) await logs.insert({ n });
+      const page1 = await logs.find({}, { limit: 2 });
+      const page2 = await logs.find({}, { limit: 2, after: page1[1].id });
+      expect(page1.map(d => d.n)).toEqual([1, 2]);
+      expect(page2.map(d => d.n)).toEqual([3]);
+      await expect(logs.find({}, { after: 'missing' })).rejects.toThrow('Cursor not found');
+    });
+
+    it('should project fields', async () => {
+      const [included] = await items.find({ name: 'a' }, { fields: { name: 1 } });
+      expect(included).toEqual({ id: included.id, name: 'a' });
+
+      const excluded = await items.findOne({ name: 'a' }, { fields: { body: 0, id: 0 } });
+      expect(excluded.body).toBeUndefined();
+      expect(excluded.id).toBeUndefined();
+      expect(excluded.price).toBe(30);
+
+      await expect(items.find({}, { fields: { name: 1, body: 0 } })).rejects.toThrow(/Projection/);
+    });
+
+    it('should return the first sorted record from findOne', async () => {
+      const cheapest = await items.findOne({ category: 'x' }, { sort: { price: 'asc' } });
+      expect(cheapest.name).toBe('c');
+    });
+  });
+
+  describe('Aggregation', () => {
+    let users;
+    let orders;
+
+    beforeEach(async () => {
+      db.defineRelation('orders', 'user_id', { ref: 'users' });
+      users = db.collection('users');
+      orders = db.collection('orders');
+      const alice = await users.insert({ name: 'Alice' });
+      const bob = await users.insert({ name: 'Bob' });
+      await orders.insert({ user_id: alice.id, amount: 100, status: 'paid', items: ['pen', 'ink'] });
+      await orders.insert({ user_id: alice.id, amount: 50, status: 'paid', items: ['paper'] });
+      await orders.insert({ user_id: bob.id, amount: 70, status: 'paid', items: [] });
+      await orders.insert({ user_id: bob.id, amount: 30, status: 'cancelled', items: ['pen'] });
+    });
+
+    it('should match, group and sort', async () => {
+      const results = await orders.aggregate([
+        { $match: { status: 'paid' } },
+        {
+          $group: {
+            _id: '$user_id',
+            total: { $sum: '$amount' },
+            average: { $avg: '$amount' },
+            smallest: { $min: '$amount' },
+            largest: { $max: '$amount' },
+            count: { $count: {} },
+            amounts: { $push: '$amount' }
+          }
+        },
+        { $sort: { total: -1 } }
+      ]);
+      expect(results).toHaveLength(2);
+      expect(results[0]).toMatchObject({ total: 150, average: 75, smallest: 50, largest: 100, count: 2, amounts: [100, 50] });
+      expect(results[1]).toMatchObject({ total: 70, count: 1 });
+    });
+
+    it('should unwind, project and limit', async () => {
+      const results = await orders.aggregate([
+        { $unwind: '$items' },
+        { $group: { _id: '$items', count: { $sum: 1 } } },
+        { $sort: { count: 'desc', _id: 'asc' } },
+        { $project: { item: '$_id', count: 1 } },
+        { $limit: 2 }
+      ]);
+      expect(results).toEqual([{ item: 'pen', count: 2 }, { item: 'ink', count: 1 }]);
+    });
+
+    it('should look up related documents through defined relations', async () => {
+      const results = await orders.aggregate([
+        { $match: { amount: { $gte: 70 } } },
+        { $lookup: { localField: 'user_id', as: 'user' } },
+        { $unwind: '$user' },
+        { $project: { amount: 1, 'user.name': 1, id: 0 } }
+      ]);
+      expect(results).toEqual([
+        { amount: 100, user: { name: 'Alice' } },
+        { amount: 70, user: { name: 'Bob' } }
+      ]);
+    });
+
+    it('should reject unknown stages', async () => {
+      await expect(orders.aggregate([{ $explode: {} }])).rejects.toThrow(/Unknown aggregation stage/);
+    });
+  });
+
+  describe('Schema Validation', () => {
+    const schema = {
+      type: 'object',
+      required: ['name', 'age'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        age: { type: 'integer', minimum: 0, maximum: 150 },
+        role: { type: 'string', enum: ['admin', 'member'] },
+        email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+        address: {
+          type: 'object',
+          required: ['city'],
+          properties: { city: { type: 'string' } }
+        }
+      }
+    };
+
+    it('should reject invalid documents on insert with structured errors', async () => {
+      db.defineSchema('users', schema);
+      const users = db.collection('users');
+      await users.insert({ name: 'Alice', age: 30, role: 'admin', address: { city: 'Tokyo' } });
+
+      const error = await users.insert({ name: '', age: -1, role: 'guest', address: {} }).catch(e => e);
+      expect(error).toBeInstanceOf(LitheDB.ValidationError);
+      expect(error.collection).toBe('users');
+      expect(error.errors.map(e => `${e.path}:${e.keyword}`)).toEqual([
+        'name:minLength',
+        'age:minimum',
+        'role:enum',
+        'address.city:required'
+      ]);
+      expect(await users.find()).toHaveLength(1);
+    });
+
+    it('should validate the merged document on update and upsert', async () => {
+      db.defineSchema('users', schema);
+      const users = db.collection('users');
+      await users.insert({ name: 'Bob', age: 20 });
+
+      await expect(users.update({ name: 'Bob' }, { age: 'old' })).rejects.toThrow(/age must be integer/);
+      await expect(users.update({ name: 'Bob' }, { email: 'invalid' })).rejects.toThrow(/pattern/);
+      await expect(users.upsert({ name: 'Carol' }, { name: 'Carol' })).rejects.toThrow(/age is required/);
+      expect((await users.findOne({ name: 'Bob' })).age).toBe(20);
+    });
+
+    it('should promote the inferred schema and audit existing data', async () => {
+      const users = db.collection('users');
+      await users.insert({ name: 'Dave', age: 40 });
+      const enforced = users.enforceSchema();
+      expect(enforced.required).toEqual(['name', 'age']);
+      expect(db.data.metadata.schemas.users).toEqual(enforced);
+
+      await expect(users.insert({ name: 'Eve' })).rejects.toThrow(LitheDB.ValidationError);
+
+      db.data.data.users.push({ id: 'manual', name: 42 });
+      const invalid = users.validate();
+      expect(invalid).toHaveLength(1);
+      expect(invalid[0].id).toBe('manual');
+
+      db.defineSchema('users', null);
+      await users.insert({ name: 'Eve' });
+    });
+  });
+
   describe('Indices & Constraints', () => {
     it('should enforce unique constraints', async () => {
       db.createIndex('users', 'email', { unique: true });
@@ -59,6 +353,112 @@ describe('LitheDB Core', () => {
       await expect(users.insert({ email: 'test@example.com' }))
         .rejects.toThrow(/Unique constraint violation/);
     });
+
+    it('should enforce unique constraints on concurrent inserts', async () => {
+      db.createIndex('users', 'email', { unique: true });
+      const users = db.collection('users');
+      users.addHook('afterInsert', async (doc) => {
+        // フック内の書き込みは実行中の書き込みのロックを共有する
+        await db.collection('audit').insert({ user_id: doc.id });
+      });
+
+      const results = await Promise.allSettled([
+        users.insert({ email: 'same@example.com' }),
+        users.insert({ email: 'same@example.com' }),
+        users.upsert({ email: 'other@example.com' }, { email: 'other@example.com' })
+      ]);
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+      expect(await users.find()).toHaveLength(2);
+      expect(await db.collection('audit').find()).toHaveLength(2);
+    });
+
+    it('should enforce compound unique indexes', async () => {
+      const name = db.createIndex('memberships', ['user_id', 'group_id'], { unique: true });
+      expect(name).toBe('user_id,group_id');
+      const memberships = db.collection('memberships');
+
+      await memberships.insert({ user_id: 'u1', group_id: 'g1' });
+      await memberships.insert({ user_id: 'u1', group_id: 'g2' });
+      await expect(memberships.insert({ user_id: 'u1', group_id: 'g1' }))
+        .rejects.toThrow(/Unique constraint violation: memberships\.\(user_id, group_id\)/);
+      await expect(memberships.update({ group_id: 'g2' }, { group_id: 'g1' }))
+        .rejects.toThrow(/Unique constraint violation/);
+      await expect(memberships.upsert({ group_id: 'g3' }, { user_id: 'u1', group_id: 'g2' }))
+        .rejects.toThrow(/Unique constraint violation/);
+    });
+
+    it('should skip records outside sparse and partial indexes', async () => {
+      db.createIndex('memberships', ['user_id', 'group_id'], { unique: true, sparse: true });
+      db.createIndex('users', 'email', { unique: true, partialFilter: { active: true } });
+      const memberships = db.collection('memberships');
+      const users = db.collection('users');
+
+      await memberships.insert({ user_id: 'u1' });
+      await memberships.insert({ user_id: 'u1' });
+
+      await users.insert({ email: 'a@example.com', active: false });
+      await users.insert({ email: 'a@example.com', active: true });
+      await expect(users.insert({ email: 'a@example.com', active: true }))
+        .rejects.toThrow(/Unique constraint violation/);
+      expect(await users.find({ email: 'a@example.com' })).toHaveLength(2);
+    });
+
+    it('should refuse to create a unique index over duplicate data', async () => {
+      const users = db.collection('users');
+      await users.insert({ email: 'dup@example.com' });
+      await users.insert({ email: 'dup@example.com' });
+      expect(() => db.createIndex('users', 'email', { unique: true })).toThrow(/duplicate values exist/);
+      expect(db.data.metadata.indices.users).toBeUndefined();
+    });
+
+    it('should narrow lookups with the in-memory index', async () => {
+      const users = db.collection('users');
+      for (let i = 0; i < 20; i++) {
+        await users.insert({ email: `user${i}@example.com`, age: i });
+      }
+      db.createIndex('users', 'email', { unique: true });
+      db.createIndex('users', 'age');
+
+      expect(db.indexes.candidates('users', { email: 'user3@example.com' })).toHaveLength(1);
+      expect(db.indexes.candidates('users', { age: { $gte: 5, $lt: 8 } })).toHaveLength(3);
+
+      const found = await users.find({ age: { $in: [15, 2] } });
+      expect(found.map(d => d.age)).toEqual([2, 15]);
+    });
+
+    it('should keep the index in sync with update and remove', async () => {
+      db.createIndex('users', 'email', { unique: true });
+      const users = db.collection('users');
+      await users.insert({ email: 'a@example.com' });
+      await users.insert({ email: 'b@example.com' });
+
+      await users.update({ email: 'a@example.com' }, { email: 'c@example.com' });
+      expect(await users.findOne({ email: 'a@example.com' })).toBeNull();
+      expect(await users.findOne({ email: 'c@example.com' })).not.toBeNull();
+
+      await users.remove({ email: 'b@example.com' });
+      expect(await users.findOne({ email: 'b@example.com' })).toBeNull();
+      await users.insert({ email: 'b@example.com' });
+      await expect(users.insert({ email: 'c@example.com' })).rejects.toThrow(/Unique constraint violation/);
+    });
+
+    it('should rebuild indexes on load and discard them on rollback', async () => {
+      const storage = new LitheDB.MemoryStorage();
+      const first = new LitheDB(storage);
+      await first.load();
+      first.createIndex('users', 'email', { unique: true });
+      await first.collection('users').insert({ email: 'x@example.com' });
+
+      const second = new LitheDB(storage);
+      await second.load();
+      expect(second.indexes.candidates('users', { email: 'x@example.com' })).toHaveLength(1);
+
+      await second.beginTransaction();
+      await second.collection('users').insert({ email: 'y@example.com' });
+      second.rollback();
+      expect(await second.collection('users').findOne({ email: 'y@example.com' })).toBeNull();
+      expect(second.indexes.candidates('users', { email: 'y@example.com' })).toHaveLength(0);
+    });
   });
 
   describe('Relations', () => {
@@ -81,6 +481,386 @@ describe('LitheDB Core', () => {
       expect(post.author_id.name).toBe('Author');
       expect(post.author_id.id).toBe(user.id);
     });
+
+    it('should check relations on dot-path fields', async () => {
+      db.defineRelation('posts', 'meta.author_id', { ref: 'users' });
+      const user = await db.collection('users').insert({ name: 'Author' });
+      const posts = db.collection('posts');
+      const post = await posts.insert({ title: 'Post 1', meta: { author_id: user.id } });
+
+      await expect(posts.insert({ title: 'Invalid', meta: { author_id: 'non-existent' } }))
+        .rejects.toThrow(/Relation integrity error/);
+      await expect(posts.update({ id: post.id }, { meta: { author_id: 'non-existent' } }))
+        .rejects.toThrow(/Relation integrity error/);
+    });
+  });
+
+  describe('Population', () => {
+    let companies;
+    let users;
+    let posts;
+    let tags;
+    let groups;
+    let memberships;
+    let alice;
+    let acme;
+
+    beforeEach(async () => {
+      db.defineRelation('users', 'company_id', { ref: 'companies' });
+      db.defineRelation('posts', 'author_id', { ref: 'users' });
+      db.defineRelation('posts', 'tag_ids', { ref: 'tags' });
+      db.defineRelation('users', 'posts', { type: 'hasMany', ref: 'posts', field: 'author_id' });
+      db.defineRelation('users', 'groups', {
+        type: 'manyToMany',
+        ref: 'groups',
+        through: { collection: 'memberships', localField: 'user_id', refField: 'group_id' }
+      });
+      companies = db.collection('companies');
+      users = db.collection('users');
+      posts = db.collection('posts');
+      tags = db.collection('tags');
+      groups = db.collection('groups');
+      memberships = db.collection('memberships');
+
+      acme = await companies.insert({ name: 'Acme' });
+      alice = await users.insert({ name: 'Alice', company_id: acme.id });
+      const js = await tags.insert({ label: 'js' });
+      const db2 = await tags.insert({ label: 'db' });
+      await posts.insert({ title: 'P1', author_id: alice.id, tag_ids: [db2.id, js.id] });
+      await posts.insert({ title: 'P2', author_id: alice.id, tag_ids: [] });
+      const admins = await groups.insert({ name: 'admins' });
+      await memberships.insert({ user_id: alice.id, group_id: admins.id });
+    });
+
+    it('should resolve arrays of ids in order and validate each id', async () => {
+      const post = await posts.findOne({ title: 'P1' }, { populate: true });
+      expect(post.tag_ids.map(t => t.label)).toEqual(['db', 'js']);
+      await expect(posts.insert({ title: 'Bad', tag_ids: ['missing'] })).rejects.toThrow(/Relation integrity error/);
+    });
+
+    it('should populate reverse and many-to-many relations on request', async () => {
+      const plain = await users.findOne({ id: alice.id }, { populate: true });
+      expect(plain.company_id.name).toBe('Acme');
+      expect(plain.posts).toBeUndefined();
+
+      const user = await users.findOne({ id: alice.id }, { populate: ['posts', 'groups'] });
+      expect(user.posts.map(p => p.title)).toEqual(['P1', 'P2']);
+      expect(user.groups.map(g => g.name)).toEqual(['admins']);
+      expect(user.company_id).toBe(acme.id);
+    });
+
+    it('should populate nested relations', async () => {
+      const [post] = await posts.find({ title: 'P1' }, { populate: 'author_id.company_id' });
+      expect(post.author_id.company_id.name).toBe('Acme');
+      expect(post.tag_ids).toEqual(expect.arrayContaining([expect.any(String)]));
+
+      const user = await users.findOne({ id: alice.id }, { populate: { posts: { tag_ids: true } } });
+      expect(user.posts[0].tag_ids.map(t => t.label)).toEqual(['db', 'js']);
+      expect(user.posts[0].author_id).toBe(alice.id);
+    });
+
+    it('should reject unknown relations', async () => {
+      await expect(users.findOne({ id: alice.id }, { populate: ['followers'] })).rejects.toThrow(/Unknown relation/);
+    });
+  });
+
+  describe('Referential Actions', () => {
+    let users;
+    let posts;
+    let comments;
+    let alice;
+
+    beforeEach(async () => {
+      users = db.collection('users');
+      posts = db.collection('posts');
+      comments = db.collection('comments');
+      alice = await users.insert({ name: 'Alice', email: 'alice@example.com' });
+    });
+
+    it('should restrict removal of referenced documents', async () => {
+      db.defineRelation('posts', 'author_id', { ref: 'users', onDelete: 'restrict' });
+      await posts.insert({ title: 'P', author_id: alice.id });
+
+      await expect(users.remove({ id: alice.id })).rejects.toThrow(/Relation restrict error/);
+      expect(await users.findOne({ id: alice.id })).not.toBeNull();
+    });
+
+    it('should cascade removal across collections', async () => {
+      db.defineRelation('posts', 'author_id', { ref: 'users', onDelete: 'cascade' });
+      db.defineRelation('comments', 'post_id', { ref: 'posts', onDelete: 'cascade' });
+      const post = await posts.insert({ title: 'P', author_id: alice.id });
+      await comments.insert({ body: 'C', post_id: post.id });
+
+      expect(await users.remove({ id: alice.id })).toBe(1);
+      expect(await posts.find()).toHaveLength(0);
+      expect(await comments.find()).toHaveLength(0);
+    });
+
+    it('should leave everything untouched when a cascaded restrict fails', async () => {
+      db.defineRelation('posts', 'author_id', { ref: 'users', onDelete: 'cascade' });
+      db.defineRelation('comments', 'post_id', { ref: 'posts', onDelete: 'restrict' });
+      const post = await posts.insert({ title: 'P', author_id: alice.id });
+      await comments.insert({ body: 'C', post_id: post.id });
+
+      await expect(users.remove({ id: alice.id })).rejects.toThrow(/Relation restrict error/);
+      expect(await users.find()).toHaveLength(1);
+      expect(await posts.find()).toHaveLength(1);
+    });
+
+    it('should set references to null on removal', async () => {
+      db.defineRelation('posts', 'author_id', { ref: 'users', onDelete: 'setNull' });
+      await posts.insert({ title: 'P', author_id: alice.id });
+
+      await users.remove({ id: alice.id });
+      expect((await posts.findOne({ title: 'P' })).author_id).toBeNull();
+    });
+
+    it('should apply onUpdate actions to referencing documents', async () => {
+      db.defineRelation('posts', 'author_email', { ref: 'users', field: 'email', onUpdate: 'cascade' });
+      db.defineRelation('comments', 'author_email', { ref: 'users', field: 'email', onUpdate: 'restrict' });
+      await posts.insert({ title: 'P', author_email: 'alice@example.com' });
+
+      await users.update({ id: alice.id }, { email: 'alice@new.example.com' });
+      expect((await posts.findOne({ title: 'P' })).author_email).toBe('alice@new.example.com');
+
+      await comments.insert({ body: 'C', author_email: 'alice@new.example.com' });
+      await expect(users.update({ id: alice.id }, { email: 'other@example.com' })).rejects.toThrow(/Relation restrict error/);
+      expect((await users.findOne({ id: alice.id })).email).toBe('alice@new.example.com');
+      expect((await posts.findOne({ title: 'P' })).author_email).toBe('alice@new.example.com');
+    });
+
+    it('should report orphaned references', async () => {
+      db.defineRelation('posts', 'author_id', { ref: 'users' });
+      await posts.insert({ title: 'P', author_id: alice.id });
+      await users.remove({ id: alice.id });
+
+      const orphans = await db.checkIntegrity();
+      expect(orphans).toHaveLength(1);
+      expect(orphans[0]).toMatchObject({ collection: 'posts', field: 'author_id', value: alice.id, ref: 'users' });
+    });
+
+    it('should reject unknown actions', () => {
+      expect(() => db.defineRelation('posts', 'author_id', { ref: 'users', onDelete: 'explode' })).toThrow(/Invalid onDelete action/);
+    });
+  });
+
+  describe('Optimistic Concurrency', () => {
+    it('should maintain _version on insert and update', async () => {
+      const users = db.collection('users');
+      const doc = await users.insert({ name: 'Alice', _version: 99 });
+      expect(doc._version).toBe(1);
+
+      await users.update({ id: doc.id }, { name: 'Alicia', _version: 50 });
+      expect((await users.findOne({ id: doc.id }))._version).toBe(2);
+    });
+
+    it('should reject updates with a stale expectedVersion', async () => {
+      const users = db.collection('users');
+      const doc = await users.insert({ name: 'Bob' });
+
+      // 2つのクライアントが同じバージョンを読み込んでから書き戻す
+      await users.update({ id: doc.id }, { name: 'First' }, { expectedVersion: doc._version });
+      const error = await users.update({ id: doc.id }, { name: 'Second' }, { expectedVersion: doc._version }).catch(e => e);
+
+      expect(error).toBeInstanceOf(LitheDB.VersionConflictError);
+      expect(error.expected).toBe(1);
+      expect(error.actual).toBe(2);
+      expect((await users.findOne({ id: doc.id })).name).toBe('First');
+    });
+
+    it('should accept ifMatch as an alias including quoted strings', async () => {
+      const users = db.collection('users');
+      const doc = await users.insert({ name: 'Carol' });
+      expect(await users.update({ id: doc.id }, { name: 'C' }, { ifMatch: '"1"' })).toBe(1);
+      await expect(users.update({ id: doc.id }, { name: 'D' }, { ifMatch: '1' })).rejects.toThrow('Version conflict');
+      await expect(users.update({ id: doc.id }, { name: 'D' }, { ifMatch: 'abc' })).rejects.toThrow('Invalid expected version');
+    });
+
+    it('should leave all documents untouched when any target is stale', async () => {
+      const users = db.collection('users');
+      await users.insert({ role: 'admin', name: 'A' });
+      const b = await users.insert({ role: 'admin', name: 'B' });
+      await users.update({ id: b.id }, { name: 'B2' });
+
+      await expect(users.update({ role: 'admin' }, { active: true }, { expectedVersion: 1 })).rejects.toThrow('Version conflict');
+      expect(await users.find({ active: true })).toHaveLength(0);
+    });
+
+    it('should check versions through upsert', async () => {
+      const users = db.collection('users');
+      const created = await users.upsert({ email: 'a@example.com' }, { email: 'a@example.com' }, { expectedVersion: 0 });
+      expect(created._version).toBe(1);
+
+      await expect(users.upsert({ email: 'a@example.com' }, { name: 'X' }, { expectedVersion: 0 })).rejects.toThrow('Version conflict');
+      const updated = await users.upsert({ email: 'a@example.com' }, { name: 'Y' }, { expectedVersion: 1 });
+      expect(updated._version).toBe(2);
+      await expect(users.upsert({ email: 'b@example.com' }, { name: 'Z' }, { expectedVersion: 3 })).rejects.toThrow('does not exist');
+    });
+
+    it('should bump the version of documents changed by referential actions', async () => {
+      db.defineRelation('posts', 'author_id', { ref: 'users', onDelete: 'setNull' });
+      const user = await db.collection('users').insert({ name: 'A' });
+      const post = await db.collection('posts').insert({ author_id: user.id });
+      await db.collection('users').remove({ id: user.id });
+      expect((await db.collection('posts').findOne({ id: post.id }))._version).toBe(2);
+    });
+  });
+
+  describe('Change Streams', () => {
+    it('should emit insert, update and remove events with before/after documents', async () => {
+      const events = [];
+      db.watch('users').on('change', (change) => events.push(change));
+      const users = db.collection('users');
+      const doc = await users.insert({ name: 'Alice' });
+      await users.update({ id: doc.id }, { name: 'Alicia' });
+      await users.remove({ id: doc.id });
+      await db.collection('posts').insert({ title: 'ignored' });
+
+      expect(events.map(e => e.type)).toEqual(['insert', 'update', 'remove']);
+      expect(events[0]).toMatchObject({ collection: 'users', id: doc.id, before: null, after: { name: 'Alice' } });
+      expect(events[1].before.name).toBe('Alice');
+      expect(events[1].after.name).toBe('Alicia');
+      expect(events[2]).toMatchObject({ before: { name: 'Alicia' }, after: null });
+    });
+
+    it('should filter events by query on either side of the change', async () => {
+      const events = [];
+      db.watch('users', { active: true }).on('change', (change) => events.push(change));
+      const users = db.collection('users');
+      const a = await users.insert({ name: 'A', active: true });
+      await users.insert({ name: 'B', active: false });
+      await users.update({ id: a.id }, { active: false });
+
+      expect(events.map(e => [e.type, e.after.name])).toEqual([['insert', 'A'], ['update', 'A']]);
+    });
+
+    it('should report listener errors without failing the write', async () => {
+      const errors = [];
+      const events = [];
+      db.watch('users')
+        .on('change', () => { throw new Error('listener failed'); })
+        .on('change', (change) => events.push(change))
+        .on('error', (error, change) => errors.push([error.message, change.type]));
+
+      const doc = await db.collection('users').insert({ name: 'Alice' });
+      expect(await db.collection('users').findOne({ id: doc.id })).toEqual(doc);
+      expect(events).toHaveLength(1);
+      expect(errors).toEqual([['listener failed', 'insert']]);
+    });
+
+    it('should rethrow unhandled listener errors asynchronously', async () => {
+      const queued = [];
+      const queueMicrotask = globalThis.queueMicrotask;
+      globalThis.queueMicrotask = (callback) => queued.push(callback);
+      try {
+        db.watch('users').on('change', () => { throw new Error('listener failed'); });
+        db.watch('users')
+          .on('change', () => { throw new Error('second listener failed'); })
+          .on('error', () => { throw new Error('error listener failed'); });
+        await db.collection('users').insert({ name: 'Alice' });
+      } finally {
+        globalThis.queueMicrotask = queueMicrotask;
+      }
+      expect(await db.collection('users').find()).toHaveLength(1);
+      expect(queued).toHaveLength(2);
+      expect(queued[0]).toThrow('listener failed');
+      expect(queued[1]).toThrow('error listener failed');
+    });
+
+    it('should emit on commit and never for rolled-back changes', async () => {
+      const events = [];
+      const stream = db.watch().on('change', (change) => events.push(change));
+
+      await db.transaction(async (tx) => {
+        await tx.collection('users').insert({ name: 'Committed' });
+        expect(events).toHaveLength(0);
+      });
+      await db.transaction(async (tx) => {
+        await tx.collection('users').insert({ name: 'Rolled back' });
+        throw new Error('abort');
+      }).catch(() => { });
+      await db.beginTransaction();
+      await db.collection('users').insert({ name: 'Legacy' });
+      db.rollback();
+
+      expect(events.map(e => e.after.name)).toEqual(['Committed']);
+      stream.close();
+      await db.collection('users').insert({ name: 'After close' });
+      expect(events).toHaveLength(1);
+    });
+
+    it('should report documents changed by referential actions', async () => {
+      db.defineRelation('posts', 'author_id', { ref: 'users', onDelete: 'cascade' });
+      const events = [];
+      db.watch('posts').on('change', (change) => events.push(change));
+      const user = await db.collection('users').insert({ name: 'A' });
+      await db.collection('posts').insert({ author_id: user.id });
+      await db.collection('users').remove({ id: user.id });
+
+      expect(events.map(e => e.type)).toEqual(['insert', 'remove']);
+    });
+
+    it('should keep a live query up to date', async () => {
+      const users = db.collection('users');
+      await users.insert({ name: 'Bob', active: true });
+      const live = users.observe({ active: true }, { sort: { name: 'asc' } });
+      await live.ready;
+      expect(live.results.map(u => u.name)).toEqual(['Bob']);
+
+      const updates = [];
+      live.on('change', (results, changes) => updates.push({ names: results.map(u => u.name), count: changes.length }));
+      await db.transaction(async (tx) => {
+        await tx.collection('users').insert({ name: 'Alice', active: true });
+        await tx.collection('users').update({ name: 'Bob' }, { active: false });
+      });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(live.results.map(u => u.name)).toEqual(['Alice']);
+      expect(updates).toEqual([{ names: ['Alice'], count: 2 }]);
+      live.close();
+      expect(db.watchers.size).toBe(0);
+    });
+  });
+
+  describe('Backups and Restore', () => {
+    it('should rotate backups and restore a point in time', async () => {
+      db = new LitheDB(new LitheDB.MemoryStorage(null, { keepBackups: 3 }));
+      await db.load();
+      const users = db.collection('users');
+      await users.insert({ name: 'A' });
+      await users.insert({ name: 'B' });
+      await users.insert({ name: 'C' });
+      await users.insert({ name: 'D' });
+
+      const backups = await db.listBackups();
+      expect(backups).toHaveLength(3);
+      expect(backups.map(b => b.id)).toEqual([...backups.map(b => b.id)].sort().reverse());
+      expect(Date.parse(backups[0].createdAt)).toBeGreaterThan(Date.parse(backups[1].createdAt));
+
+      const events = [];
+      db.watch('users').on('change', (change) => events.push(change));
+      // 3回前の保存の直前（A のみ挿入済み）の状態に戻す
+      await db.restore(backups[2].id);
+      expect((await users.find()).map(u => u.name)).toEqual(['A']);
+      expect(events.map(e => [e.type, e.before.name])).toEqual([['remove', 'B'], ['remove', 'C'], ['remove', 'D']]);
+
+      // 復元前の状態もバックアップされるため、復元を取り消せる
+      const [undo] = await db.listBackups();
+      await db.restore(undo.id);
+      expect((await users.find()).map(u => u.name)).toEqual(['A', 'B', 'C', 'D']);
+      await expect(db.restore('2000-01-01T00-00-00-000Z')).rejects.toThrow('Backup not found');
+    });
+
+    it('should drop backups older than backupMaxAge but keep the newest one', async () => {
+      const storage = new LitheDB.MemoryStorage(null, { keepBackups: 10, backupMaxAge: 60 * 60 * 1000 });
+      storage.backups = [{ id: '2000-01-01T00-00-00-000Z', createdAt: '2000-01-01T00:00:00.000Z', data: {} }];
+      db = new LitheDB(storage);
+      await db.load();
+      await db.collection('users').insert({ name: 'A' });
+      await db.collection('users').insert({ name: 'B' });
+      expect(await db.listBackups()).toHaveLength(2);
+      expect((await db.listBackups()).some(b => b.id.startsWith('2000'))).toBe(false);
+    });
   });
 
   describe('Immutability', () => {
@@ -123,4 +903,140 @@ describe('LitheDB Core', () => {
       expect(all).toHaveLength(0);
     });
   });
+
+  describe('Scoped Transactions', () => {
+    it('should commit when the callback resolves', async () => {
+      const result = await db.transaction(async (tx) => {
+        const user = await tx.collection('users').insert({ name: 'Alice' });
+        await tx.collection('posts').insert({ author: user.id });
+        expect(db.data.data.users || []).toHaveLength(0);
+        return user.id;
+      });
+
+      expect(result).toBe('000001_users');
+      expect(await db.collection('users').find()).toHaveLength(1);
+      expect(await db.collection('posts').find()).toHaveLength(1);
+    });
+
+    it('should roll back automatically when the callback throws', async () => {
+      await expect(db.transaction(async (tx) => {
+        await tx.collection('users').insert({ name: 'Ghost' });
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+
+      expect(await db.collection('users').find()).toHaveLength(0);
+      expect(db.inTransaction).toBe(false);
+      await db.collection('users').insert({ name: 'After' });
+      expect(db.data.metadata.serial).toBe(1);
+    });
+
+    it('should keep writes outside the transaction out of it', async () => {
+      db.defineRelation('posts', 'author_id', { ref: 'users' });
+      let resume;
+      const paused = new Promise(resolve => { resume = resolve; });
+
+      const running = db.transaction(async (tx) => {
+        const user = await tx.collection('users').insert({ name: 'InTx' });
+        await paused;
+        // リレーションのチェックはトランザクション内のスナップショットに対して行われる
+        await tx.collection('posts').insert({ author_id: user.id });
+        return user;
+      });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await db.collection('logs').insert({ message: 'outside' });
+      resume();
+
+      // 関係のないコレクションへの書き込みとは競合しない
+      const user = await running;
+      expect(await db.collection('logs').find()).toHaveLength(1);
+      expect(await db.collection('users').find()).toEqual([user]);
+      expect(await db.collection('posts').find()).toHaveLength(1);
+    });
+
+    it('should conflict with outside writes to collections the transaction touched', async () => {
+      db.defineRelation('posts', 'author_id', { ref: 'users' });
+      for (const outside of ['users', 'posts']) {
+        let resume;
+        const paused = new Promise(resolve => { resume = resolve; });
+        const running = db.transaction(async (tx) => {
+          await paused;
+          // posts は users を参照しているため、users への書き込みとも競合する
+          await tx.collection('posts').insert({ title: 'InTx' });
+        });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        await db.collection(outside).insert({ name: 'outside' });
+        resume();
+
+        await expect(running).rejects.toBeInstanceOf(LitheDB.ConflictError);
+      }
+      expect(await db.collection('posts').find({ title: 'InTx' })).toHaveLength(0);
+    });
+
+    it('should not wrap the storage again or close it from a transaction', async () => {
+      const key = Buffer.alloc(32, 7).toString('base64');
+      const storage = new LitheDB.MemoryStorage();
+      const encrypted = new LitheDB(storage, { encryption: { key } });
+      await encrypted.load();
+      let inner;
+      await encrypted.transaction(async (tx) => {
+        inner = tx;
+        await tx.collection('secrets').insert({ value: 'x' });
+        tx.close();
+      });
+      expect(inner.storage).toBe(encrypted.storage);
+      const reopened = new LitheDB(storage, { encryption: { key } });
+      await reopened.load();
+      expect(await reopened.collection('secrets').find()).toHaveLength(1);
+    });
+
+    it('should serialize concurrent transactions', async () => {
+      const order = [];
+      const first = db.transaction(async (tx) => {
+        order.push('first:start');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        await tx.collection('counters').insert({ n: 1 });
+        order.push('first:end');
+      });
+      const second = db.transaction(async (tx) => {
+        order.push('second:start');
+        const count = (await tx.collection('counters').find()).length;
+        await tx.collection('counters').insert({ n: count + 1 });
+        order.push('second:end');
+      });
+      await Promise.all([first, second]);
+
+      expect(order).toEqual(['first:start', 'first:end', 'second:start', 'second:end']);
+      const counters = await db.collection('counters').find({}, { sort: { n: 'asc' } });
+      expect(counters.map(c => c.n)).toEqual([1, 2]);
+    });
+
+    it('should support nested savepoints', async () => {
+      await db.transaction(async (tx) => {
+        await tx.collection('users').insert({ name: 'Outer' });
+        await expect(tx.savepoint(async (sp) => {
+          await sp.collection('users').insert({ name: 'Discarded' });
+          throw new Error('inner failure');
+        })).rejects.toThrow('inner failure');
+        await tx.savepoint(async (sp) => {
+          await sp.collection('users').insert({ name: 'Kept' });
+          await sp.savepoint(async (inner) => {
+            await inner.collection('users').update({ name: 'Kept' }, { nested: true });
+          });
+        });
+      });
+
+      const users = await db.collection('users').find();
+      expect(users.map(u => u.name)).toEqual(['Outer', 'Kept']);
+      expect(users[1].nested).toBe(true);
+    });
+
+    it('should run collection hooks registered on the database', async () => {
+      const seen = [];
+      db.collection('users').addHook('afterInsert', (doc) => seen.push(doc.name));
+      await db.transaction(async (tx) => {
+        await tx.collection('users').insert({ name: 'Hooked' });
+      });
+      expect(seen).toEqual(['Hooked']);
+    });
+  });
 });
@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import LitheDB, { MemoryStorage } from '../index.js';
+import { createServer, parseQueryParams } from '../src/server.js';
+
+describe('HTTP server', () => {
+  let db;
+  let server;
+  let baseUrl;
+
+  const start = async (options) => {
+    server = createServer(db, options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  const request = async (path, { method = 'GET', body, headers = {} } = {}) => {
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  };
+
+  beforeEach(async () => {
+    db = new LitheDB(new MemoryStorage());
+    await db.load();
+  });
+
+  afterEach(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+
+  it('should parse operator query strings', () => {
+    const params = new URLSearchParams('age[$gte]=20&role[$in]=admin,editor&zip=01234&active=true&name[$regex]=^1&limit=5');
+    expect(parseQueryParams(params)).toEqual({
+      age: { $gte: 20 },
+      role: { $in: ['admin', 'editor'] },
+      zip: '01234',
+      active: true,
+      name: { $regex: '^1' }
+    });
+    expect(parseQueryParams(new URLSearchParams('query={"age":{"$lt":5}}&age[$gt]=1'))).toEqual({ age: { $lt: 5, $gt: 1 } });
+  });
+
+  it('should reject prototype keys in query strings', () => {
+    for (const search of ['__proto__[$gt]=1', 'constructor=1', 'a.prototype[$eq]=1', 'query={"$or":[{"__proto__":{"x":1}}]}']) {
+      expect(() => parseQueryParams(new URLSearchParams(search))).toThrow(/Invalid field name/);
+    }
+    expect(Object.prototype.$gt).toBeUndefined();
+    // 継承したプロパティ名のフィールドは通常のフィールドとして扱う
+    expect(parseQueryParams(new URLSearchParams('toString[$eq]=x'))).toEqual({ toString: { $eq: 'x' } });
+  });
+
+  it('should reject $regex patterns that are invalid, too long or prone to catastrophic backtracking', async () => {
+    for (const search of ['name[$regex]=(', 'name[$regex]=(a%2B)%2B$', `name[$regex]=${'a'.repeat(300)}`, 'query={"$or":[{"name":{"$not":"(x*)*y"}}]}', 'name[$regex]=a&name[$options]=z']) {
+      expect(() => parseQueryParams(new URLSearchParams(search)), search).toThrow(expect.objectContaining({ status: 400 }));
+    }
+    expect(parseQueryParams(new URLSearchParams('name[$regex]=^(ab)%2Bc$'))).toEqual({ name: { $regex: '^(ab)+c$' } });
+
+    await start();
+    const res = await request('/collections/users?name[$regex]=(a%2B)%2B$');
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toContain('nested quantifiers');
+    expect((await request('/collections/%E0%A4%A')).status).toBe(400);
+  });
+
+  it('should reject collection names that refer to prototype properties', async () => {
+    await start();
+    for (const [path, method] of [['/collections/constructor', 'GET'], ['/collections/__proto__', 'GET'], ['/collections/toString', 'POST'], ['/collections/valueOf/indexes', 'GET']]) {
+      const res = await request(path, { method, body: method === 'POST' ? { name: 'x' } : undefined });
+      expect(res.status, path).toBe(400);
+      expect(res.body.error.message).toContain('Invalid collection name');
+    }
+    const relation = await request('/collections/posts/relations', { method: 'POST', body: { field: 'author_id', ref: 'hasOwnProperty' } });
+    expect(relation.status).toBe(400);
+    expect((await request('/collections')).body).toEqual([]);
+  });
+
+  it('should create, find, update and remove records', async () => {
+    await start();
+    const created = await request('/collections/users', { method: 'POST', body: [{ name: 'Alice', age: 30 }, { name: 'Bob', age: 17 }] });
+    expect(created.status).toBe(201);
+    expect(created.body).toHaveLength(2);
+
+    const adults = await request('/collections/users?age[$gte]=18&fields=name');
+    expect(adults.body).toEqual([{ id: created.body[0].id, name: 'Alice' }]);
+    const sorted = await request('/collections/users?sort=-age&limit=1');
+    expect(sorted.body.map(doc => doc.name)).toEqual(['Alice']);
+
+    const { id } = created.body[1];
+    const fetched = await request(`/collections/users/${id}`);
+    expect(fetched.headers.get('etag')).toBe('"1"');
+
+    const patched = await request(`/collections/users/${id}`, { method: 'PATCH', body: { age: 18 }, headers: { 'If-Match': '"1"' } });
+    expect(patched.body).toMatchObject({ age: 18, _version: 2 });
+    expect(patched.headers.get('etag')).toBe('"2"');
+
+    const stale = await request(`/collections/users/${id}`, { method: 'PATCH', body: { age: 19 }, headers: { 'If-Match': '"1"' } });
+    expect(stale.status).toBe(412);
+    expect(stale.body.error.name).toBe('VersionConflictError');
+
+    expect((await request('/collections/users', { method: 'DELETE' })).status).toBe(400);
+    expect((await request('/collections/users?name=Alice', { method: 'DELETE' })).body).toEqual({ removed: 1 });
+    expect((await request(`/collections/users/${created.body[0].id}`)).status).toBe(404);
+    expect((await request('/collections')).body).toEqual([{ name: 'users', count: 1 }]);
+  });
+
+  it('should manage schema, indexes and relations and return errors as JSON', async () => {
+    await start();
+    await request('/collections/users', { method: 'POST', body: { email: 'a@example.com' } });
+    const index = await request('/collections/users/indexes', { method: 'POST', body: { field: 'email', unique: true } });
+    expect(index).toMatchObject({ status: 201, body: { name: 'email' } });
+
+    const duplicate = await request('/collections/users', { method: 'POST', body: { email: 'a@example.com' } });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error.message).toContain('Unique constraint violation');
+
+    const schema = await request('/collections/users/schema', { method: 'PUT' });
+    expect(schema.body.properties.email).toEqual({ type: 'string' });
+    const invalid = await request('/collections/users', { method: 'POST', body: { email: 1 } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.name).toBe('ValidationError');
+    expect(invalid.body.error.errors).toHaveLength(1);
+
+    const relation = await request('/collections/posts/relations', { method: 'POST', body: { field: 'author_id', ref: 'users' } });
+    expect(relation.status).toBe(201);
+    const orphan = await request('/collections/posts', { method: 'POST', body: { author_id: 'missing' } });
+    expect(orphan.status).toBe(409);
+
+    const malformed = await fetch(`${baseUrl}/collections/users`, { method: 'POST', body: '{' });
+    expect(malformed.status).toBe(400);
+    expect((await malformed.json()).error.message).toBe('Invalid JSON body');
+  });
+
+  it('should take the database lock for schema, index and relation changes', async () => {
+    await start();
+    const locked = [];
+    const withLock = db._withLock.bind(db);
+    db._withLock = (fn, options) => withLock(async () => {
+      const before = JSON.stringify(db.data.metadata);
+      const result = await fn();
+      locked.push(before !== JSON.stringify(db.data.metadata));
+      return result;
+    }, options);
+
+    await request('/collections/users', { method: 'POST', body: { email: 'a@example.com' } });
+    await request('/collections/users/schema', { method: 'PUT' });
+    await request('/collections/users/indexes', { method: 'POST', body: { field: 'email' } });
+    await request('/collections/posts/relations', { method: 'POST', body: { field: 'author_id', ref: 'users' } });
+    // 挿入に加えて、スキーマ・インデックス・リレーションの変更がそれぞれロックの中で行われる
+    expect(locked.filter(Boolean)).toHaveLength(4);
+  });
+
+  it('should require the token when one is configured', async () => {
+    await start({ token: 'secret' });
+    const denied = await request('/collections');
+    expect(denied.status).toBe(401);
+    expect(denied.headers.get('www-authenticate')).toBe('Bearer');
+    expect((await request('/collections', { headers: { Authorization: 'Bearer wrong' } })).status).toBe(401);
+    expect((await request('/collections', { headers: { Authorization: 'Bearer secret' } })).status).toBe(200);
+  });
+
+  it('should serialize concurrent writes', async () => {
+    await start();
+    const responses = await Promise.all(
+      Array.from({ length: 20 }, (_, i) => request('/collections/items', { method: 'POST', body: { n: i } }))
+    );
+    expect(responses.every(res => res.status === 201)).toBe(true);
+    expect(new Set(responses.map(res => res.body.id)).size).toBe(20);
+    const stored = await db.storage.read();
+    expect(stored.data.items).toHaveLength(20);
+  });
+});
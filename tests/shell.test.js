@@ -0,0 +1,115 @@
+import { describe, it, expect, vi } from 'vitest';
+import { PassThrough } from 'node:stream';
+import LitheDB, { MemoryStorage } from '../index.js';
+import { startShell, completeShell } from '../src/shell.js';
+
+const createDb = async () => {
+  const db = new LitheDB(new MemoryStorage());
+  await db.load();
+  await db.collection('users').insert({ name: 'Alice', address: { city: 'Tokyo' } });
+  await db.collection('posts').insert({ title: 'Hello' });
+  return db;
+};
+
+/**
+ * シェルに入力を渡して終了まで実行し、出力された文字列を返します。
+ */
+const runShell = async (db, lines, { until } = {}) => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let text = '';
+  output.on('data', chunk => { text += chunk; });
+  const server = startShell(db, { input, output, historyPath: null, formatResult: value => JSON.stringify(value) });
+
+  const closed = new Promise(resolve => server.on('exit', resolve));
+  input.end([...lines, ''].join('\n'));
+  await closed;
+  if (until) await vi.waitFor(() => expect(text).toContain(until));
+  return text;
+};
+
+describe('Shell', () => {
+  it('should complete collection and field names', async () => {
+    const db = await createDb();
+    expect(completeShell(db, "db.collection('u")).toEqual([['users'], 'u']);
+    expect(completeShell(db, "db.collection('users').find({ 'address.")).toEqual([['address.city'], 'address.']);
+    expect(completeShell(db, "db.collection('users').find({ name: 'x', cr")).toEqual([['created_at'], 'cr']);
+    expect(completeShell(db, 'Math.ma')).toBeNull();
+  });
+
+  it('should complete names from the data inside a transaction', async () => {
+    const db = await createDb();
+    await db.transaction(async (tx) => {
+      await tx.collection('drafts').insert({ body: 'x' });
+      expect(completeShell(tx, "db.collection('d")).toEqual([['drafts'], 'd']);
+      expect(completeShell(tx, "db.collection('drafts').find({ bo")).toEqual([['body'], 'bo']);
+      // 補完のためにコレクションを参照しても、トランザクションが参照したコレクションとして記録されない
+      expect(completeShell(tx, "db.collection('posts').find({ ti")).toEqual([['title'], 'ti']);
+      expect(tx._touchedCollections().has('posts')).toBe(false);
+    });
+  });
+
+  it('should evaluate input in order and run transaction meta-commands', async () => {
+    const db = await createDb();
+    const text = await runShell(db, [
+      '.begin',
+      "db.collection('posts').insert({ title: 'Draft' })",
+      '.rollback',
+      "db.collection('posts').find().then(posts => posts.map(p => p.title))",
+      '.commit'
+    ], { until: 'Error: No active transaction' });
+
+    expect(text).toContain('lithe-db (tx)> ');
+    expect(text).toContain('"title":"Draft"');
+    expect(text).toContain('["Hello"]');
+    expect(await db.collection('posts').find()).toHaveLength(1);
+  });
+
+  it('should commit the changes made through db while a transaction is active', async () => {
+    const db = await createDb();
+    const text = await runShell(db, [
+      '.begin',
+      '.begin',
+      "db.collection('posts').insert({ title: 'Draft' })",
+      '.collections',
+      '.commit',
+      '.collections'
+    ], { until: 'posts (2)\nusers (1)\nlithe-db> ' });
+
+    expect(text).toContain('Error: A transaction is already active');
+    expect(await db.collection('posts').find()).toHaveLength(2);
+    expect((await db.storage.read()).data.posts).toHaveLength(2);
+  });
+
+  it('should report a conflict on commit and leave the transaction', async () => {
+    const db = await createDb();
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let text = '';
+    output.on('data', chunk => { text += chunk; });
+    const server = startShell(db, { input, output, historyPath: null });
+
+    input.write(".begin\ndb.collection('posts').insert({ title: 'Draft' })\n");
+    await vi.waitFor(() => expect(text).toContain('Draft'));
+    await db.collection('posts').insert({ title: 'Outside' });
+    const closed = new Promise(resolve => server.on('exit', resolve));
+    input.end('.commit\n');
+    await closed;
+    await vi.waitFor(() => expect(text).toContain('Error: Conflict error: posts was modified outside the transaction'));
+
+    expect(text.endsWith('lithe-db> ')).toBe(true);
+    expect((await db.collection('posts').find()).map(p => p.title)).toEqual(['Hello', 'Outside']);
+  });
+
+  it('should roll back an uncommitted transaction on exit', async () => {
+    const db = await createDb();
+    const text = await runShell(db, [
+      '.begin',
+      "db.collection('posts').insert({ title: 'Draft' })"
+    ], { until: 'Uncommitted transaction rolled back' });
+
+    expect(text).toContain('"title":"Draft"');
+    expect(await db.collection('posts').find()).toHaveLength(1);
+    expect((await db.storage.read()).data.posts).toHaveLength(1);
+  });
+});
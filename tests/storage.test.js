@@ -1,7 +1,10 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { MemoryStorage, FileStorage } from '../src/Storage.js';
+import { MemoryStorage, FileStorage, IndexedDBStorage, SqliteStorage, DirectoryStorage, GoogleSheetsStorage, GASStorage } from '../src/Storage.js';
+import { IDBFactory } from 'fake-indexeddb';
+import LitheDB from '../index.js';
 import fs from 'fs/promises';
 import path from 'path';
+import os from 'os';
 
 describe('MemoryStorage', () => {
   it('should read and write data', async () => {
@@ -55,3 +58,1037 @@ describe('FileStorage', () => {
     expect(bakExists).toBe(true);
   });
 });
+
+describe('FileStorage journal mode', () => {
+  const testFile = path.join(__dirname, 'test_journal_storage.json');
+  const artifacts = ['', '.bak', '.journal', '.journal.bak', '.tmp'].map(suffix => testFile + suffix);
+
+  const cleanup = async () => {
+    for (const file of artifacts) {
+      try { await fs.unlink(file); } catch { }
+    }
+  };
+
+  beforeEach(cleanup);
+  afterEach(cleanup);
+
+  it('should append changes to the journal and replay them on load', async () => {
+    const db = await LitheDB.create(testFile, { journal: true });
+    const posts = db.collection('posts');
+    const a = await posts.insert({ title: 'A' });
+    await posts.insert({ title: 'B' });
+    await posts.update({ id: a.id }, { title: 'A2' });
+    await posts.remove({ title: 'B' });
+
+    const lines = (await fs.readFile(testFile + '.journal', 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(4);
+    expect(await fs.access(testFile).then(() => true).catch(() => false)).toBe(false);
+
+    const reopened = await LitheDB.create(testFile, { journal: true });
+    const docs = await reopened.collection('posts').find();
+    expect(docs.map(d => d.title)).toEqual(['A2']);
+    expect(reopened.data.metadata.serial).toBe(2);
+  });
+
+  it('should compact the journal into the snapshot', async () => {
+    const db = await LitheDB.create(testFile, { journal: true, compactThreshold: 3 });
+    const posts = db.collection('posts');
+    await posts.insert({ title: 'A' });
+    await posts.insert({ title: 'B' });
+    await posts.insert({ title: 'C' });
+
+    expect(await fs.access(testFile + '.journal').then(() => true).catch(() => false)).toBe(false);
+    const snapshot = JSON.parse(await fs.readFile(testFile, 'utf8'));
+    expect(snapshot.data.posts).toHaveLength(3);
+
+    await posts.insert({ title: 'D' });
+    await db.compact();
+    expect(await fs.access(testFile + '.journal').then(() => true).catch(() => false)).toBe(false);
+    const reopened = await LitheDB.create(testFile, { journal: true });
+    expect(await reopened.collection('posts').find()).toHaveLength(4);
+  });
+
+  it('should ignore a truncated last journal entry', async () => {
+    const db = await LitheDB.create(testFile, { journal: true });
+    await db.collection('posts').insert({ title: 'A' });
+    await fs.appendFile(testFile + '.journal', '{"ops":[{"type":"insert","coll', 'utf8');
+
+    const reopened = await LitheDB.create(testFile, { journal: true });
+    const docs = await reopened.collection('posts').find();
+    expect(docs.map(d => d.title)).toEqual(['A']);
+  });
+
+  it('should persist committed transactions as a single journal entry', async () => {
+    const db = await LitheDB.create(testFile, { journal: true });
+    await db.beginTransaction();
+    await db.collection('posts').insert({ title: 'A' });
+    await db.collection('posts').insert({ title: 'B' });
+    await db.commit();
+
+    const lines = (await fs.readFile(testFile + '.journal', 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(1);
+    const reopened = await LitheDB.create(testFile, { journal: true });
+    expect(await reopened.collection('posts').find()).toHaveLength(2);
+  });
+});
+
+describe('FileStorage serialization formats', () => {
+  const testFile = path.join(__dirname, 'test_format_storage.json');
+  const artifacts = ['', '.bak', '.journal', '.tmp'].map(suffix => testFile + suffix);
+  const sample = {
+    metadata: { indices: {}, relations: {}, serial: 2 },
+    data: { users: [{ id: '000001_users', name: 'Alice' }, { id: '000002_users', name: 'Bob\nSmith' }], empty: [] }
+  };
+
+  const cleanup = async () => {
+    for (const file of artifacts) {
+      try { await fs.unlink(file); } catch { }
+    }
+  };
+
+  beforeEach(cleanup);
+  afterEach(cleanup);
+
+  it('should round-trip every format and compression', async () => {
+    for (const format of ['json', 'compact', 'jsonl']) {
+      for (const compression of ['none', 'gzip', 'brotli']) {
+        await new FileStorage(testFile, { format, compression }).write(sample);
+        // 形式を指定せずに開いても自動的に判定される
+        const storage = new FileStorage(testFile);
+        expect(await storage.read()).toEqual(sample);
+        expect(storage._detected).toEqual({ format, compression });
+      }
+    }
+  });
+
+  it('should write compact JSON and JSON Lines per collection', async () => {
+    await new FileStorage(testFile, { format: 'compact' }).write(sample);
+    expect(await fs.readFile(testFile, 'utf8')).toBe(JSON.stringify(sample));
+
+    await new FileStorage(testFile, { format: 'jsonl' }).write(sample);
+    const lines = (await fs.readFile(testFile, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toEqual([
+      { $jsonl: 1, metadata: sample.metadata },
+      { collection: 'users', count: 2 },
+      ...sample.data.users,
+      { collection: 'empty', count: 0 }
+    ]);
+  });
+
+  it('should keep the existing format and back up in the same format', async () => {
+    await new FileStorage(testFile, { format: 'jsonl', compression: 'gzip' }).write(sample);
+    const db = await LitheDB.create(testFile);
+    await db.collection('users').insert({ name: 'Carol' });
+
+    const content = await fs.readFile(testFile);
+    expect([content[0], content[1]]).toEqual([0x1f, 0x8b]);
+    const backup = await fs.readFile(testFile + '.bak');
+    expect([backup[0], backup[1]]).toEqual([0x1f, 0x8b]);
+
+    const [latest] = await db.listBackups();
+    expect((await db.storage.readBackup(latest.id)).data.users).toHaveLength(2);
+  });
+
+  it('should convert an existing database with compact()', async () => {
+    const db = await LitheDB.create(testFile);
+    await db.collection('users').insert({ name: 'Alice' });
+    expect((await fs.readFile(testFile, 'utf8')).startsWith('{\n')).toBe(true);
+
+    const converted = await LitheDB.create(testFile, { format: 'compact', compression: 'brotli' });
+    await converted.compact();
+    const reopened = new FileStorage(testFile);
+    expect((await reopened.read()).data.users[0].name).toBe('Alice');
+    expect(reopened._detected).toEqual({ format: 'compact', compression: 'brotli' });
+  });
+
+  it('should infer compression from the extension and reject unknown options', async () => {
+    expect(new FileStorage('db.json.gz').compression).toBe('gzip');
+    expect(new FileStorage('db.json.br').compression).toBe('brotli');
+    expect(() => new FileStorage(testFile, { format: 'yaml' })).toThrow('Unsupported snapshot format');
+    expect(() => new FileStorage(testFile, { compression: 'zip' })).toThrow('Unsupported compression');
+  });
+});
+
+describe('DirectoryStorage', () => {
+  const testDir = path.join(__dirname, 'test_directory_storage');
+
+  const cleanup = async () => {
+    for (const suffix of ['', '.bak', '.lock']) {
+      await fs.rm(testDir + suffix, { recursive: true, force: true });
+    }
+  };
+
+  beforeEach(cleanup);
+  afterEach(cleanup);
+
+  it('should store metadata and one file per collection', async () => {
+    const db = await LitheDB.create(testDir + '/');
+    expect(db.storage).toBeInstanceOf(DirectoryStorage);
+    await db.collection('users').insert({ name: 'Alice' });
+    await db.collection('posts').insert({ title: 'Hello' });
+
+    expect((await fs.readdir(path.join(testDir, 'data'))).sort()).toEqual(['posts.json', 'users.json']);
+    const users = JSON.parse(await fs.readFile(path.join(testDir, 'data', 'users.json'), 'utf8'));
+    expect(users[0].name).toBe('Alice');
+    expect(JSON.parse(await fs.readFile(path.join(testDir, 'metadata.json'), 'utf8')).serial).toBe(2);
+
+    // 既存のディレクトリは末尾の区切り文字がなくても DirectoryStorage として開かれる
+    const reopened = await LitheDB.create(testDir);
+    expect(reopened.storage).toBeInstanceOf(DirectoryStorage);
+    expect(await reopened.collection('posts').findOne({ title: 'Hello' })).toBeTruthy();
+  });
+
+  it('should only rewrite the collections that changed', async () => {
+    const db = await LitheDB.create(testDir + '/');
+    await db.collection('users').insert({ name: 'Alice' });
+    await db.collection('posts').insert({ title: 'Hello' });
+    const usersFile = path.join(testDir, 'data', 'users.json');
+    const before = (await fs.stat(usersFile)).ino;
+
+    await db.collection('posts').insert({ title: 'World' });
+    expect((await fs.stat(usersFile)).ino).toBe(before);
+  });
+
+  it('should write one file per document and delete removed documents', async () => {
+    const db = await LitheDB.create(testDir, { layout: 'document' });
+    const users = db.collection('users');
+    const alice = await users.insert({ name: 'Alice' });
+    const bob = await users.insert({ name: 'Bob' });
+    await users.update({ id: alice.id }, { name: 'Alice2' });
+    await users.remove({ id: bob.id });
+
+    const dir = path.join(testDir, 'data', 'users');
+    expect((await fs.readdir(dir)).sort()).toEqual(['.manifest.json', `${alice.id}.json`]);
+    expect(JSON.parse(await fs.readFile(path.join(dir, '.manifest.json'), 'utf8'))).toEqual([alice.id]);
+    expect(JSON.parse(await fs.readFile(path.join(dir, `${alice.id}.json`), 'utf8')).name).toBe('Alice2');
+
+    const reopened = await LitheDB.create(testDir);
+    expect((await reopened.collection('users').find()).map(u => u.name)).toEqual(['Alice2']);
+  });
+
+  it('should convert between layouts with compact()', async () => {
+    const db = await LitheDB.create(testDir + '/');
+    await db.collection('users').insert({ name: 'Alice' });
+
+    const converted = await LitheDB.create(testDir, { layout: 'document' });
+    await converted.compact();
+    expect(await fs.readdir(path.join(testDir, 'data'))).toEqual(['users']);
+    expect((await fs.readdir(path.join(testDir, 'data', 'users'))).sort()).toEqual(['.manifest.json', '000001_users.json']);
+  });
+
+  it('should keep the insertion order of documents regardless of their file names', async () => {
+    const db = await LitheDB.create(testDir, { layout: 'document' });
+    db.data.metadata.serial = 999998;
+    const users = db.collection('users');
+    for (const name of ['Alice', 'Bob', 'Carol']) await users.insert({ name });
+    expect((await users.find()).map(u => u.id)).toEqual(['999999_users', '1000000_users', '1000001_users']);
+
+    // マニフェストにないファイルは、記録されたドキュメントの後に並ぶ
+    const dir = path.join(testDir, 'data', 'users');
+    await fs.writeFile(path.join(dir, 'manual.json'), JSON.stringify({ id: 'manual', name: 'Dave' }));
+    const reopened = await LitheDB.create(testDir);
+    expect((await reopened.collection('users').find()).map(u => u.name)).toEqual(['Alice', 'Bob', 'Carol', 'Dave']);
+  });
+
+  it('should detect changes made by another process and back up the directory', async () => {
+    const a = await LitheDB.create(testDir + '/');
+    await a.collection('users').insert({ name: 'Alice' });
+    const b = await LitheDB.create(testDir);
+    await b.collection('users').insert({ name: 'Bob' });
+
+    expect(await a.storage.hasChanged()).toBe(true);
+    await a.collection('users').insert({ name: 'Carol' });
+    expect((await a.collection('users').find()).map(u => u.name)).toEqual(['Alice', 'Bob', 'Carol']);
+
+    const backup = await a.backup();
+    expect((await a.storage.readBackup(backup.id)).data.users).toHaveLength(3);
+  });
+});
+
+describe('FileStorage concurrency', () => {
+  const testFile = path.join(__dirname, 'test_lock_storage.json');
+  const artifacts = ['', '.bak', '.journal', '.journal.bak', '.tmp', '.lock'].map(suffix => testFile + suffix);
+
+  const cleanup = async () => {
+    for (const file of artifacts) {
+      try { await fs.unlink(file); } catch { }
+    }
+  };
+
+  beforeEach(cleanup);
+  afterEach(cleanup);
+
+  it('should reload changes from another process before writing', async () => {
+    const a = await LitheDB.create(testFile, { lock: true });
+    const b = await LitheDB.create(testFile, { lock: true });
+    await a.collection('posts').insert({ title: 'A' });
+    const fromB = await b.collection('posts').insert({ title: 'B' });
+
+    expect(fromB.id).toBe('000002_posts');
+    const reopened = await LitheDB.create(testFile);
+    const docs = await reopened.collection('posts').find();
+    expect(docs.map(d => d.title)).toEqual(['A', 'B']);
+    expect(await fs.access(testFile + '.lock').then(() => true).catch(() => false)).toBe(false);
+  });
+
+  it('should keep unsaved metadata changes when reloading', async () => {
+    const a = await LitheDB.create(testFile);
+    const b = await LitheDB.create(testFile);
+    b.createIndex('users', 'email', { unique: true });
+    await a.collection('posts').insert({ title: 'A' });
+    await b.collection('users').insert({ email: 'a@example.com' });
+
+    const reopened = await LitheDB.create(testFile);
+    expect(reopened.data.metadata.indices.users.email).toEqual({ unique: true });
+    expect(reopened.data.metadata.serial).toBe(2);
+    expect(await reopened.collection('posts').find()).toHaveLength(1);
+  });
+
+  it('should raise a conflict instead of overwriting a concurrent commit', async () => {
+    const a = await LitheDB.create(testFile, { journal: true });
+    const b = await LitheDB.create(testFile, { journal: true });
+    await b.beginTransaction();
+    await b.collection('posts').insert({ title: 'B' });
+    await a.collection('posts').insert({ title: 'A' });
+
+    await expect(b.commit()).rejects.toBeInstanceOf(LitheDB.ConflictError);
+    const docs = await b.collection('posts').find();
+    expect(docs.map(d => d.title)).toEqual(['A']);
+  });
+
+  it('should commit a transaction when another process wrote an unrelated collection', async () => {
+    const a = await LitheDB.create(testFile, { lock: true });
+    const b = await LitheDB.create(testFile, { lock: true });
+    await b.transaction(async (tx) => {
+      await tx.collection('posts').insert({ title: 'B' });
+      await a.collection('logs').insert({ message: 'A' });
+    });
+    await expect(b.transaction(async (tx) => {
+      await tx.collection('posts').insert({ title: 'Lost' });
+      await a.collection('posts').insert({ title: 'A' });
+    })).rejects.toBeInstanceOf(LitheDB.ConflictError);
+
+    const reopened = await LitheDB.create(testFile);
+    expect((await reopened.collection('posts').find()).map(d => d.title)).toEqual(['B', 'A']);
+    expect(await reopened.collection('logs').find()).toHaveLength(1);
+  });
+
+  it('should detect a rewritten snapshot but ignore a touched one', async () => {
+    const storage = new FileStorage(testFile);
+    await storage.write({ metadata: { serial: 0 }, data: {} });
+    await storage.read();
+
+    const future = new Date(Date.now() + 5000);
+    await fs.utimes(testFile, future, future);
+    expect(await storage.hasChanged()).toBe(false);
+
+    const other = new FileStorage(testFile);
+    await other.write({ metadata: { serial: 1 }, data: {} });
+    expect(await storage.hasChanged()).toBe(true);
+  });
+
+  it('should remove a stale lock left by a dead process', async () => {
+    await fs.writeFile(testFile + '.lock', JSON.stringify({ pid: 2147483646, hostname: os.hostname(), acquired_at: Date.now() }));
+    const storage = new FileStorage(testFile, { lock: true, lockTimeout: 200 });
+    await storage.lock();
+    const owner = JSON.parse(await fs.readFile(testFile + '.lock', 'utf8'));
+    expect(owner.pid).toBe(process.pid);
+    await storage.unlock();
+  });
+
+  it('should keep a long-held lock from being treated as stale', async () => {
+    const holder = new FileStorage(testFile, { lock: true, staleLockTimeout: 150 });
+    await holder.lock();
+    await new Promise(resolve => setTimeout(resolve, 400));
+    const storage = new FileStorage(testFile, { lock: true, lockTimeout: 100, staleLockTimeout: 150 });
+    await expect(storage.lock()).rejects.toBeInstanceOf(LitheDB.LockError);
+    await holder.unlock();
+  });
+
+  it('should time out while another live process holds the lock', async () => {
+    const holder = new FileStorage(testFile, { lock: true });
+    await holder.lock();
+    const storage = new FileStorage(testFile, { lock: true, lockTimeout: 100 });
+    await expect(storage.lock()).rejects.toBeInstanceOf(LitheDB.LockError);
+    await holder.unlock();
+    await storage.lock();
+    await storage.unlock();
+  });
+});
+
+describe('LocalStorage cross-tab sync', () => {
+  let handlers;
+
+  beforeEach(() => {
+    const items = new Map();
+    handlers = new Set();
+    const localStorage = {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => {
+        items.set(key, value);
+        // 実際のブラウザでは他のタブにのみ通知されるが、書き込んだタブ自身は変更を検出しないため同じ結果になる
+        handlers.forEach(handler => handler({ key, storageArea: localStorage }));
+      },
+      removeItem: (key) => {
+        items.delete(key);
+        handlers.forEach(handler => handler({ key, storageArea: localStorage }));
+      }
+    };
+    globalThis.window = {
+      localStorage,
+      addEventListener: (type, handler) => handlers.add(handler),
+      removeEventListener: (type, handler) => handlers.delete(handler)
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.window;
+  });
+
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  it('should reload changes from another tab and notify watchers', async () => {
+    const tabA = await LitheDB.create('app');
+    const tabB = await LitheDB.create('app');
+    const events = [];
+    tabA.watch('todos').on('change', (change) => events.push(change));
+    const live = tabA.collection('todos').observe({ done: false });
+    await live.ready;
+
+    const todo = await tabB.collection('todos').insert({ title: 'Write docs', done: false });
+    await tick();
+    expect(events).toMatchObject([{ type: 'insert', id: todo.id, source: 'external', after: { title: 'Write docs' } }]);
+    expect(live.results.map(t => t.title)).toEqual(['Write docs']);
+
+    await tabB.collection('todos').update({ id: todo.id }, { done: true });
+    await tick();
+    expect(events[1]).toMatchObject({ type: 'update', before: { done: false }, after: { done: true } });
+    expect(live.results).toHaveLength(0);
+
+    // 他のタブの変更を取り込んだ後の書き込みは競合しない
+    const mine = await tabA.collection('todos').insert({ title: 'From A', done: false });
+    expect(mine.id).toBe('000002_todos');
+    expect(events[2]).toMatchObject({ type: 'insert', source: 'local' });
+
+    tabA.close();
+    tabB.close();
+    expect(handlers.size).toBe(0);
+  });
+
+  it('should raise a conflict instead of overwriting another tab', async () => {
+    const tabA = await LitheDB.create('app');
+    const tabB = await LitheDB.create('app');
+    tabA.collection('todos').addHook('beforeInsert', async () => {
+      await tabB.collection('todos').insert({ title: 'From B' });
+    });
+
+    await expect(tabA.collection('todos').insert({ title: 'From A' })).rejects.toBeInstanceOf(LitheDB.ConflictError);
+    const todos = await tabA.collection('todos').find();
+    expect(todos.map(t => t.title)).toEqual(['From B']);
+    tabA.close();
+    tabB.close();
+  });
+});
+
+describe('IndexedDBStorage', () => {
+  let factory;
+  const open = (name = 'app') => new IndexedDBStorage(name, { indexedDB: factory });
+  const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+  beforeEach(() => {
+    factory = new IDBFactory();
+  });
+
+  it('should read and write the database through object stores', async () => {
+    const storage = open();
+    expect(await storage.exists()).toBe(false);
+    const empty = await storage.read();
+    expect(empty).toEqual({ metadata: { indices: {}, relations: {}, serial: 0 }, data: {} });
+
+    const data = {
+      metadata: { indices: {}, relations: {}, serial: 2 },
+      data: { users: [{ id: '000001_users', name: 'A' }, { id: '000002_users', name: 'B' }] }
+    };
+    await storage.write(data);
+    expect(await storage.exists()).toBe(true);
+    expect(await open().read()).toEqual(data);
+    storage.close();
+  });
+
+  it('should persist per-document changes from LitheDB', async () => {
+    const db = new LitheDB(open());
+    await db.load();
+    const users = db.collection('users');
+    const a = await users.insert({ name: 'A' });
+    await users.insert({ name: 'B' });
+    await users.update({ id: a.id }, { name: 'A2' });
+    await users.remove({ name: 'B' });
+    db.createIndex('users', 'name');
+    await users.insert({ name: 'C' });
+    db.close();
+
+    const reopened = new LitheDB(open());
+    await reopened.load();
+    const docs = await reopened.collection('users').find();
+    expect(docs.map(d => d.name)).toEqual(['A2', 'C']);
+    expect(reopened.data.metadata.indices.users).toEqual({ name: {} });
+    expect(reopened.data.metadata.serial).toBe(3);
+    reopened.close();
+  });
+
+  it('should keep backup snapshots in their own object store', async () => {
+    const storage = new IndexedDBStorage('app', { indexedDB: factory, keepBackups: 2 });
+    await storage.write({ metadata: { serial: 1 }, data: { users: [{ id: '000001_users' }] } });
+    await storage.backup();
+    await storage.write({ metadata: { serial: 2 }, data: { users: [] } });
+    await storage.backup();
+    await storage.backup();
+
+    const backups = await storage.listBackups();
+    expect(backups).toHaveLength(2);
+    expect((await storage.readBackup(backups[0].id)).metadata.serial).toBe(2);
+    const keys = await new Promise((resolve) => {
+      const request = storage.connection.transaction('backups').objectStore('backups').getAllKeys();
+      request.onsuccess = () => resolve(request.result);
+    });
+    expect(keys.sort()).toEqual(backups.map(b => b.id).sort());
+    storage.close();
+  });
+
+  it('should detect writes from another tab and sync through BroadcastChannel', async () => {
+    const tabA = new LitheDB(open());
+    const tabB = new LitheDB(open());
+    await tabA.load();
+    await tabB.load();
+    const events = [];
+    tabA.watch('todos').on('change', (change) => events.push(change));
+
+    await tabB.collection('todos').insert({ title: 'From B' });
+    await tick();
+    expect(events).toMatchObject([{ type: 'insert', source: 'external', after: { title: 'From B' } }]);
+
+    const stale = new IndexedDBStorage('app', { indexedDB: factory });
+    await stale.read();
+    await tabB.collection('todos').insert({ title: 'Again' });
+    await expect(stale.applyChanges([{ type: 'remove', collection: 'todos', id: '000001_todos' }], null)).rejects.toBeInstanceOf(LitheDB.ConflictError);
+    expect(await tabB.collection('todos').find()).toHaveLength(2);
+
+    tabA.close();
+    tabB.close();
+    stale.close();
+  });
+
+  it('should be preferred by LitheDB.create in browsers and migrate LocalStorage data', async () => {
+    const items = new Map([['legacy', JSON.stringify({ metadata: { indices: {}, relations: {}, serial: 1 }, data: { notes: [{ id: '000001_notes', text: 'old' }] } })]]);
+    globalThis.window = {
+      indexedDB: factory,
+      localStorage: { getItem: (key) => (items.has(key) ? items.get(key) : null), setItem: (key, value) => items.set(key, value) }
+    };
+    try {
+      const db = await LitheDB.create('legacy');
+      expect(db.storage).toBeInstanceOf(IndexedDBStorage);
+      expect((await db.collection('notes').find()).map(n => n.text)).toEqual(['old']);
+      db.close();
+    } finally {
+      delete globalThis.window;
+    }
+  });
+});
+
+describe('SqliteStorage', () => {
+  const dbPath = path.join(os.tmpdir(), `test_sqlite_storage_${process.pid}.sqlite`);
+  const cleanup = async () => {
+    for (const suffix of ['', '.bak', '-journal']) {
+      try { await fs.unlink(dbPath + suffix); } catch { }
+    }
+  };
+
+  beforeEach(cleanup);
+  afterEach(cleanup);
+
+  it('should store collections as tables and persist per-document changes', async () => {
+    const db = await LitheDB.create(dbPath);
+    expect(db.storage).toBeInstanceOf(SqliteStorage);
+    const users = db.collection('users');
+    const a = await users.insert({ name: 'A' });
+    await users.insert({ name: 'B' });
+    await users.update({ id: a.id }, { name: 'A2' });
+    await users.remove({ name: 'B' });
+    await db.collection('posts').insert({ title: 'Hello', author: a.id });
+    db.createIndex('users', 'name');
+    await users.insert({ name: 'C' });
+    db.close();
+
+    const reopened = await LitheDB.create(dbPath);
+    expect((await reopened.collection('users').find()).map(u => u.name)).toEqual(['A2', 'C']);
+    expect(await reopened.collection('posts').find()).toHaveLength(1);
+    expect(reopened.data.metadata.indices.users).toEqual({ name: {} });
+
+    const tables = reopened.storage.connection
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").all().map(row => row.name);
+    expect(tables).toEqual(['_metadata', 'c_posts', 'c_users']);
+    reopened.close();
+  });
+
+  it('should store collections whose names collide with internal or reserved tables', async () => {
+    const storage = new SqliteStorage(dbPath);
+    const metadata = { indices: {}, relations: {}, serial: 2 };
+    await storage.write({ metadata, data: { _metadata: [{ id: '000001__metadata' }] } });
+    await storage.applyChanges([{ type: 'insert', collection: 'sqlite_stat', doc: { id: '000002_sqlite_stat' } }], null);
+    storage.close();
+
+    const reopened = new SqliteStorage(dbPath);
+    expect(await reopened.read()).toEqual({
+      metadata,
+      data: { _metadata: [{ id: '000001__metadata' }], sqlite_stat: [{ id: '000002_sqlite_stat' }] }
+    });
+    reopened.close();
+  });
+
+  it('should replace everything on write and back up with VACUUM INTO', async () => {
+    const storage = new SqliteStorage(dbPath);
+    expect(await storage.exists()).toBe(false);
+    await storage.write({ metadata: { serial: 1 }, data: { old: [{ id: '000001_old' }] } });
+    await storage.backup();
+    await storage.write({ metadata: { serial: 2 }, data: { users: [{ id: '000002_users', name: 'A' }] } });
+    expect(await storage.exists()).toBe(true);
+    expect(await storage.read()).toEqual({ metadata: { serial: 2 }, data: { users: [{ id: '000002_users', name: 'A' }] } });
+    storage.close();
+
+    const backup = new SqliteStorage(dbPath + '.bak');
+    expect((await backup.read()).data).toEqual({ old: [{ id: '000001_old' }] });
+    backup.close();
+  });
+
+  it('should detect writes from another process', async () => {
+    const dbA = await LitheDB.create(dbPath);
+    const dbB = await LitheDB.create(dbPath);
+    await dbA.collection('items').insert({ name: 'from A' });
+    // dbB は書き込み前に最新の状態を読み込み直すため、A の変更を失わない
+    await dbB.collection('items').insert({ name: 'from B' });
+
+    const stale = new SqliteStorage(dbPath);
+    await stale.read();
+    await dbA.collection('items').remove({ name: 'from B' });
+    await expect(stale.applyChanges([{ type: 'remove', collection: 'items', id: '000001_items' }], null)).rejects.toBeInstanceOf(LitheDB.ConflictError);
+    expect((await dbA.collection('items').find()).map(i => i.name)).toEqual(['from A']);
+
+    dbA.close();
+    dbB.close();
+    stale.close();
+  });
+});
+
+describe('Spreadsheet adapters incremental writes', () => {
+  /** シート名ごとの2次元配列でスプレッドシートを模倣し、シートへのアクセスを記録する */
+  const createBook = () => ({ sheets: new Map(), touched: new Set() });
+  const setRows = (rows, row, values) => {
+    values.forEach((line, i) => { rows[row - 1 + i] = [...line]; });
+  };
+
+  const fakeSpreadsheetApp = (book) => {
+    const sheetFor = (name) => ({
+      getName: () => name,
+      getDataRange: () => {
+        book.touched.add(name);
+        const rows = book.sheets.get(name);
+        return { getValues: () => (rows.length ? rows.map(r => [...r]) : [['']]) };
+      },
+      getRange: (row, col, numRows = 1) => {
+        const range = {
+          setValue: (value) => { book.touched.add(name); setRows(book.sheets.get(name), row, [[value]]); },
+          setValues: (values) => { book.touched.add(name); setRows(book.sheets.get(name), row, values.slice(0, numRows)); },
+          setNumberFormat: () => range
+        };
+        return range;
+      },
+      getLastRow: () => book.sheets.get(name).length,
+      deleteRow: (row) => { book.touched.add(name); book.sheets.get(name).splice(row - 1, 1); },
+      clear: () => { book.touched.add(name); book.sheets.set(name, []); }
+    });
+    const ss = {
+      getSheets: () => [...book.sheets.keys()].map(sheetFor),
+      getSheetByName: (name) => (book.sheets.has(name) ? sheetFor(name) : null),
+      insertSheet: (name) => { book.sheets.set(name, []); return sheetFor(name); },
+      deleteSheet: (sheet) => { book.sheets.delete(sheet.getName()); }
+    };
+    return { getActiveSpreadsheet: () => ss, openById: () => ss };
+  };
+
+  const fakeSheetsClient = (book) => {
+    const parse = (range) => {
+      const [name, cell] = range.split('!');
+      return { name: name.replace(/^'(.*)'$/, '$1'), row: cell ? parseInt(cell.slice(1), 10) : 1 };
+    };
+    const ids = () => [...book.sheets.keys()];
+    return {
+      spreadsheets: {
+        get: async () => ({ data: { sheets: ids().map((title, sheetId) => ({ properties: { title, sheetId } })) } }),
+        batchUpdate: async ({ requestBody }) => {
+          const replies = requestBody.requests.map((request) => {
+            if (request.addSheet) {
+              book.sheets.set(request.addSheet.properties.title, []);
+              return { addSheet: { properties: { sheetId: ids().length - 1 } } };
+            }
+            if (request.deleteSheet) {
+              book.sheets.delete(ids()[request.deleteSheet.sheetId]);
+              return {};
+            }
+            const { sheetId, startIndex } = request.deleteDimension.range;
+            const name = ids()[sheetId];
+            book.touched.add(name);
+            book.sheets.get(name).splice(startIndex, 1);
+            return {};
+          });
+          return { data: { replies } };
+        },
+        values: {
+          get: async ({ range }) => {
+            const { name } = parse(range);
+            book.touched.add(name);
+            return { data: { values: book.sheets.get(name).map(r => [...r]) } };
+          },
+          update: async ({ range, requestBody }) => {
+            const { name, row } = parse(range);
+            book.touched.add(name);
+            setRows(book.sheets.get(name), row, requestBody.values);
+          },
+          batchUpdate: async ({ requestBody }) => {
+            for (const { range, values } of requestBody.data) {
+              const { name, row } = parse(range);
+              book.touched.add(name);
+              setRows(book.sheets.get(name), row, values);
+            }
+          },
+          clear: async ({ range }) => {
+            const { name } = parse(range);
+            book.touched.add(name);
+            book.sheets.set(name, []);
+          }
+        }
+      }
+    };
+  };
+
+  const adapters = {
+    GASStorage: (book, options = {}) => {
+      globalThis.SpreadsheetApp = fakeSpreadsheetApp(book);
+      return new GASStorage(options);
+    },
+    GoogleSheetsStorage: (book, options = {}) => {
+      const storage = new GoogleSheetsStorage({ spreadsheetId: 'sheet', ...options });
+      storage._sheets = fakeSheetsClient(book);
+      return storage;
+    }
+  };
+
+  afterEach(() => {
+    delete globalThis.SpreadsheetApp;
+  });
+
+  for (const [name, createStorage] of Object.entries(adapters)) {
+    it(`${name} should rewrite only the affected rows`, async () => {
+      const book = createBook();
+      const db = new LitheDB(createStorage(book));
+      await db.load();
+      const users = db.collection('users');
+      const a = await users.insert({ name: 'A' });
+      await users.insert({ name: 'B' });
+      await users.insert({ name: 'C' });
+      await db.collection('logs').insert({ message: 'boot' });
+      const logs = book.sheets.get('logs').map(r => [...r]);
+      const titles = [...book.sheets.keys()];
+
+      book.touched.clear();
+      await users.update({ id: a.id }, { name: 'A2', tags: ['x'] });
+      await users.remove({ name: 'B' });
+      // 変更のないシートは読み書きされず、シートも追加されない
+      expect([...book.touched].filter(title => title !== '_metadata')).toEqual(['users']);
+      expect([...book.sheets.keys()]).toEqual(titles);
+      expect(book.sheets.get('logs')).toEqual(logs);
+
+      book.touched.clear();
+      await users.insert({ name: 'D' });
+      expect([...book.touched].sort()).toEqual(['_metadata', 'users']);
+      expect([...book.sheets.keys()]).toEqual(titles);
+      await users.remove({ name: 'D' });
+
+      const [headers, ...rows] = book.sheets.get('users');
+      expect(rows.map(r => r[headers.indexOf('name')])).toEqual(['A2', 'C']);
+
+      const reloaded = new LitheDB(createStorage(book));
+      await reloaded.load();
+      const docs = await reloaded.collection('users').find();
+      expect(docs.map(d => d.name)).toEqual(['A2', 'C']);
+      expect(docs[0].tags).toEqual(['x']);
+      expect(docs[1].tags).toBeNull();
+      expect(await reloaded.collection('logs').find()).toHaveLength(1);
+    });
+
+    it(`${name} should keep full-data backups as sheets and restore them`, async () => {
+      const book = createBook();
+      const db = new LitheDB(createStorage(book, { keepBackups: 2 }));
+      await db.load();
+      const users = db.collection('users');
+      await users.insert({ name: 'A', profile: { bio: 'x'.repeat(50000) } });
+      // 保存のたびにはバックアップを作成しない
+      expect(await db.listBackups()).toEqual([]);
+      await db.backup();
+      await users.insert({ name: 'B' });
+      await db.backup();
+      await users.insert({ name: 'C' });
+      await db.backup();
+
+      const backups = await db.listBackups();
+      expect(backups).toHaveLength(2);
+      expect([...book.sheets.keys()].filter(title => title.startsWith('_backup_')).sort())
+        .toEqual(backups.map(b => `_backup_${b.id}.bak`).sort());
+      // セルの文字数制限を超えないよう、JSON は複数の行に分割される
+      expect(book.sheets.get(`_backup_${backups[1].id}.bak`).length).toBeGreaterThan(1);
+
+      await db.restore(backups[1].id);
+      const docs = await users.find();
+      expect(docs.map(d => d.name)).toEqual(['A', 'B']);
+      expect(docs[0].profile.bio).toHaveLength(50000);
+    });
+  }
+});
+
+describe('Multi-generation backups', () => {
+  const testFile = path.join(os.tmpdir(), `test_backup_storage_${process.pid}.json`);
+  const cleanup = async () => {
+    const dir = path.dirname(testFile);
+    for (const entry of await fs.readdir(dir)) {
+      if (entry.startsWith(path.basename(testFile))) await fs.unlink(path.join(dir, entry));
+    }
+  };
+
+  beforeEach(cleanup);
+  afterEach(cleanup);
+
+  it('FileStorage should keep N timestamped generations next to the latest .bak', async () => {
+    const db = new LitheDB(testFile, { keepBackups: 3 });
+    await db.load();
+    for (const name of ['A', 'B', 'C', 'D', 'E']) {
+      await db.collection('users').insert({ name });
+    }
+    const backups = await db.listBackups();
+    expect(backups).toHaveLength(3);
+    const files = (await fs.readdir(path.dirname(testFile))).filter(f => f.startsWith(path.basename(testFile) + '.bak'));
+    expect(files.sort()).toEqual([
+      path.basename(testFile) + '.bak',
+      ...backups.slice(1).map(b => `${path.basename(testFile)}.bak.${b.id}`)
+    ].sort());
+    expect((await db.storage.readBackup(backups[0].id)).data.users).toHaveLength(4);
+    expect((await db.storage.readBackup(backups[2].id)).data.users).toHaveLength(2);
+
+    await db.restore(backups[2].id);
+    const reopened = await LitheDB.create(testFile);
+    expect((await reopened.collection('users').find()).map(u => u.name)).toEqual(['A', 'B']);
+  });
+
+  it('FileStorage should back up and restore journal generations', async () => {
+    // ジャーナルモードではコンパクションのたびにスナップショットとジャーナルの組をバックアップする
+    const db = new LitheDB(testFile, { journal: true, compactThreshold: 2, keepBackups: 2 });
+    await db.load();
+    for (const name of ['A', 'B', 'C', 'D']) {
+      await db.collection('users').insert({ name });
+    }
+    const [latest, previous] = await db.listBackups();
+    expect((await db.storage.readBackup(latest.id)).data.users).toHaveLength(4);
+    expect((await db.storage.readBackup(previous.id)).data.users).toHaveLength(2);
+
+    await db.restore(previous.id);
+    const reopened = new LitheDB(testFile, { journal: true });
+    await reopened.load();
+    expect((await reopened.collection('users').find()).map(u => u.name)).toEqual(['A', 'B']);
+  });
+
+  it('FileStorage should remove generations older than backupMaxAge', async () => {
+    await fs.writeFile(`${testFile}.bak.2000-01-01T00-00-00-000Z`, '{}');
+    const db = new LitheDB(testFile, { keepBackups: 10, backupMaxAge: 24 * 60 * 60 * 1000 });
+    await db.load();
+    // 最初の保存ではまだファイルが存在しないため、バックアップは2回目の保存から作成される
+    for (const name of ['A', 'B', 'C']) {
+      await db.collection('users').insert({ name });
+    }
+    const backups = await db.listBackups();
+    expect(backups).toHaveLength(2);
+    expect(backups.some(b => b.id.startsWith('2000'))).toBe(false);
+  });
+
+  it('LocalStorage should rotate backups under separate keys', async () => {
+    const items = new Map();
+    globalThis.window = {
+      localStorage: {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, value),
+        removeItem: (key) => items.delete(key)
+      }
+    };
+    try {
+      const db = await LitheDB.create('app', { keepBackups: 2 });
+      for (const name of ['A', 'B', 'C', 'D']) {
+        await db.collection('users').insert({ name });
+      }
+      const backups = await db.listBackups();
+      expect(backups).toHaveLength(2);
+      expect([...items.keys()].sort()).toEqual(['app', 'app.backups', 'app.bak', `app.bak.${backups[1].id}`]);
+      await db.restore(backups[1].id);
+      expect((await db.collection('users').find()).map(u => u.name)).toEqual(['A', 'B']);
+    } finally {
+      delete globalThis.window;
+    }
+  });
+
+  it('SqliteStorage should rotate VACUUM INTO copies', async () => {
+    const file = testFile + '.sqlite';
+    // SqliteStorage は保存のたびにはバックアップしないため、明示的に作成する
+    const db = await LitheDB.create(file, { keepBackups: 2 });
+    await db.collection('users').insert({ name: 'A' });
+    const first = await db.backup();
+    await db.collection('users').insert({ name: 'B' });
+    await db.backup();
+    await db.collection('users').insert({ name: 'C' });
+    await db.backup();
+    const backups = await db.listBackups();
+    expect(backups).toHaveLength(2);
+    expect(backups.some(b => b.id === first.id)).toBe(false);
+    await db.restore(backups[1].id);
+    expect((await db.collection('users').find()).map(u => u.name)).toEqual(['A', 'B']);
+    db.close();
+  });
+});
+
+describe('EncryptedStorage', () => {
+  const testFile = path.join(os.tmpdir(), `test_encrypted_storage_${process.pid}.json`);
+  const cleanup = async () => {
+    const dir = path.dirname(testFile);
+    for (const entry of await fs.readdir(dir)) {
+      if (entry.startsWith(path.basename(testFile))) await fs.unlink(path.join(dir, entry));
+    }
+  };
+  let key;
+
+  beforeEach(async () => {
+    await cleanup();
+    key = await LitheDB.EncryptedStorage.generateKey();
+  });
+  afterEach(cleanup);
+
+  it('should encrypt documents, metadata, journals and backups on disk', async () => {
+    const db = new LitheDB(testFile, { encryption: { key }, journal: true, compactThreshold: 2 });
+    await db.load();
+    db.createIndex('users', 'email', { unique: true });
+    await db.collection('users').insert({ name: 'Alice', email: 'alice@example.com' });
+    await db.collection('users').insert({ name: 'Bob', email: 'bob@example.com' });
+    await db.collection('users').insert({ name: 'Carol', email: 'carol@example.com' });
+
+    for (const file of [testFile, testFile + '.journal', testFile + '.journal.bak']) {
+      const content = await fs.readFile(file, 'utf8');
+      expect(content).not.toMatch(/example\.com|Alice|Bob|Carol|indices/);
+    }
+
+    const reopened = new LitheDB(testFile, { encryption: { key }, journal: true });
+    await reopened.load();
+    expect((await reopened.collection('users').find()).map(u => u.email)).toEqual(['alice@example.com', 'bob@example.com', 'carol@example.com']);
+    expect(reopened.data.metadata.indices.users).toBeDefined();
+    const [backup] = await reopened.listBackups();
+    expect((await reopened.storage.readBackup(backup.id)).data.users).toHaveLength(2);
+  });
+
+  it('should encrypt only the changed documents when saving', async () => {
+    const db = await LitheDB.create(testFile, { encryption: { key } });
+    const users = db.collection('users');
+    for (const name of ['Alice', 'Bob', 'Carol']) await users.insert({ name });
+    await db.collection('posts').insert({ title: 'Hello' });
+    const before = JSON.parse(await fs.readFile(testFile, 'utf8'));
+
+    let calls = 0;
+    const encrypt = db.storage._encrypt.bind(db.storage);
+    db.storage._encrypt = async (...args) => {
+      calls++;
+      return encrypt(...args);
+    };
+    await users.update({ name: 'Bob' }, { age: 20 });
+    expect(calls).toBe(1);
+
+    const after = JSON.parse(await fs.readFile(testFile, 'utf8'));
+    expect(after.data.users[0]).toEqual(before.data.users[0]);
+    expect(after.data.users[1]).not.toEqual(before.data.users[1]);
+    expect(after.data.posts).toEqual(before.data.posts);
+
+    const reopened = await LitheDB.create(testFile, { encryption: { key } });
+    expect((await reopened.collection('users').find()).map(u => u.age)).toEqual([undefined, 20, undefined]);
+  });
+
+  it('should encrypt only the selected fields', async () => {
+    const db = await LitheDB.create(testFile, { encryption: { key, fields: { users: ['email'] } } });
+    await db.collection('users').insert({ name: 'Alice', email: 'alice@example.com' });
+    await db.collection('posts').insert({ title: 'Hello', email: 'public@example.com' });
+
+    const onDisk = JSON.parse(await fs.readFile(testFile, 'utf8'));
+    expect(onDisk.data.users[0].name).toBe('Alice');
+    expect(onDisk.data.users[0].email).toMatch(/^enc:v1:/);
+    expect(onDisk.data.posts[0].email).toBe('public@example.com');
+
+    const reopened = await LitheDB.create(testFile, { encryption: { key, fields: { users: ['email'] } } });
+    expect(await reopened.collection('users').findOne({ email: 'alice@example.com' })).toMatchObject({ name: 'Alice' });
+  });
+
+  it('should rotate keys and reject unknown or tampered data', async () => {
+    const db = await LitheDB.create(testFile, { encryption: { key } });
+    await db.collection('users').insert({ name: 'Alice' });
+
+    const newKey = await LitheDB.EncryptedStorage.generateKey();
+    await expect(LitheDB.create(testFile, { encryption: { key: newKey } })).rejects.toBeInstanceOf(LitheDB.EncryptionError);
+
+    const rotated = await LitheDB.create(testFile, { encryption: { key: newKey, previousKeys: [key] } });
+    expect(await rotated.collection('users').find()).toHaveLength(1);
+    await rotated.compact();
+
+    const withNewKeyOnly = await LitheDB.create(testFile, { encryption: { key: newKey } });
+    expect((await withNewKeyOnly.collection('users').findOne({})).name).toBe('Alice');
+
+    // 暗号文を別のドキュメントへ移し替えると復号に失敗する
+    const onDisk = JSON.parse(await fs.readFile(testFile, 'utf8'));
+    onDisk.data.users[0].id = '000099_users';
+    await fs.writeFile(testFile, JSON.stringify(onDisk));
+    await expect(LitheDB.create(testFile, { encryption: { key: newKey } })).rejects.toThrow(/tampered/);
+  });
+
+  it('should read the key from the environment and encrypt existing plain databases on compact', async () => {
+    const plain = await LitheDB.create(testFile);
+    await plain.collection('users').insert({ email: 'alice@example.com' });
+
+    process.env.LITHE_DB_ENCRYPTION_KEY = key;
+    try {
+      const db = await LitheDB.create(testFile, { encryption: true });
+      expect((await db.collection('users').findOne({})).email).toBe('alice@example.com');
+      await db.compact();
+      expect(await fs.readFile(testFile, 'utf8')).not.toContain('alice@example.com');
+    } finally {
+      delete process.env.LITHE_DB_ENCRYPTION_KEY;
+    }
+    expect(() => new LitheDB(testFile, { encryption: true })).toThrow('Encryption key is required');
+    expect(() => new LitheDB(testFile, { encryption: { key: 'short' } })).toThrow('Invalid encryption key');
+  });
+
+  it('should work with per-document adapters', async () => {
+    const sqliteFile = testFile + '.sqlite';
+    const db = await LitheDB.create(sqliteFile, { encryption: { key } });
+    const users = db.collection('users');
+    const alice = await users.insert({ email: 'alice@example.com' });
+    await users.insert({ email: 'bob@example.com' });
+    await users.update({ id: alice.id }, { email: 'alice@example.org' });
+    db.close();
+
+    const raw = new SqliteStorage(sqliteFile);
+    expect(JSON.stringify(await raw.read())).not.toContain('example');
+    raw.close();
+
+    const reopened = await LitheDB.create(sqliteFile, { encryption: { key } });
+    expect((await reopened.collection('users').find()).map(u => u.email)).toEqual(['alice@example.org', 'bob@example.com']);
+    reopened.close();
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { PassThrough } from 'node:stream';
+import LitheDB, { MemoryStorage } from '../index.js';
+import { readRecords, importRecords, writeRecords, findInBatches, formatFromPath, ImportError } from '../src/transfer.js';
+
+const collect = async (generator) => {
+  const items = [];
+  for await (const item of generator) items.push(item);
+  return items;
+};
+
+const writeToString = async (records, format) => {
+  const output = new PassThrough();
+  let text = '';
+  output.on('data', chunk => { text += chunk; });
+  await writeRecords(records, output, format);
+  return text;
+};
+
+describe('Import and export', () => {
+  it('should stream JSON array elements across chunk boundaries', async () => {
+    const chunks = ['[{"a": "x,]', '"}, {"b": [1, {"c": 2}]},\n', ' {bad}, 3]'];
+    const items = await collect(readRecords(chunks, 'json'));
+    expect(items.slice(0, 2).map(item => item.record)).toEqual([{ a: 'x,]' }, { b: [1, { c: 2 }] }]);
+    expect(items[2]).toMatchObject({ line: 2 });
+    expect(items[2].error).toBeInstanceOf(SyntaxError);
+    expect(items[3].error.message).toBe('Record must be a JSON object');
+  });
+
+  it('should read JSON Lines and report the line of invalid records', async () => {
+    const items = await collect(readRecords([Buffer.from('{"a":1}\n\n{"a":'), Buffer.from('2}\nnope\n')], 'jsonl'));
+    expect(items.filter(item => item.record).map(item => [item.line, item.record])).toEqual([[1, { a: 1 }], [3, { a: 2 }]]);
+    expect(items[2].line).toBe(4);
+  });
+
+  it('should parse CSV with header mapping and type coercion', async () => {
+    const csv = '\uFEFFE-mail,name,age,zip,address.city,active,skip\r\n'
+      + 'a@x.com,"Smith, ""Al""\nJr",30,01234,Tokyo,true,x\r\n'
+      + 'b@x.com,Bob,old,,,no,x\r\n';
+    const items = await collect(readRecords([csv], 'csv', {
+      map: { 'E-mail': 'email', skip: null },
+      types: { active: 'boolean', age: 'number' }
+    }));
+    expect(items[0]).toEqual({
+      line: 2,
+      record: { email: 'a@x.com', name: 'Smith, "Al"\nJr', age: 30, zip: '01234', address: { city: 'Tokyo' }, active: true }
+    });
+    expect(items[1].line).toBe(4);
+    expect(items[1].error.message).toBe('Invalid number for field "age": old');
+
+    // 継承したプロパティ名のヘッダーは、マッピングに含まれていないものとして扱う
+    const inherited = await collect(readRecords(['toString,valueOf\nx,y\n'], 'csv', { map: {} }));
+    expect(inherited[0].record).toEqual({ toString: 'x', valueOf: 'y' });
+  });
+
+  it('should import inside one transaction and reject invalid records', async () => {
+    const db = new LitheDB(new MemoryStorage());
+    await db.load();
+    db.createIndex('users', 'email', { unique: true });
+    const records = readRecords(['[{"email":"a"},{"email":"b"},{"email":"a"}]'], 'json');
+    const result = await importRecords(db, 'users', records);
+
+    expect(result.imported).toBe(2);
+    expect(result.rejected).toEqual([{ line: 1, error: expect.stringContaining('Unique constraint violation') }]);
+    expect(await db.collection('users').find()).toHaveLength(2);
+  });
+
+  it('should import nothing in strict mode when a record is rejected', async () => {
+    const db = new LitheDB(new MemoryStorage());
+    await db.load();
+    const records = readRecords(['{"a":1}\n{"a":2}\n[]\n'], 'jsonl');
+    await expect(importRecords(db, 'items', records, { strict: true })).rejects.toBeInstanceOf(ImportError);
+    expect(await db.collection('items').find()).toEqual([]);
+  });
+
+  it('should export records that can be imported again', async () => {
+    const records = [
+      { id: '1', name: 'Smith, "Al"', address: { city: 'Tokyo' }, tags: ['a', 'b'] },
+      { id: '2', name: 'Bob', note: null }
+    ];
+    const csv = await writeToString(records, 'csv');
+    expect(csv.split('\n')[0]).toBe('id,name,address.city,tags,note');
+
+    const parsed = await collect(readRecords([csv], 'csv', { types: { id: 'string' } }));
+    expect(parsed.map(item => item.record)).toEqual([
+      { id: '1', name: 'Smith, "Al"', address: { city: 'Tokyo' }, tags: ['a', 'b'] },
+      { id: '2', name: 'Bob' }
+    ]);
+
+    for (const format of ['json', 'jsonl']) {
+      const text = await writeToString(records, format);
+      expect((await collect(readRecords([text], format))).map(item => item.record)).toEqual(records);
+    }
+    expect(formatFromPath('users.ndjson')).toBe('jsonl');
+    expect(formatFromPath('users.CSV')).toBe('csv');
+  });
+
+  it('should export a collection in batches', async () => {
+    const db = new LitheDB(new MemoryStorage());
+    await db.load();
+    const items = db.collection('items');
+    for (let n = 0; n < 5; n++) await items.insert({ n, ...(n === 4 ? { extra: true } : {}) });
+
+    const sizes = [];
+    const find = items.find.bind(items);
+    items.find = async (query, options) => {
+      const batch = await find(query, options);
+      sizes.push(batch.length);
+      return batch;
+    };
+    const csv = await writeToString(findInBatches(items, {}, { fields: { n: 1, extra: 1 } }, 2), 'csv');
+    expect(csv.split('\n')[0]).toBe('id,n,extra');
+    expect(csv.trim().split('\n')).toHaveLength(6);
+    expect(Math.max(...sizes)).toBe(2);
+
+    const records = findInBatches(items, { n: { $gte: 1 } }, { sort: { n: 'desc' }, skip: 1, limit: 3 }, 2);
+    expect((await collect(records)).map(doc => doc.n)).toEqual([3, 2, 1]);
+  });
+});